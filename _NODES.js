@@ -20,22 +20,49 @@ module.exports =
 		"info.lastAction.lastCommand": {"description": "Last action applied to any device", "role": "text", "type": "string"},
 		"info.lastAction.lastResult": {"description": "Last result of last action applied", "role": "text", "type": "string"},
 		"info.lastAction.error": {"description": "Indicates if error occured on last action", "role": "indicator", "type": "boolean"},
+		"info.transport": {"description": "Transport currently used for state updates", "role": "text", "type": "string", "common": {"states": {"websocket": "Websocket (deCONZ)", "eventstream": "Eventstream (Hue Bridge)", "polling": "Polling"}}},
+		"info.pushConnected": {"description": "Indicates if state updates are pushed by the bridge (via websocket or eventstream)", "role": "indicator.connected", "type": "boolean"},
+		"info.certificate.verification": {"description": "Mode of the verification of the certificate of the bridge", "role": "text", "type": "string", "common": {"states": {"ca": "Root CA of Philips Hue and bridge ID", "tofu": "Pinned on first use", "none": "No verification"}}},
+		"info.certificate.bridgeId": {"description": "Bridge ID the certificate has to be issued for (clear to pin again on next connection)", "role": "text", "type": "string", "common": {"write": true}},
+		"info.certificate.fingerprint": {"description": "Pinned SHA-256 fingerprint of the certificate (clear to trust a changed certificate)", "role": "text", "type": "string", "common": {"write": true}},
+		"info.certificate.error": {"description": "Error of the verification of the certificate of the bridge (e.g. when the certificate has changed)", "role": "text", "type": "string"},
+		"info.queueDepth": {"description": "Number of requests waiting to be sent to the bridge (due to the rate limit)", "role": "value", "type": "number"},
+		"info.queueWait": {"description": "Time the oldest request is waiting to be sent to the bridge (due to the rate limit)", "role": "value", "type": "number", "common": {"unit": "s"}},
+		"info.lastSceneCalled": {"description": "Last scene called on any group (JSON with group, scene, name and timestamp)", "role": "json", "type": "string"},
+		"stale": {"description": "Indicates that the device has been deleted from the bridge", "role": "indicator", "type": "boolean", "device": false},
 		
 		// ACTIONS
 		"on": {"description": "Switch light on / off", "role": "switch.light", "type": "boolean"},
 		"onOffAllLights": {"description": "Switch all lights in the group on / off", "role": "switch.light", "type": "boolean"},
 		"brightness": {"description": "Brightness of the light between 0 and 254", "role": "level.color.brightness", "type": "number", "common": { "min": 0, "max": 254 }},
 		"level": {"description": "Level of the light between 0% and 100%", "role": "level.dimmer", "type": "number", "common": { "min": 0, "max": 100, "unit": "%" }},
+		"bri_inc": {"description": "Increase / decrease brightness by the given value between -254 and 254", "role": "level", "type": "number", "common": { "min": -254, "max": 254 }},
+		"hue_inc": {"description": "Increase / decrease hue by the given value between -360° and 360°", "role": "level", "type": "number", "common": { "min": -360, "max": 360, "unit": "°" }},
+		"sat_inc": {"description": "Increase / decrease saturation by the given value between -254 and 254", "role": "level", "type": "number", "common": { "min": -254, "max": 254 }},
+		"xy_inc": {"description": "Increase / decrease the x and y coordinates by the given values between -0.5 and 0.5, e.g. 0.05,-0.05", "role": "state", "type": "string"},
+		"dim": {"description": "Start dimming up / down (until stopped or minimum / maximum brightness is reached) or stop dimming, e.g. for hold-to-dim wall switches", "role": "state", "type": "string", "common": {"states": {"up": "Dim up", "down": "Dim down", "stop": "Stop dimming"}}},
+		"fade": {"description": "Fade brightness and / or color temperature within the given duration (in seconds), e.g. {\"level\": 100, \"colorTemperature\": 4000, \"duration\": 1800, \"curve\": \"sunrise\"} (curve is one of linear, ease-in, ease-out, ease-in-out or sunrise; any other command cancels the fade)", "role": "json", "type": "string"},
+		"softwareEffect": {"description": "Software effect run by the adapter, given as its name or as JSON with speed (multiplier) and color (RGB, multiple colors separated by semicolon), e.g. {\"effect\": \"police\", \"speed\": 2, \"color\": \"255,0,0;0,0,255\"} (any other command stops the software effect, none restores the previous state)", "role": "state", "type": "string", "common": {"states": {"none": "No effect", "candle": "Candle", "fireplace": "Fireplace", "strobe": "Strobe", "police": "Police", "breathing": "Breathing"}}},
+		"saveScene": {"description": "Create a scene with the given name from the current states of the lights of the group", "role": "text", "type": "string"},
+		"nextScene": {"description": "Recall the next scene of the group (stepping through the scenes given by sceneCycle or all scenes of the group)", "role": "button", "type": "boolean"},
+		"previousScene": {"description": "Recall the previous scene of the group (stepping through the scenes given by sceneCycle or all scenes of the group)", "role": "button", "type": "boolean"},
+		"sceneCycle": {"description": "Ordered list of scenes (IDs or names separated by comma) to step through by nextScene / previousScene (all scenes of the group ordered by name if empty)", "role": "text", "type": "string"},
+		"snapshot": {"description": "Save the current states (on, brightness and color) of the lights", "role": "button", "type": "boolean"},
+		"restore": {"description": "Restore the states of the lights saved by snapshot", "role": "button", "type": "boolean"},
+		"snapshotData": {"description": "States of the lights saved by snapshot", "role": "json", "type": "string"},
+		"fadeProgress": {"description": "Progress of the current fade", "role": "value", "type": "number", "common": { "min": 0, "max": 100, "unit": "%" }},
+		"ct_inc": {"description": "Increase / decrease the Mired color temperature by the given value between -65534 and 65534 (positive values result in warmer light)", "role": "level", "type": "number", "common": { "min": -65534, "max": 65534 }},
 		//"hue": {"description": "Hue of the light between 0 and 65535", "role": "level.color.hue", "type": "number", "common": { "min": 0, "max": 65535 }},
 		"hue": {"description": "Hue of the light between 0° and 360°", "role": "level.color.hue", "type": "number", "common": { "min": 0, "max": 360, "unit": "°" }},
 		"saturation": {"description": "Saturation of the light between 0 and 254", "role": "level.color.saturation", "type": "number", "common": { "min": 0, "max": 254 }},
 		"xy": {"description": "The x and y coordinates in CIE color space", "role": "level.color.xy", "type": "string"},
-		"colorTemperature": {"description": "The temperature of the light between 2000°K and 6500°K", "role": "level.color.temperature", "type": "number", "common": { "min": 2000, "max": 6500, "unit": "°K" }}, // API min is 153, max is 500 
+		"colorTemperature": {"description": "The temperature of the light between 2000°K and 6500°K (depending on the range supported by the light)", "role": "level.color.temperature", "type": "number", "common": { "min": 2000, "max": 6500, "unit": "°K" }}, // API min is 153, max is 500 
 		"alert": {"description": "The alert effect,is a temporary change to the bulb’s state", "role": "switch", "type": "string", "common": {"states": {"none": "No alert", "select": "One breathe cycle", "lselect": "Breathe cycles for 15s"}}},
-		"effect": {"description": "The dynamic effect of the light", "role": "switch", "type": "string", "common": {"states": {"none": "No effect", "colorloop": "Cycle through all hues"}}},
+		"effect": {"description": "The dynamic effect of the light", "role": "switch", "type": "string", "common": {"states": {"none": "No effect", "colorloop": "Cycle through all hues", "candle": "Candle (v2 API only)", "fire": "Fire (v2 API only)", "sparkle": "Sparkle (v2 API only)", "prism": "Prism (v2 API only)", "glisten": "Glisten (v2 API only)", "opal": "Opal (v2 API only)"}}},
+		"gradient": {"description": "The x and y coordinates of the gradient points in CIE color space, e.g. [[0.6, 0.3], [0.2, 0.7]] (v2 API only)", "role": "json", "type": "string"},
 		"transitiontime": {"description": "The duration of the transition from the light’s current state to the new state. This is given as a multiple of 100ms and defaults to 4 (400ms).", "role": "switch", "type": "number"},
 		"colormode": {"description": "Indicates the color mode in which the light is working", "role": "indicator.colormode", "type": "string"},
-		"scene": {"description": "Apply scene on light or group", "role": "switch.scene", "type": "string"},
+		"scene": {"description": "Apply scene (given by its ID or name) on light or group, optionally as JSON with transition time and brightness, e.g. {\"scene\": \"Relax\", \"transitiontime\": 20, \"brightness\": 127}", "role": "switch.scene", "type": "string"},
 		"trigger": {"description": "Trigger scene on light or group", "role": "button", "type": "boolean"},
 		"options": {"description": "Options for action trigger", "role": "json", "type": "string"},
 		"rgb": {"description": "RGB (red, green, blue) color space", "role": "level.color.rgb", "type": "string"},
@@ -52,12 +79,14 @@ module.exports =
 		"lights.action.lastAction.lastCommand": {"description": "Last action applied to light", "role": "text", "type": "string"},
 		"lights.action.lastAction.lastResult": {"description": "Last result of last action applied", "role": "text", "type": "string"},
 		"lights.action.lastAction.error": {"description": "Indicates if error occured on last action", "role": "indicator", "type": "boolean"},
+		"lights.action.lastAction.verified": {"description": "Indicates if state of light has been verified after last action", "role": "indicator", "type": "boolean"},
 		
 		"lights.capabilities.control.ct.max": {"description": "", "role": "value", "type": "number"},
 		"lights.capabilities.control.ct.min": {"description": "", "role": "value", "type": "number"},
 		"lights.capabilities.control.colorgamuttype": {"description": "", "role": "text", "type": "string"},
 		"lights.capabilities.control.maxlumen": {"description": "", "role": "value", "type": "number"},
 		"lights.capabilities.control.mindimlevel": {"description": "", "role": "value", "type": "number"},
+		"lights.capabilities.control.gradientpoints": {"description": "Number of gradient points the light is capable of", "role": "value", "type": "number"},
 		"lights.capabilities.streaming.proxy": {"description": "Indicates if lamp can be used for entertainment streaming as a proxy node", "role": "indicator", "type": "boolean"},
 		"lights.capabilities.streaming.renderer": {"description": "Indicates if lamp can be used for entertainment streaming as renderer", "role": "indicator", "type": "boolean"},
 		"lights.capabilities.certified": {"description": "Indicates if lamp is official Philips", "role": "indicator", "type": "boolean"},
@@ -70,6 +99,7 @@ module.exports =
 		
 		"lights.state.mode": {"description": "Mode of the light", "role": "text", "type": "string"},
 		"lights.state.reachable": {"description": "Indicates if light can be reached by the bridge", "role": "indicator.reachable", "type": "boolean"},
+		"lights.state.connectivity": {"description": "Zigbee connectivity status of the light (v2 API only)", "role": "text", "type": "string"},
 		
 		"lights.swupdate.lastinstall": {"description": "Time of last software update", "role": "text", "type": "string"},
 		"lights.swupdate.state": {"description": "State of software update for the system", "role": "text", "type": "string"},
@@ -77,6 +107,7 @@ module.exports =
 		"lights.manufacturername": {"description": "The manufacturer name", "role": "text", "type": "string"},
 		"lights.modelid": {"description": "The hardware model of the light", "role": "text", "type": "string"},
 		"lights.name": {"description": "A unique, editable name given to the light", "role": "text", "type": "string"},
+		"lights.rid": {"description": "Resource ID of the light in the v2 API", "role": "text", "type": "string"},
 		"lights.productid": {"description": "Product ID", "role": "text", "type": "string"},
 		"lights.productname": {"description": "Product Name", "role": "text", "type": "string"},
 		"lights.swconfigid": {"description": "Software configuration ID", "role": "text", "type": "string"},
@@ -92,15 +123,28 @@ module.exports =
 		"groups.action.lastAction.lastCommand": {"description": "Last action applied to group", "role": "text", "type": "string"},
 		"groups.action.lastAction.lastResult": {"description": "Last result of last action applied", "role": "text", "type": "string"},
 		"groups.action.lastAction.error": {"description": "Indicates if error occured on last action", "role": "indicator", "type": "boolean"},
+		"groups.action.lastAction.verified": {"description": "Indicates if states of all lights of group have been verified after last action", "role": "indicator", "type": "boolean"},
+		"groups.adaptive.enabled": {"description": "Adaptive lighting (color temperature and brightness of lights turned on follow the position of the sun)", "role": "switch", "type": "boolean", "common": {"write": true}},
+		"groups.adaptive.paused": {"description": "Adaptive lighting is paused, because group has been changed manually (resumed when group is turned off or when set to false)", "role": "switch", "type": "boolean", "common": {"write": true}},
+		"groups.adaptive.warmest": {"description": "Warmest color temperature of adaptive lighting (during the night)", "role": "level.color.temperature", "type": "number", "common": {"min": 2000, "max": 6500, "unit": "°K", "write": true}},
+		"groups.adaptive.coolest": {"description": "Coolest color temperature of adaptive lighting (at solar noon)", "role": "level.color.temperature", "type": "number", "common": {"min": 2000, "max": 6500, "unit": "°K", "write": true}},
+		"groups.adaptive.minBrightness": {"description": "Minimum brightness of adaptive lighting (during the night)", "role": "level.dimmer", "type": "number", "common": {"min": 1, "max": 100, "unit": "%", "write": true}},
+		"groups.adaptive.maxBrightness": {"description": "Maximum brightness of adaptive lighting (at solar noon)", "role": "level.dimmer", "type": "number", "common": {"min": 1, "max": 100, "unit": "%", "write": true}},
+		"groups.adaptive.colorTemperature": {"description": "Current color temperature of adaptive lighting", "role": "value.color.temperature", "type": "number", "common": {"unit": "°K"}},
+		"groups.adaptive.brightness": {"description": "Current brightness of adaptive lighting", "role": "value.brightness", "type": "number", "common": {"unit": "%"}},
 		
 		"groups.state.all_on": {"description": "Indicates if all lights of the group are turned on", "role": "indicator", "type": "boolean"},
 		"groups.state.any_on": {"description": "Indicates if any light of the group is turned on", "role": "indicator", "type": "boolean"},
 		"groups.state.reachable": {"description": "Indicates if group can be reached by the bridge", "role": "indicator.reachable", "type": "boolean"},
 		
+		"groups.lastScene": {"description": "Name of the scene last called on the group", "role": "text", "type": "string"},
+		"groups.activeScene": {"description": "Name of the scene currently active in the group (empty if the lights do not match any scene)", "role": "text", "type": "string"},
+		"groups.activeSceneUid": {"description": "Unique ID of the scene currently active in the group (empty if the lights do not match any scene)", "role": "text", "type": "string"},
 		"groups.class": {"description": "Category of Room types", "role": "text", "type": "string"},
 		"groups.lights": {"description": "Lights assigned to the group", "role": "text", "type": "string"},
 		"groups.sensors": {"description": "Sensors assigned to the group", "role": "text", "type": "string"},
 		"groups.name": {"description": "A unique, editable name given to the group", "role": "text", "type": "string"},
+		"groups.rid": {"description": "Resource ID of the grouped light in the v2 API", "role": "text", "type": "string"},
 		"groups.recycle": {"description": "Resource is automatically deleted when not referenced anymore", "role": "indicator", "type": "boolean"},
 		"groups.type": {"description": "Type of group", "role": "text", "type": "string"},
 		"groups.uid": {"description": "Unique ID of the group", "role": "value", "type": "number"},
@@ -112,6 +156,7 @@ module.exports =
 		"sensors.config.battery": {"description": "Current battery level", "role": "value.battery", "type": "number", "common": {"unit": "%"}},
 		"sensors.config.configured": {"description": "", "role": "indicator", "type": "boolean"},
 		"sensors.config.reachable": {"description": "Indicates if sensor can be reached by the bridge", "role": "indicator.reachable", "type": "boolean"},
+		"sensors.config.connectivity": {"description": "Zigbee connectivity status of the sensor (v2 API only)", "role": "text", "type": "string"},
 		"sensors.config.on": {"description": "", "role": "indicator", "type": "boolean"},
 		"sensors.config.sunriseoffset": {"description": "", "role": "value", "type": "number"},
 		"sensors.config.sunsetoffset": {"description": "", "role": "value", "type": "number"},
@@ -132,6 +177,7 @@ module.exports =
 		"sensors.modelid": {"description": "The hardware model of the sensor", "role": "text", "type": "string"},
 		"sensors.name": {"description": "A unique, editable name given to the sensor", "role": "text", "type": "string"},
 		"sensors.productname": {"description": "Product name of the sensor", "role": "text", "type": "string"},
+		"sensors.rid": {"description": "Resource ID of the sensor in the v2 API", "role": "text", "type": "string"},
 		"sensors.recycle": {"description": "Resource is automatically deleted when not referenced anymore", "role": "indicator", "type": "boolean"},
 		"sensors.swversion": {"description": "Software version", "role": "text", "type": "string"},
 		"sensors.type": {"description": "", "role": "text", "type": "string"},
@@ -144,6 +190,7 @@ module.exports =
 		"scenes.state.lastupdated": {"description": "Last update", "role": "text", "type": "string"},
 		"scenes.appdata.data": {"description": "App specific data (free format string)", "role": "text", "type": "string"},
 		"scenes.appdata.version": {"description": "App specific version of the data field", "role": "value", "type": "number"},
+		"scenes.active": {"description": "Indicates if the scene is currently active (v2 API only)", "role": "indicator", "type": "boolean"},
 		"scenes.group": {"description": "Group ID that a scene is linked to", "role": "value", "type": "number"},
 		"scenes.lights": {"description": "Lights assigned to the scene", "role": "text", "type": "string"},
 		"scenes.lastupdated": {"description": "UTC time the scene has been created or has been updated by a PUT", "role": "text", "type": "string"},
@@ -151,6 +198,7 @@ module.exports =
 		"scenes.name": {"description": "Human readable name of the scene", "role": "text", "type": "string"},
 		"scenes.owner": {"description": "Whitelist user that created or modified the content of the scene", "role": "text", "type": "string"},
 		"scenes.picture": {"description": "Individual scene picture", "role": "text", "type": "string"},
+		"scenes.rid": {"description": "Resource ID of the scene in the v2 API", "role": "text", "type": "string"},
 		"scenes.recycle": {"description": "Indicates whether the scene can be automatically deleted by the bridge", "role": "indicator", "type": "boolean"},
 		"scenes.type": {"description": "Type of the scene (LightScene or GroupScene)", "role": "text", "type": "string"},
 		"scenes.uid": {"description": "The id of the scene being modified or created", "role": "text", "type": "string"},
@@ -204,6 +252,11 @@ module.exports =
 		 */
 		'xy',
 		
+		/*
+		 * The x and y coordinates of the gradient points of a gradient light strip (v2 API only).
+		 */
+		'gradient',
+		
 		/*
 		 * The Mired Color temperature of the light. 2012 connected lights are capable of 153 (6500K) to 500 (2000K).
 		 */
@@ -257,6 +310,48 @@ module.exports =
 		'hsv',
 		//'cmyk',
 		//'xyz',
-		'hex'
+		'hex',
+		
+		/*
+		 * Relative adjustments (incrementing / decrementing the current value)
+		 */
+		'bri_inc',
+		'hue_inc',
+		'sat_inc',
+		'xy_inc',
+		'ct_inc',
+		
+		/*
+		 * Continuous dimming (up, down and stop)
+		 */
+		'dim',
+		
+		/*
+		 * Fading (beyond the maximum transitiontime of the bridge)
+		 */
+		'fade',
+		
+		/*
+		 * Software effects (run by the adapter)
+		 */
+		'softwareEffect',
+		
+		/*
+		 * Snapshot (save and restore states of the lights)
+		 */
+		'snapshot',
+		'restore',
+		
+		/*
+		 * Create scene (from the current states of the lights)
+		 */
+		'saveScene',
+		
+		/*
+		 * Step through the scenes of a group
+		 */
+		'nextScene',
+		'previousScene',
+		'sceneCycle'
 	]
 }
@@ -2,10 +2,33 @@
 'use strict';
 
 systemDictionary = {
+    "active": {                                      "en": "Active",                                          "de": "Aktiv",                                           "ru": "Active",                                          "pt": "Active",                                          "nl": "Active",                                          "fr": "Active",                                          "it": "Active",                                          "es": "Active",                                          "pl": "Active",                                          "zh-cn": "Active"},
+    "activeScene": {                                 "en": "Detect the active scene of groups (state activeScene)", "de": "Erkenne die aktive Szene von Gruppen (State activeScene)", "ru": "Detect the active scene of groups (state activeScene)", "pt": "Detect the active scene of groups (state activeScene)", "nl": "Detect the active scene of groups (state activeScene)", "fr": "Detect the active scene of groups (state activeScene)", "it": "Detect the active scene of groups (state activeScene)", "es": "Detect the active scene of groups (state activeScene)", "pl": "Detect the active scene of groups (state activeScene)", "zh-cn": "Detect the active scene of groups (state activeScene)"},
+    "activeSceneInfo": {                             "en": "Active scene",                                    "de": "Aktive Szene",                                    "ru": "Active scene",                                    "pt": "Active scene",                                    "nl": "Active scene",                                    "fr": "Active scene",                                    "it": "Active scene",                                    "es": "Active scene",                                    "pl": "Active scene",                                    "zh-cn": "Active scene"},
+    "activeSceneToleranceBri": {                     "en": "Brightness (0 - 254)",                            "de": "Helligkeit (0 - 254)",                            "ru": "Brightness (0 - 254)",                            "pt": "Brightness (0 - 254)",                            "nl": "Brightness (0 - 254)",                            "fr": "Brightness (0 - 254)",                            "it": "Brightness (0 - 254)",                            "es": "Brightness (0 - 254)",                            "pl": "Brightness (0 - 254)",                            "zh-cn": "Brightness (0 - 254)"},
+    "activeSceneToleranceSat": {                     "en": "Saturation (0 - 254)",                            "de": "Sättigung (0 - 254)",                             "ru": "Saturation (0 - 254)",                            "pt": "Saturation (0 - 254)",                            "nl": "Saturation (0 - 254)",                            "fr": "Saturation (0 - 254)",                            "it": "Saturation (0 - 254)",                            "es": "Saturation (0 - 254)",                            "pl": "Saturation (0 - 254)",                            "zh-cn": "Saturation (0 - 254)"},
+    "activeSceneToleranceCt": {                      "en": "Color temperature (in Mired)",                    "de": "Farbtemperatur (in Mired)",                       "ru": "Color temperature (in Mired)",                    "pt": "Color temperature (in Mired)",                    "nl": "Color temperature (in Mired)",                    "fr": "Color temperature (in Mired)",                    "it": "Color temperature (in Mired)",                    "es": "Color temperature (in Mired)",                    "pl": "Color temperature (in Mired)",                    "zh-cn": "Color temperature (in Mired)"},
+    "activeSceneToleranceInfo": {                    "en": "Tolerated deviation of the states of the lights from the scene:", "de": "Tolerierte Abweichung der Zustände der Lampen von der Szene:", "ru": "Tolerated deviation of the states of the lights from the scene:", "pt": "Tolerated deviation of the states of the lights from the scene:", "nl": "Tolerated deviation of the states of the lights from the scene:", "fr": "Tolerated deviation of the states of the lights from the scene:", "it": "Tolerated deviation of the states of the lights from the scene:", "es": "Tolerated deviation of the states of the lights from the scene:", "pl": "Tolerated deviation of the states of the lights from the scene:", "zh-cn": "Tolerated deviation of the states of the lights from the scene:"},
+    "activeSceneToleranceXy": {                      "en": "Color (xy)",                                      "de": "Farbe (xy)",                                      "ru": "Color (xy)",                                      "pt": "Color (xy)",                                      "nl": "Color (xy)",                                      "fr": "Color (xy)",                                      "it": "Color (xy)",                                      "es": "Color (xy)",                                      "pl": "Color (xy)",                                      "zh-cn": "Color (xy)"},
+    "adaptive": {                                    "en": "Adaptive Lighting",                               "de": "Adaptive Beleuchtung",                            "ru": "Adaptive Lighting",                               "pt": "Adaptive Lighting",                               "nl": "Adaptive Lighting",                               "fr": "Adaptive Lighting",                               "it": "Adaptive Lighting",                               "es": "Adaptive Lighting",                               "pl": "Adaptive Lighting",                               "zh-cn": "Adaptive Lighting"},
+    "adaptiveCoolest": {                             "en": "Coolest (in K)",                                  "de": "Am kältesten (in K)",                             "ru": "Coolest (in K)",                                  "pt": "Coolest (in K)",                                  "nl": "Coolest (in K)",                                  "fr": "Coolest (in K)",                                  "it": "Coolest (in K)",                                  "es": "Coolest (in K)",                                  "pl": "Coolest (in K)",                                  "zh-cn": "Coolest (in K)"},
+    "adaptiveCurveInfo": {                           "en": "Default curve of new groups (may be changed per group via the states in adaptive):", "de": "Standardkurve neuer Gruppen (kann je Gruppe über die States in adaptive geändert werden):", "ru": "Default curve of new groups (may be changed per group via the states in adaptive):", "pt": "Default curve of new groups (may be changed per group via the states in adaptive):", "nl": "Default curve of new groups (may be changed per group via the states in adaptive):", "fr": "Default curve of new groups (may be changed per group via the states in adaptive):", "it": "Default curve of new groups (may be changed per group via the states in adaptive):", "es": "Default curve of new groups (may be changed per group via the states in adaptive):", "pl": "Default curve of new groups (may be changed per group via the states in adaptive):", "zh-cn": "Default curve of new groups (may be changed per group via the states in adaptive):"},
+    "adaptiveInfo": {                                "en": "Color temperature and brightness of groups follow the position of the sun (computed from the coordinates in the system settings of ioBroker). Adaptive lighting is activated per group via the state adaptive.enabled. Interval for adjusting the lights (in seconds):", "de": "Farbtemperatur und Helligkeit von Gruppen folgen dem Sonnenstand (berechnet aus den Koordinaten in den Systemeinstellungen von ioBroker). Die adaptive Beleuchtung wird je Gruppe über den State adaptive.enabled aktiviert. Intervall zum Anpassen der Lampen (in Sekunden):", "ru": "Color temperature and brightness of groups follow the position of the sun (computed from the coordinates in the system settings of ioBroker). Adaptive lighting is activated per group via the state adaptive.enabled. Interval for adjusting the lights (in seconds):", "pt": "Color temperature and brightness of groups follow the position of the sun (computed from the coordinates in the system settings of ioBroker). Adaptive lighting is activated per group via the state adaptive.enabled. Interval for adjusting the lights (in seconds):", "nl": "Color temperature and brightness of groups follow the position of the sun (computed from the coordinates in the system settings of ioBroker). Adaptive lighting is activated per group via the state adaptive.enabled. Interval for adjusting the lights (in seconds):", "fr": "Color temperature and brightness of groups follow the position of the sun (computed from the coordinates in the system settings of ioBroker). Adaptive lighting is activated per group via the state adaptive.enabled. Interval for adjusting the lights (in seconds):", "it": "Color temperature and brightness of groups follow the position of the sun (computed from the coordinates in the system settings of ioBroker). Adaptive lighting is activated per group via the state adaptive.enabled. Interval for adjusting the lights (in seconds):", "es": "Color temperature and brightness of groups follow the position of the sun (computed from the coordinates in the system settings of ioBroker). Adaptive lighting is activated per group via the state adaptive.enabled. Interval for adjusting the lights (in seconds):", "pl": "Color temperature and brightness of groups follow the position of the sun (computed from the coordinates in the system settings of ioBroker). Adaptive lighting is activated per group via the state adaptive.enabled. Interval for adjusting the lights (in seconds):", "zh-cn": "Color temperature and brightness of groups follow the position of the sun (computed from the coordinates in the system settings of ioBroker). Adaptive lighting is activated per group via the state adaptive.enabled. Interval for adjusting the lights (in seconds):"},
+    "adaptiveInterval": {                            "en": "Interval (in seconds)",                           "de": "Intervall (in Sekunden)",                         "ru": "Interval (in seconds)",                           "pt": "Interval (in seconds)",                           "nl": "Interval (in seconds)",                           "fr": "Interval (in seconds)",                           "it": "Interval (in seconds)",                           "es": "Interval (in seconds)",                           "pl": "Interval (in seconds)",                           "zh-cn": "Interval (in seconds)"},
+    "adaptiveMaxBrightness": {                       "en": "Max. brightness (in %)",                          "de": "Max. Helligkeit (in %)",                          "ru": "Max. brightness (in %)",                          "pt": "Max. brightness (in %)",                          "nl": "Max. brightness (in %)",                          "fr": "Max. brightness (in %)",                          "it": "Max. brightness (in %)",                          "es": "Max. brightness (in %)",                          "pl": "Max. brightness (in %)",                          "zh-cn": "Max. brightness (in %)"},
+    "adaptiveMinBrightness": {                       "en": "Min. brightness (in %)",                          "de": "Min. Helligkeit (in %)",                          "ru": "Min. brightness (in %)",                          "pt": "Min. brightness (in %)",                          "nl": "Min. brightness (in %)",                          "fr": "Min. brightness (in %)",                          "it": "Min. brightness (in %)",                          "es": "Min. brightness (in %)",                          "pl": "Min. brightness (in %)",                          "zh-cn": "Min. brightness (in %)"},
+    "adaptiveWarmest": {                             "en": "Warmest (in K)",                                  "de": "Am wärmsten (in K)",                              "ru": "Warmest (in K)",                                  "pt": "Warmest (in K)",                                  "nl": "Warmest (in K)",                                  "fr": "Warmest (in K)",                                  "it": "Warmest (in K)",                                  "es": "Warmest (in K)",                                  "pl": "Warmest (in K)",                                  "zh-cn": "Warmest (in K)"},
+    "apiVersion": {                                  "en": "API version",                                     "de": "API-Version",                                     "ru": "API version",                                     "pt": "API version",                                     "nl": "API version",                                     "fr": "API version",                                     "it": "API version",                                     "es": "API version",                                     "pl": "API version",                                     "zh-cn": "API version"},
+    "apiVersionV1": {                                "en": "v1 (REST API)",                                   "de": "v1 (REST API)",                                   "ru": "v1 (REST API)",                                   "pt": "v1 (REST API)",                                   "nl": "v1 (REST API)",                                   "fr": "v1 (REST API)",                                   "it": "v1 (REST API)",                                   "es": "v1 (REST API)",                                   "pl": "v1 (REST API)",                                   "zh-cn": "v1 (REST API)"},
+    "apiVersionV2": {                                "en": "v2 (CLIP API, e.g. for gradients and effects)",   "de": "v2 (CLIP API, z.B. für Farbverläufe und Effekte)", "ru": "v2 (CLIP API, e.g. for gradients and effects)",   "pt": "v2 (CLIP API, e.g. for gradients and effects)",   "nl": "v2 (CLIP API, e.g. for gradients and effects)",   "fr": "v2 (CLIP API, e.g. for gradients and effects)",   "it": "v2 (CLIP API, e.g. for gradients and effects)",   "es": "v2 (CLIP API, e.g. for gradients and effects)",   "pl": "v2 (CLIP API, e.g. for gradients and effects)",   "zh-cn": "v2 (CLIP API, e.g. for gradients and effects)"},
+    "bridgeId": {                                    "en": "Bridge ID",                                       "de": "Bridge ID",                                       "ru": "Bridge ID",                                       "pt": "Bridge ID",                                       "nl": "Bridge ID",                                       "fr": "Bridge ID",                                       "it": "Bridge ID",                                       "es": "Bridge ID",                                       "pl": "Bridge ID",                                       "zh-cn": "Bridge ID"},
+    "bridgeName": {                                  "en": "Name (namespace)",                                "de": "Name (Namensraum)",                               "ru": "Name (namespace)",                                "pt": "Name (namespace)",                                "nl": "Name (namespace)",                                "fr": "Name (namespace)",                                "it": "Name (namespace)",                                "es": "Name (namespace)",                                "pl": "Name (namespace)",                                "zh-cn": "Name (namespace)"},
+    "bridgesInfo": {                                 "en": "Additional bridges (each bridge is placed in its own namespace bridges.<name> of the object tree)", "de": "Weitere Bridges (jede Bridge erhält einen eigenen Namensraum bridges.<name> im Objektbaum)", "ru": "Additional bridges (each bridge is placed in its own namespace bridges.<name> of the object tree)", "pt": "Additional bridges (each bridge is placed in its own namespace bridges.<name> of the object tree)", "nl": "Additional bridges (each bridge is placed in its own namespace bridges.<name> of the object tree)", "fr": "Additional bridges (each bridge is placed in its own namespace bridges.<name> of the object tree)", "it": "Additional bridges (each bridge is placed in its own namespace bridges.<name> of the object tree)", "es": "Additional bridges (each bridge is placed in its own namespace bridges.<name> of the object tree)", "pl": "Additional bridges (each bridge is placed in its own namespace bridges.<name> of the object tree)", "zh-cn": "Additional bridges (each bridge is placed in its own namespace bridges.<name> of the object tree)"},
     "briWhenNotReachable": {                         "en": "Set brightness to 0, when device is not reachable", "de": "Setze Helligkeit auf 0, wenn das Gerät nicht erreichbar ist", "ru": "Установите яркость на 0, когда устройства недоступен", "pt": "Ajuste o brilho para 0, quando o dispositivo não está acessível", "nl": "De helderheid instellen op 0 in, wanneer het apparaat is niet bereikbaar", "fr": "Régler la luminosité à 0, lorsque le périphérique n'est pas accessible", "it": "Impostare la luminosità a 0, quando il dispositivo non è raggiungibile", "es": "Configurar el brillo a 0, cuando el dispositivo no es accesible", "pl": "Ustaw jasność na 0, gdy urządzenie nie jest dostępny", "zh-cn": "亮度设置为0，当时的设备没到达"},
     "briWhenNotReachableInfo": {                     "en": "This options sets the <pre>brightness</pre> / <pre>level</pre> to 0, when the device is not reachable (<pre>reachable</pre> auf <pre>false</pre>).", "de": "Diese Option schaltet die Helligkeit (<pre>brightness</pre> bzw. <pre>level</pre>) auf 0, wenn das Gerät nicht erreichbar ist (<pre>reachable</pre> auf <pre>false</pre>).", "ru": "Эта опция устанавливает тега <pre>яркость и</pre> / <до>уровня</Pre> это к 0, когда устройства недоступен (теги<pre>можно добраться и</pre> Ауф <Pre>это ложь и</pre>).", "pt": "Esta opção define o <pre>brilho</pre> / <pre>nível</pre> 0, quando o dispositivo não está acessível (<pre>acessível</pre> auf <pre>false</pre>).", "nl": "Deze opties stelt u de <pre>helderheid</pre> / <pre>niveau</pre> 0 is, wanneer het apparaat niet bereikbaar is (<pre>bereikbaar</pre> auf <pre>false</pre>).", "fr": "Cette option définit le <pre>luminosité</pre> / <pre>niveau</pre> 0, lorsque l'appareil n'est pas accessible (<pre>accessible</pre> auf <pre>false</pre>).", "it": "Questa opzione imposta il tag <pre>luminosità</pre> / <pre>livello</pre> 0, quando il dispositivo non è raggiungibile (<pre>raggiungibile</pre> auf <pre>false</pre>).", "es": "Esta opción establece el <pre>brillo</pre> / <pre>nivel</pre> a 0, cuando el dispositivo no está accesible (<pre>accesible</pre> auf <pre>false</pre>).", "pl": "Ta opcja ustawia znacznik <pre>jasność i</pre> / <do>poziom</Pre> to do 0, gdy urządzenie nie jest dostępny (znaczniki<pre>można dostać i</pre> Auf <Pre>to kłamstwo i</pre>).", "zh-cn": "这种选项将<预>亮度</预>/<预>级别</预>0,当设备是不可访问(<预>可访问</预>auf<预>假</预>)."},
     "briWhenOff": {                                  "en": "Set brightness to 0, when device is turned off",  "de": "Setze Helligkeit auf 0, wenn das Gerät ausgeschaltet wird", "ru": "Установить яркость до 0, когда устройство выключено", "pt": "Ajuste o brilho para 0, quando o dispositivo está desligado", "nl": "De helderheid instellen op 0 in, wanneer het apparaat is uitgeschakeld", "fr": "Régler la luminosité à 0, lorsque l'appareil est éteint", "it": "Impostare la luminosità a 0, quando il dispositivo è spento", "es": "Configurar el brillo a 0, cuando el dispositivo está apagado", "pl": "Ustawić jasność na 0, gdy urządzenie jest wyłączone", "zh-cn": "亮度设置为0，当装置被关闭"},
     "briWhenOffInfo": {                              "en": "This options sets the <pre>brightness</pre> / <pre>level</pre> to 0, when the device is turned off (<pre>on</pre> auf <pre>false</pre>).", "de": "Diese Option schaltet die Helligkeit (<pre>brightness</pre> bzw. <pre>level</pre>) auf 0, wenn das Gerät ausgeschaltet wird (<pre>on</pre> auf <pre>false</pre>).", "ru": "Эта опция устанавливает тега <pre>яркость и</pre> / <до>уровня</Pre> это к 0, когда устройство выключено (теги<Pre>на</pre> в Ауф <Pre>это ложь и</pre>).", "pt": "Esta opção define o <pre>brilho</pre> / <pre>nível</pre> 0, quando o dispositivo está desligado (<pre>no</pre> auf <pre>false</pre>).", "nl": "Deze opties stelt u de <pre>helderheid</pre> / <pre>niveau</pre> 0 is, wanneer het apparaat is uitgeschakeld (<pre>on</pre> auf <pre>false</pre>).", "fr": "Cette option définit le <pre>luminosité</pre> / <pre>niveau</pre> 0, lorsque l'appareil est éteint (<pre>le</pre> auf <pre>false</pre>).", "it": "Questa opzione imposta il tag <pre>luminosità</pre> / <pre>livello</pre> 0, quando il dispositivo è spento (<pre>su</pre> auf <pre>false</pre>).", "es": "Esta opción establece el <pre>brillo</pre> / <pre>nivel</pre> a 0, cuando el dispositivo está apagado (<pre>en</pre> auf <pre>false</pre>).", "pl": "Ta opcja ustawia znacznik <pre>jasność i</pre> / <do>poziom</Pre> to do 0, gdy urządzenie jest wyłączone (znaczniki<Pre>na</pre> Auf <Pre>to kłamstwo i</pre>).", "zh-cn": "这种选项将<预>亮度</预>/<预>级别</预>0，当该装置被关闭(<预>就</预>auf<预>假</预>)."},
+    "button_discover": {                             "en": "Discover bridges",                                "de": "Bridges suchen",                                  "ru": "Discover bridges",                                "pt": "Discover bridges",                                "nl": "Discover bridges",                                "fr": "Discover bridges",                                "it": "Discover bridges",                                "es": "Discover bridges",                                "pl": "Discover bridges",                                "zh-cn": "Discover bridges"},
     "buttonDismiss": {                               "en": "Dismiss",                                         "de": "schließen",                                       "ru": "Уволить",                                         "pt": "Fechar",                                          "nl": "Sluiten",                                         "fr": "Rejeter",                                         "it": "Chiudere",                                        "es": "Descartar",                                       "pl": "Zwolnić",                                         "zh-cn": "驳回"},
     "buttonNotAgain": {                              "en": "Don't show again",                                "de": "nicht wieder anzeigen",                           "ru": "Больше не показывать ",                           "pt": "Não mostrar novamente",                           "nl": "Don ' t show again",                              "fr": "Ne pas afficher de nouveau",                      "it": "Non mostrare più",                                "es": "No volver a mostrar",                             "pl": "Nie pokazuj więcej ",                             "zh-cn": "不要再显示"},
     "button_closeModal": {                           "en": "Cancel",                                          "de": "Abbrechen",                                       "ru": "Отменить",                                        "pt": "Cancelar",                                        "nl": "Annuleren",                                       "fr": "Annuler",                                         "it": "Annulla",                                         "es": "Cancelar",                                        "pl": "Anuluj",                                          "zh-cn": "取消"},
@@ -13,21 +36,29 @@ systemDictionary = {
     "certChained": {                                 "en": "Chained Certificate",                             "de": "Chained Zertifikat",                              "ru": "Сертификат Из Цепочки",                           "pt": "Certificado Em Cadeia",                           "nl": "Gekoppeld Certificaat",                           "fr": "Enchaînés Certificat",                            "it": "Certificato A Catena",                            "es": "Encadenado Certificado",                          "pl": "Certyfikat Z Wątku",                              "zh-cn": "链接证书"},
     "certPrivate": {                                 "en": "Private Key",                                     "de": "Privater Schlüssel",                              "ru": "Закрытый Ключ",                                   "pt": "Chave Privada",                                   "nl": "Eigen Sleutel",                                   "fr": "La Clé Privée",                                   "it": "Chiave Privata",                                  "es": "Clave Privada",                                   "pl": "Klucz Prywatny",                                  "zh-cn": "私人钥匙"},
     "certPublic": {                                  "en": "Public Certificate",                              "de": "Öffentliches Zertifikat",                         "ru": "Публичный Сертификат",                            "pt": "Certificado Público",                             "nl": "Openbaar Certificaat",                            "fr": "Certificat Public",                               "it": "Certificato Pubblico",                            "es": "Certificado Público",                             "pl": "Certyfikat Publiczny",                            "zh-cn": "公共证书"},
+    "clientKey": {                                   "en": "Client Key (v2 / Entertainment API)",             "de": "Client Key (v2 / Entertainment API)",             "ru": "Client Key (v2 / Entertainment API)",             "pt": "Client Key (v2 / Entertainment API)",             "nl": "Client Key (v2 / Entertainment API)",             "fr": "Client Key (v2 / Entertainment API)",             "it": "Client Key (v2 / Entertainment API)",             "es": "Client Key (v2 / Entertainment API)",             "pl": "Client Key (v2 / Entertainment API)",             "zh-cn": "Client Key (v2 / Entertainment API)"},
     "connectionTitle": {                             "en": "Connection settings",                             "de": "Verbindungseinstellungen",                        "ru": "Параметры подключения ",                          "pt": "Configurações de conexão",                        "nl": "Instellingen verbinding",                         "fr": "Paramètres de connexion",                         "it": "Impostazioni di connessione",                     "es": "Configuración de la conexión",                    "pl": "Ustawienia połączenia ",                          "zh-cn": "连接设置"},
     "ctToXY": {                                      "en": "Use <pre>XY</pre> instead of <pre>ct</pre> (only for non-Philips devices)", "de": "Verwenden von <pre>XY</pre> anstelle von <pre>ct</pre> (nur für nicht-Philips-Geräte)", "ru": "Используйте теги <pre>ху</предварительно> вместо <pre>в КТ и</pre> (только для не-устройств от Philips)", "pt": "Use <pre>XY</pre> em vez de <pre>ct</pre> (somente para não-Philips dispositivos)", "nl": "Gebruik de <pre>XY - </pre> in plaats van <pre>ct - </pre> (alleen voor niet-Philips-apparaten)", "fr": "Utiliser <pre>XY</pre> au lieu de <pre>ct</pre> (uniquement pour les non-appareils Philips)", "it": "Utilizzare <pre>XY</pre> invece di <pre>ct</pre> (solo per i non-dispositivi Philips)", "es": "El uso de <pre>XY</pre> en lugar de <pre>ct</pre> (sólo por la falta de dispositivos Philips)", "pl": "Użyj znaczników <pre>hu</pre> zamiast <pre>w KT i</pre> (tylko dla urządzeń Philips)", "zh-cn": "使用<预>x-y</预>，而不是<预>ct</预>(仅适用于非飞利浦的设备)"},
+    "discoveredBridges": {                           "en": "Discovered bridges",                              "de": "Gefundene Bridges",                               "ru": "Discovered bridges",                              "pt": "Discovered bridges",                              "nl": "Discovered bridges",                              "fr": "Discovered bridges",                              "it": "Discovered bridges",                              "es": "Discovered bridges",                              "pl": "Discovered bridges",                              "zh-cn": "Discovered bridges"},
+    "discoveredBridgesNone": {                       "en": "(select bridge)",                                 "de": "(Bridge auswählen)",                              "ru": "(select bridge)",                                 "pt": "(select bridge)",                                 "nl": "(select bridge)",                                 "fr": "(select bridge)",                                 "it": "(select bridge)",                                 "es": "(select bridge)",                                 "pl": "(select bridge)",                                 "zh-cn": "(select bridge)"},
     "donateInformation": {                           "en": "Feel free to suggest new features via Github or ioBroker forum. If you like this adapter, you very welcome to donate.", "de": "Neue Funktionen / Features können gerne über Github oder das ioBroker Forum angefragt werden. Wenn dieser Adapter gefällt / nützlich ist, sind Spenden herzlich Willkommen.", "ru": "Не стесняйтесь предложить новые функции через GitHub или форуме ioBroker. Если вам нравится этот адаптер, вы можете пожертвовать.", "pt": "Sinta-se livre para sugerir novos recursos via Github ou ioBroker fórum. Se você gosta deste adaptador, você é muito bem-vindo para doar.", "nl": "Voel je vrij om te suggereren nieuwe functies via Github of ioBroker forum. Als je van deze adapter, die je erg welkom om te doneren.", "fr": "N'hésitez pas à suggérer de nouvelles fonctionnalités via Github ou ioBroker forum. Si vous aimez cet adaptateur, vous les bienvenus pour faire un don.", "it": "Sentitevi liberi di suggerire nuove funzionalità tramite Github o ioBroker forum. Se ti piace questo adattatore, è molto benvenuto a donare.", "es": "Siéntase libre de sugerir nuevas características a través de Github o ioBroker foro. Si te gusta este adaptador, usted muy bienvenido a donar.", "pl": "Nie wahaj się zaproponować nowe funkcje poprzez GitHub lub forum ioBroker. Jeśli podoba ci się ten zasilacz, możesz podarować.", "zh-cn": "随时提出新的功能，通过审查或ioBroker论坛。 如果你喜欢这个转接器，你非常受欢迎的捐赠。"},
     "donateTitle": {                                 "en": "Support the development of the hue-extended Adapter!", "de": "Unterstützung der Entwicklung des hue-extended Adapters!", "ru": "Поддержка развития Хюэ-расширенный адаптер!",     "pt": "Apoiar o desenvolvimento da tonalidade expandida do Adaptador!", "nl": "Ondersteuning van de ontwikkeling van de hue-extended Adapter!", "fr": "Soutenir le développement de la teinte-extension de Carte!", "it": "Sostenere lo sviluppo della tonalità esteso Adattatore!", "es": "Apoyar el desarrollo de los hue-extendida Adaptador!", "pl": "Wsparcie rozwoju Hue-zaawansowany zasilacz!",     "zh-cn": "支持发展的顺化扩展适配器!"},
     "garbageCollector": {                            "en": "Delete outdated devices from objects",            "de": "Nicht aktualisierte Geräte vom Objekt-Baum löschen", "ru": "Удаление устаревших устройств от объектов",       "pt": "Excluir desatualizado dispositivos de objetos",   "nl": "Verwijderen van verouderde apparaten van objecten", "fr": "Supprimer obsolète appareils à partir d'objets",  "it": "Elimina i dispositivi da oggetti",                "es": "Eliminar dispositivos obsoletos de objetos",      "pl": "Usunięcie przestarzałych urządzeń od obiektów",   "zh-cn": "删除过时的设备的对象"},
     "garbageCollectorInfo": {                        "en": "The Garbage Collector deletes outdated devices from the object tree which have not been updated within 24 hours.", "de": "Der Garbage Collector löscht alte Geräte, die innerhalb von 24 Stunden nicht aktualisiert wurden, vom Objekt-Baum.", "ru": "Сборщик мусора удаляет устаревшие приборы из дерева объектов, которые не были обновлены в течение 24 часов.", "pt": "O Coletor de Lixo exclui desatualizado dispositivos da árvore de objectos que não tenham sido atualizadas 24 horas.", "nl": "De Garbage Collector verwijdert verouderde apparaten uit het objectscherm die niet zijn aangepast binnen 24 uur.", "fr": "Le Garbage Collector supprime les anciennes périphériques de l'arborescence des objets qui n'ont pas été mis à jour dans les 24 heures.", "it": "Il Garbage Collector elimina obsoleto dispositivi dalla struttura ad albero di oggetti che non sono stati aggiornati entro 24 ore.", "es": "El Recolector de Basura elimina dispositivos obsoletos desde el árbol de objetos que no han sido actualizados en un plazo de 24 horas.", "pl": "Garbage collector usuwa przestarzałe urządzenia z drzewa obiektów, które nie zostały zaktualizowane w ciągu 24 godzin.", "zh-cn": "垃圾收集中删除过时的设备的对象树尚未更新在24小时内。"},
-    "getUserInfo": {                                 "en": "Press the button on your Hue Bridge or activate pairing mode first! Afterwards, press the button -Get new user-.", "de": "Zunächst den Button an der Hue Bridge drücken bzw. das Gerät in den Pairing-Modus setzen! Danach mit dem Button -Neuen Benutzer abrufen- fortfahren.", "ru": "Нажмите кнопку на вашем Hue мост или активировать первый режим сопряжения! После этого, нажав на кнопку-получишь новый пользователь.", "pt": "Pressione o botão no seu Tonalidade Ponte ou ativar o modo de emparelhamento primeiro! Depois, pressione o botão Obter novo usuário.", "nl": "Druk op de knop op uw Hue Bridge of activeert u de koppelingsmodus eerste! Druk vervolgens op de knop nieuwe gebruiker.", "fr": "Appuyez sur le bouton de votre Teinte Pont ou activer le mode de liaison de la première! Ensuite, appuyez sur le bouton Obtenir de nouvelles de l'utilisateur.", "it": "Premere il pulsante di Tonalità Ponte o attivare la modalità di associazione prima! Successivamente, premere il pulsante di Ottenere un nuovo utente.", "es": "Pulse el botón en su Tono de Puente o activar el modo de emparejamiento primero! Después, presione el botón -Obtener nueva por el usuario.", "pl": "Naciśnij przycisk na swoim Hue bridge lub aktywować pierwszy tryb parowania! Po tym, klikając na przycisk-dostaniesz nowy użytkownik.", "zh-cn": "按下按钮你顺桥或激活匹配模式的第一！ 后来，按下按钮-获得新的用户."},
     "hueToXY": {                                     "en": "Use <pre>XY</pre> instead of <pre>hue</pre> (only for non-Philips devices)", "de": "Verwenden von <pre>XY</pre> anstelle von <pre>hue</pre> (nur für nicht-Philips-Geräte)", "ru": "Используйте теги <pre>ху</предварительно> вместо <pre>в Хюэ и</pre> (только для не-устройств от Philips)", "pt": "Use <pre>XY</pre> em vez de <pre>hue</pre> (somente para não-Philips dispositivos)", "nl": "Gebruik de <pre>XY - </pre> in plaats van <pre>hue</pre> (alleen voor niet-Philips-apparaten)", "fr": "Utiliser <pre>XY</pre> au lieu de <pre>teinte</pre> (uniquement pour les non-appareils Philips)", "it": "Utilizzare <pre>XY</pre> invece di <pre>tonalità</pre> (solo per i non-dispositivi Philips)", "es": "El uso de <pre>XY</pre> en lugar de <pre>hue</pre> (sólo por la falta de dispositivos Philips)", "pl": "Użyj znaczników <pre>hu</pre> zamiast <pre>w Hue i</pre> (tylko dla urządzeń Philips)", "zh-cn": "使用<预>x-y</预>，而不是<预>色</预>(仅适用于非飞利浦的设备)"},
     "hueToXYInfo": {                                 "en": "When setting the <pre>hue</pre> state, non-Philips devices may fail to process this even though the command has successfully been applied. With this option, the adapter will always send the <pre>hue</pre> state as <pre>XY</pre> command to non-Philips devices.", "de": "Die Einstellung des <pre>hue</pre> Wertes kann trotz erfolgreich abgeschickten Befehl bei nicht-Philips-Geräte fehlschlagen. Mit dieser Option sendet der Adapter das Kommando immer als <pre>XY</pre> statt als <pre>hue</pre> Befehl (nur für nicht-Philips-Geräte).", "ru": "При установке тега <pre>тон</pre> в состоянии, не Филипс устройства могут не процесс этот хоть и команда успешно применяется. С помощью этой опции, адаптер всегда вышлем теги <pre>тон</pre> в состоянии как <пре>ху</Pre> это команда для некурящих Филипс устройства.", "pt": "Quando a configuração de <pre>hue</pre> estado, não Philips dispositivos podem falhar para este processo, mesmo que o comando foi aplicada com êxito. Com esta opção, o adaptador irá enviar sempre o <pre>hue</pre> estado <pre>XY</pre> comando para não-Philips dispositivos.", "nl": "Bij het instellen van de <pre>hue</pre> - staat, niet-Philips-apparaten kunnen niet verwerkt, hoewel de opdracht met succes is toegepast. Met deze optie worden de adapter zal altijd stuur de <pre>hue</pre> staat <pre>XY - </pre> commando om de niet-Philips-apparaten.", "fr": "Lors du réglage de l' <pre>teinte</pre> état, non-Philips appareils risquent de ne pas traiter ce même si la commande a été appliquée avec succès. Avec cette option, la carte sera toujours envoyer le <pre>teinte</pre> état <pre>XY</pre> commande pour les non-appareils Philips.", "it": "Quando si imposta il <pre>tonalità</pre> stato, camere non-dispositivi Philips potrebbe non riuscire a processo anche se il comando è stato applicato con successo. Con questa opzione, la scheda di inviare sempre il <pre>tonalità</pre> stato <pre>XY</pre> comando non-dispositivi Philips.", "es": "Cuando la configuración de la <pre>hue</pre> estado, no de Philips dispositivos pueden fallar para este proceso a pesar de que el comando se ha aplicado con éxito. Con esta opción, el adaptador de enviar siempre la <pre>hue</pre> estado como <pre>XY</pre> comando para no dispositivos Philips.", "pl": "Podczas instalacji znacznika <pre>dźwięk</pre> w stanie, nie Philips urządzenia mogą nie proces ten, choć zespół z powodzeniem stosuje. Za pomocą tej opcji, zasilacz zawsze wyślemy znaczniki <pre>dźwięk</pre> w stanie jak <pre>hu</Pre> to polecenie dla niepalących Philips urządzenia.", "zh-cn": "当设置<预>色</预>国家、非飞利浦设备可能无法处理此，即使该命令已成功应用。 与此选项，适配器将总是发送<预>色</预>国家作为<预>x-y</预>的命令以非飞利浦设备。"},
     "ip": {                                          "en": "Bridge IP",                                       "de": "Bridge IP",                                       "ru": "IP-моста",                                        "pt": "Ponte IP",                                        "nl": "Brug IP",                                         "fr": "Pont de la propriété intellectuelle",             "it": "Ponte IP",                                        "es": "Puente IP",                                       "pl": "IP mostu",                                        "zh-cn": "桥的IP"},
+    "lastSeenOnUpdate": {                            "en": "Update lastSeen only when updated by the bridge", "de": "lastSeen nur bei Aktualisierung durch die Bridge setzen", "ru": "Update lastSeen only when updated by the bridge", "pt": "Update lastSeen only when updated by the bridge", "nl": "Update lastSeen only when updated by the bridge", "fr": "Update lastSeen only when updated by the bridge", "it": "Update lastSeen only when updated by the bridge", "es": "Update lastSeen only when updated by the bridge", "pl": "Update lastSeen only when updated by the bridge", "zh-cn": "Update lastSeen only when updated by the bridge"},
+    "lastSeenOnUpdateInfo": {                        "en": "Only states that have changed are written. Additionally, the state lastSeen of a device can be updated only when the bridge reports an update of the device (lastupdated) instead of on every refresh.", "de": "Es werden nur geänderte States geschrieben. Zusätzlich kann der State lastSeen eines Geräts nur dann aktualisiert werden, wenn die Bridge eine Aktualisierung des Geräts meldet (lastupdated), anstatt bei jeder Aktualisierung.", "ru": "Only states that have changed are written. Additionally, the state lastSeen of a device can be updated only when the bridge reports an update of the device (lastupdated) instead of on every refresh.", "pt": "Only states that have changed are written. Additionally, the state lastSeen of a device can be updated only when the bridge reports an update of the device (lastupdated) instead of on every refresh.", "nl": "Only states that have changed are written. Additionally, the state lastSeen of a device can be updated only when the bridge reports an update of the device (lastupdated) instead of on every refresh.", "fr": "Only states that have changed are written. Additionally, the state lastSeen of a device can be updated only when the bridge reports an update of the device (lastupdated) instead of on every refresh.", "it": "Only states that have changed are written. Additionally, the state lastSeen of a device can be updated only when the bridge reports an update of the device (lastupdated) instead of on every refresh.", "es": "Only states that have changed are written. Additionally, the state lastSeen of a device can be updated only when the bridge reports an update of the device (lastupdated) instead of on every refresh.", "pl": "Only states that have changed are written. Additionally, the state lastSeen of a device can be updated only when the bridge reports an update of the device (lastupdated) instead of on every refresh.", "zh-cn": "Only states that have changed are written. Additionally, the state lastSeen of a device can be updated only when the bridge reports an update of the device (lastupdated) instead of on every refresh."},
     "message_connected": {                           "en": "Connected to adapter. Retrieving user..",         "de": "Verbunden zum Adapter. Lade Token..",             "ru": "Подключен к адаптеру. Извлечение пользователей..", "pt": "Conectado ao adaptador. Recuperar usuário..",     "nl": "Aangesloten op adapter. Het ophalen van de gebruiker..", "fr": "Connecté à l'adaptateur. La récupération de l'utilisateur..", "it": "Collegato all'adattatore. Il recupero di utente..", "es": "Conectado al adaptador. La recuperación de usuario..", "pl": "Podłączony do zasilacza. Usuwanie użytkowników..", "zh-cn": "连接器。 检索的用户.."},
     "message_connecting": {                          "en": "Connecting to adapter..",                         "de": "Verbinde zum Adapter..",                          "ru": "Подключение к адаптеру..",                        "pt": "Ligar a placa..",                                 "nl": "Aansluiten op adapter..",                         "fr": "La connexion à la carte..",                       "it": "Collegamento alla scheda..",                      "es": "Conexión a un adaptador..",                       "pl": "Podłączenie do zasilacza..",                      "zh-cn": "连接到适配器.."},
+    "message_discovered": {                          "en": "bridge(s) discovered.",                           "de": "Bridge(s) gefunden.",                             "ru": "bridge(s) discovered.",                           "pt": "bridge(s) discovered.",                           "nl": "bridge(s) discovered.",                           "fr": "bridge(s) discovered.",                           "it": "bridge(s) discovered.",                           "es": "bridge(s) discovered.",                           "pl": "bridge(s) discovered.",                           "zh-cn": "bridge(s) discovered."},
+    "message_discovering": {                         "en": "Discovering bridges (this may take a few seconds)..", "de": "Suche nach Bridges (dies kann einige Sekunden dauern)..", "ru": "Discovering bridges (this may take a few seconds)..", "pt": "Discovering bridges (this may take a few seconds)..", "nl": "Discovering bridges (this may take a few seconds)..", "fr": "Discovering bridges (this may take a few seconds)..", "it": "Discovering bridges (this may take a few seconds)..", "es": "Discovering bridges (this may take a few seconds)..", "pl": "Discovering bridges (this may take a few seconds)..", "zh-cn": "Discovering bridges (this may take a few seconds).."},
+    "message_discoveryFailed": {                     "en": "Discovery of bridges failed!",                    "de": "Suche nach Bridges fehlgeschlagen!",              "ru": "Discovery of bridges failed!",                    "pt": "Discovery of bridges failed!",                    "nl": "Discovery of bridges failed!",                    "fr": "Discovery of bridges failed!",                    "it": "Discovery of bridges failed!",                    "es": "Discovery of bridges failed!",                    "pl": "Discovery of bridges failed!",                    "zh-cn": "Discovery of bridges failed!"},
     "message_error-user": {                          "en": "Could not fetch user from Bridge!",               "de": "Benutzer konnte nicht abgerufen werden!",         "ru": "Не может принести пользователю от моста!",        "pt": "Pode não obter do usuário a partir da Ponte!",    "nl": "Kon het niet halen van de gebruiker van de Brug!", "fr": "Ne pouvait pas aller chercher de l'utilisateur à partir de la passerelle!", "it": "Non è riuscito a recuperare utente dal Ponte!",   "es": "Podría no obtener el usuario de Puente!",         "pl": "Nie może przynieść użytkownikowi od mostu!",      "zh-cn": "不能取用户从桥！"},
     "message_noBridgeIp": {                          "en": "No bridge IP given! Type in a bridge IP!",        "de": "Keine Bridge IP eingetragen! Trage eine Bridge IP ein!", "ru": "Нет моста ИС дано! Введите IP-моста!",            "pt": "Nenhuma ponte IP dado! Digite uma ponte IP!",     "nl": "Geen brug IP gegeven! Typ een brug IP!",          "fr": "Pas de pont IP donnée! Tapez un pont IP!",        "it": "Nessun ponte IP dato! Digitare un ponte IP!",     "es": "Ningún puente IP dado! Escriba en un puente de IP!", "pl": "Nie ma mostu, IZ daje! Wprowadź adres IP mostu!", "zh-cn": "没有桥IP给予！ 在桥IP!"},
     "message_noconnection": {                        "en": "No connection to adapter! Please start adapter first.", "de": "Keine Verbindung zum Adapter! Bitte zunächst den Adapter starten.", "ru": "Нет связи с адаптером! Пожалуйста, начните адаптера.", "pt": "Não há ligação com o adaptador! Por favor, inicie o adaptador de primeira.", "nl": "Geen verbinding met adapter! Start de adapter eerste.", "fr": "Pas de connexion à la carte! S'il vous plaît commencer adaptateur.", "it": "Nessun collegamento alla scheda! Si prega di avviare prima l'adattatore.", "es": "No hay conexión con el adaptador! Por favor, inicie adaptador primero.", "pl": "Nie ma związku z adapterem! Proszę, zacznij od zasilacza.", "zh-cn": "没有连接到适配器! 请启动器的第一个。"},
+    "message_pressButton": {                         "en": "Waiting for the link button of the bridge to be pressed..", "de": "Warte auf das Drücken des Link-Buttons der Bridge..", "ru": "Waiting for the link button of the bridge to be pressed..", "pt": "Waiting for the link button of the bridge to be pressed..", "nl": "Waiting for the link button of the bridge to be pressed..", "fr": "Waiting for the link button of the bridge to be pressed..", "it": "Waiting for the link button of the bridge to be pressed..", "es": "Waiting for the link button of the bridge to be pressed..", "pl": "Waiting for the link button of the bridge to be pressed..", "zh-cn": "Waiting for the link button of the bridge to be pressed.."},
     "modalMessage": {                                "en": "modalMessage",                                    "de": "modalMessage",                                    "ru": "modalMessage",                                    "pt": "modalMessage",                                    "nl": "modalMessage",                                    "fr": "modalMessage",                                    "it": "modalMessage",                                    "es": "modalMessage",                                    "pl": "modalMessage",                                    "zh-cn": "modalMessage"},
     "modalTitle": {                                  "en": "modalTitle",                                      "de": "modalTitle",                                      "ru": "modalTitle",                                      "pt": "modalTitle",                                      "nl": "modalTitle",                                      "fr": "modalTitle",                                      "it": "modalTitle",                                      "es": "modalTitle",                                      "pl": "modalTitle",                                      "zh-cn": "modalTitle"},
     "nameIdAppend": {                                "en": "Append ID to Device Name",                        "de": "Geräte-ID anstellen",                             "ru": "Добавление ID к имени устройства",                "pt": "Acrescentar o ID do Dispositivo, o Nome do",      "nl": "Voeg ID naar de Naam van het Apparaat",           "fr": "Ajouter l'ID de Périphérique Nom",                "it": "Aggiungere l'ID del Dispositivo Nome",            "es": "Anexar IDENTIFICACIÓN a Nombre de Dispositivo",   "pl": "Dodaj ID do nazwy urządzenia",                    "zh-cn": "追加ID设备名称"},
@@ -36,11 +67,13 @@ systemDictionary = {
     "nameInfo": {                                    "en": "Use Device Name in Object tree (instead of ID)",  "de": "Geräte-Namen im Objekt-Baum (anstelle der ID) verwenden", "ru": "Использовать имя устройства в дереве объектов (а не ID)", "pt": "Usar o Nome de Dispositivo na árvore do Objeto (em vez do ID)", "nl": "Gebruik de Naam van het Apparaat in het objectscherm (in plaats van ID)", "fr": "Utilisation Nom de l'Appareil dans l'arborescence des Objets (au lieu de l'ID)", "it": "Utilizzare il Nome del Dispositivo in Oggetto albero (invece di ID)", "es": "El uso de un Nombre de Dispositivo en el árbol de Objetos (en lugar de ID)", "pl": "Używać nazwy urządzenia w drzewie obiektów (a nie ID)", "zh-cn": "使用的设备名称中的目标树(而不是ID)"},
     "onlyForDuplicates": {                           "en": "Use the device ID only for unambiguousness in case devices are having the same name", "de": "Geräte-ID nur bei namensgleichen Einträgen für die Eindeutigkeit verwenden", "ru": "Используем идентификатор устройства только для однозначности в случае устройства с тем же именем", "pt": "Use o ID do dispositivo apenas para unambiguousness no caso de dispositivos com o mesmo nome", "nl": "Gebruik de apparaat-ID alleen voor unambiguousness in geval apparaten met dezelfde naam", "fr": "Utiliser l'ID de l'appareil uniquement pour unambiguousness dans le cas où les appareils ont le même nom", "it": "Utilizzare il dispositivo solo ID per univocità nel caso di dispositivi con lo stesso nome", "es": "Utilizar el IDENTIFICADOR de dispositivo único para unambiguousness en caso de que los dispositivos tienen el mismo nombre", "pl": "Używamy identyfikator urządzenia tylko dla jednoznaczności w przypadku urządzenia o tej samej nazwie", "zh-cn": "使用的设备ID只unambiguousness在的情况下设备的具有相同的名称"},
     "other": {                                       "en": "Other Settings",                                  "de": "Weitere Einstellungen",                           "ru": "Другие Параметры",                                "pt": "Outras Configurações",                            "nl": "Andere Instellingen",                             "fr": "D'Autres Paramètres",                             "it": "Altre Impostazioni",                              "es": "Otros Ajustes",                                   "pl": "Inne Opcje",                                      "zh-cn": "其他的设置"},
+    "pairingInfo": {                                 "en": "Press the button -Get new user- and press the link button on your Hue Bridge (respectively activate pairing mode of deCONZ) within 30 seconds afterwards.", "de": "Den Button -Neuen Benutzer abrufen- drücken und innerhalb der nächsten 30 Sekunden den Link-Button an der Hue Bridge drücken (bzw. den Pairing-Modus von deCONZ aktivieren).", "ru": "Press the button -Get new user- and press the link button on your Hue Bridge (respectively activate pairing mode of deCONZ) within 30 seconds afterwards.", "pt": "Press the button -Get new user- and press the link button on your Hue Bridge (respectively activate pairing mode of deCONZ) within 30 seconds afterwards.", "nl": "Press the button -Get new user- and press the link button on your Hue Bridge (respectively activate pairing mode of deCONZ) within 30 seconds afterwards.", "fr": "Press the button -Get new user- and press the link button on your Hue Bridge (respectively activate pairing mode of deCONZ) within 30 seconds afterwards.", "it": "Press the button -Get new user- and press the link button on your Hue Bridge (respectively activate pairing mode of deCONZ) within 30 seconds afterwards.", "es": "Press the button -Get new user- and press the link button on your Hue Bridge (respectively activate pairing mode of deCONZ) within 30 seconds afterwards.", "pl": "Press the button -Get new user- and press the link button on your Hue Bridge (respectively activate pairing mode of deCONZ) within 30 seconds afterwards.", "zh-cn": "Press the button -Get new user- and press the link button on your Hue Bridge (respectively activate pairing mode of deCONZ) within 30 seconds afterwards."},
     "passphrase": {                                  "en": "Password if private key is additionally encrypted", "de": "Passwort (nur wenn privater Schlüssel zusätzlich verschlüsselt ist)", "ru": "Пароль если секретный ключ дополнительно шифруется", "pt": "Palavra-passe, se a chave privada é além disso criptografados", "nl": "Wachtwoord indien de private sleutel wordt ook versleuteld", "fr": "Mot de passe si la clé privée est en outre chiffrés", "it": "La Password se la chiave privata è cifrate",      "es": "La contraseña, si la clave privada es, además, cifrada", "pl": "Hasło jeśli klucz prywatny dodatkowo szyfrowane", "zh-cn": "密码，如果私人钥匙被另外的加密"},
     "port": {                                        "en": "Bridge Port",                                     "de": "Bridge Port",                                     "ru": "Мост Порт",                                       "pt": "Ponte Do Porto",                                  "nl": "Brug-Poort",                                      "fr": "Port De Pont",                                    "it": "Ponte Di Porta",                                  "es": "Puente Del Puerto",                               "pl": "Most Port",                                       "zh-cn": "桥口"},
     "queue": {                                       "en": "Queue processing (in seconds)",                   "de": "Queue-Verarbeitung (in Sekunden)",                "ru": "Обработка очереди (в секундах)",                  "pt": "A fila de processamento (em segundos)",           "nl": "Rij te verwerken (in seconden)",                  "fr": "File d'attente de traitement (en secondes)",      "it": "La coda di elaborazione (in secondi)",            "es": "La cola de procesamiento (en segundos)",          "pl": "Przetwarzanie kolejki (w sekundach)",             "zh-cn": "的队列中处理(秒)"},
     "queueInfo": {                                   "en": "Time for processing commands in the queue (in seconds). Commands are queued and processed together. This allows to apply several commands at once (and not one-by-one) on your devices.", "de": "Zeit für die Verarbeitung der Befehle in der Warteschlange (in Sekunden). Befehle werden in die Warteschlange gestellt und gemeinsam verarbeitet. Dies ermöglicht das Anwenden mehrerer Befehle gleichzeitig (und nicht nacheinander) auf Ihren Geräten.", "ru": "Время для обработки команд в очереди (в секундах). Команды помещаются в очередь и обрабатываются вместе. Это позволяет применить несколько команд одновременно (и не один) на ваших устройствах.", "pt": "O tempo para o processamento de comandos na fila de espera (em segundos). Os comandos são colocados em fila e processados em conjunto. Isto permite aplicar vários comandos de uma vez (e não de um em um) em todos os seus dispositivos.", "nl": "Tijd voor de verwerking van opdrachten in de wachtrij (in seconden). Opdrachten in een wachtrij worden geplaatst en verwerkt samen. Dit maakt het mogelijk om meerdere opdrachten in één keer (en niet één-op-één) toe aan uw apparatuur.", "fr": "Le temps de traitement des commandes dans la file d'attente (en secondes). Les commandes sont en attente et traitées ensemble. Cela permet d'appliquer plusieurs commandes à la fois (et non pas un par un) sur vos appareils.", "it": "Il tempo per l'elaborazione dei comandi in coda (in secondi). I comandi sono in coda e trattati insieme. Questo permette di applicare diversi comandi in una sola volta (e non uno) sui vostri dispositivi.", "es": "Tiempo para el procesamiento de los comandos en la cola de espera (en segundos). Los comandos están en la cola y se procesan de forma conjunta. Esto permite aplicar varios comandos a la vez (y no uno por uno) en sus dispositivos.", "pl": "Czas do obsługi poleceń w kolejce (w sekundach). Polecenia są umieszczane w kolejce i przetwarzane razem. Pozwala to zastosować kilka drużyn jednocześnie (a nie jeden) na swoich urządzeniach.", "zh-cn": "处理时间命令在队列中(秒)。 命令是排队，并处理在一起。 这允许用若干命令，一旦(而不是逐一)在您的设备。"},
     "refresh": {                                     "en": "Refresh (in seconds)",                            "de": "Aktualisierung (in Sekunden)",                    "ru": "Обновления (в секундах)",                         "pt": "Atualização (em segundos)",                       "nl": "Vernieuwen (in seconden)",                        "fr": "D'actualisation (en secondes)",                   "it": "Aggiornamento (in secondi)",                      "es": "Actualización (en segundos)",                     "pl": "Aktualizacje (w sekundach)",                      "zh-cn": "刷新(秒)"},
+    "refreshChannelsInfo": {                         "en": "Refresh of each channel (in seconds), only the endpoint of the respective channel is retrieved. If left empty, the refresh above is used.", "de": "Aktualisierung je Kanal (in Sekunden), dabei wird nur der Endpunkt des jeweiligen Kanals abgerufen. Wenn leer, wird die obige Aktualisierung verwendet.", "ru": "Refresh of each channel (in seconds), only the endpoint of the respective channel is retrieved. If left empty, the refresh above is used.", "pt": "Refresh of each channel (in seconds), only the endpoint of the respective channel is retrieved. If left empty, the refresh above is used.", "nl": "Refresh of each channel (in seconds), only the endpoint of the respective channel is retrieved. If left empty, the refresh above is used.", "fr": "Refresh of each channel (in seconds), only the endpoint of the respective channel is retrieved. If left empty, the refresh above is used.", "it": "Refresh of each channel (in seconds), only the endpoint of the respective channel is retrieved. If left empty, the refresh above is used.", "es": "Refresh of each channel (in seconds), only the endpoint of the respective channel is retrieved. If left empty, the refresh above is used.", "pl": "Refresh of each channel (in seconds), only the endpoint of the respective channel is retrieved. If left empty, the refresh above is used.", "zh-cn": "Refresh of each channel (in seconds), only the endpoint of the respective channel is retrieved. If left empty, the refresh above is used."},
     "refreshInfo": {                                 "en": "Time for refreshing all settings / information (in seconds). If set to 0, settings will only be refreshed on startup.", "de": "Intervall zur Aktualisierung aller Einstellungen / Daten (in Sekunden). Wenn auf 0 gesetzt werden die Einstellungen nur beim Adapter-Start aktualisiert.", "ru": "Время обновления все настройки / информации (в секундах). Если задано значение 0, параметры будут обновляться при запуске.", "pt": "Tempo para atualizar todas as configurações / informações (em segundos). Se definido como 0, as definições só serão atualizadas na inicialização.", "nl": "Tijd voor het vernieuwen van alle instellingen / informatie (in seconden). Indien ingesteld op 0, instellingen zal alleen worden vernieuwd bij het opstarten.", "fr": "Temps à l'actualisation de tous les paramètres / l'information (en secondes). Si la valeur est 0, les paramètres ne seront actualisées lors du démarrage.", "it": "Tempo per l'aggiornamento di tutte le impostazioni / informazioni (in secondi). Se impostato a 0, le impostazioni vengono solo aggiornati all'avvio.", "es": "Tiempo para la actualización de todos los ajustes / información (en segundos). Si se establece en 0, la configuración sólo se actualiza en el inicio.", "pl": "Podczas aktualizacji wszystkie ustawienia / informacje (w sekundach). Jeżeli określono wartość 0, ustawienia zostaną zaktualizowane po uruchomieniu.", "zh-cn": "时间用于清爽的所有设置/信息(秒)。 如果设定为0、设置将只能刷新启动。"},
     "sceneInfo": {                                   "en": "With this option you may choose how objects for scenes are named within the object tree.", "de": "Nachfolgend kann eingestellt werden, wie die Datenpunkte für Szenen im Objekt-Baum angelegt werden.", "ru": "С помощью этой опции вы можете выбрать, как объекты для сцены имени в дереве объектов.", "pt": "Com esta opção você pode escolher a forma como os objetos para as cenas são nomeados dentro do objeto árvore.", "nl": "Met deze optie kunt u kiezen hoe objecten scènes zijn genoemd in het objectscherm.", "fr": "Avec cette option, vous pouvez choisir la manière dont les objets pour les scènes sont nommés au sein de l'arborescence de l'objet.", "it": "Con questa opzione si può scegliere come oggetti per scene sono indicati all'interno dell'albero di oggetti.", "es": "Con esta opción usted puede elegir la forma de los objetos para las escenas son nombrados en el árbol de objetos.", "pl": "Za pomocą tej opcji można wybrać, jak obiekty sceny nazwy w drzewie obiektów.", "zh-cn": "这个选择你可以选择对象的场景名内对象的树。"},
     "sceneNamingRoom": {                             "en": "Format <pre>scenes.<b>&lt;Name-of-Group&gt;</b>.<b>&lt;Name-of-Scene&gt;</b>.name</pre>", "de": "Format <pre>scenes.<b>&lt;Name-der-Gruppe&gt;</b>.<b>&lt;Name-der-Szene&gt;</b>.name</pre>", "ru": "Формат тега <pre>сцены.<б>&lt;имя-из-группы&ГТ;</б>.<б>&lt;имя-из-сцена&ГТ;</б>.имя и</pre>", "pt": "Formato <pre>cenas.<b>&lt;Nome-do-Grupo - &gt;</b>.<b>&lt;Nome-de-Cena&gt;</b>.nome</pre>", "nl": "Indeling <pre>scènes.<b>&lt;Naam van de Groep&gt;</b>.<b>&lt;Naam-van-Scene&gt;</b>.naam</pre>", "fr": "Format <pre>scènes.<b>&lt;Nom-du-Groupe&gt;</b>.<b>&lt;Nom de Scène&gt;</b>.nom</pre>", "it": "Formato <pre>scene.<b>&lt;Nome del Gruppo&gt;</b>.<b>&lt;Nome-di-Scena&gt;</b>.nome</pre>", "es": "Formato <pre>escenas.<b>&lt;Nombre-de-Grupo&gt;</b>.<b>&lt;Nombre de la Escena&gt;</b>.nombre</pre>", "pl": "Format znacznika <pre>sceny.<b>&lt;nazwa-z-grupy&GT;</b>.<b>&lt;nazwa-z-scena&GT;</b>.imię i</pre>", "zh-cn": "格式<预>的场景。<b>和名称的组gt;</b>.<b>和名称的场景-gt;</b>.名</预>"},
@@ -57,6 +90,7 @@ systemDictionary = {
     "syncRecycled": {                                "en": "Synchronize deleted / recycled items",            "de": "Synchronisiere gelöschte (recycled) Elemente",    "ru": "Синхронизация удаленных / переработанных элементов", "pt": "Sincronizar excluídos / reciclado itens",         "nl": "Synchroniseren verwijderd / gerecycled items",    "fr": "Synchroniser supprimé / articles recyclés",       "it": "Sincronizzare cancellati / oggetti riciclati",    "es": "Sincronizar borrados / artículos reciclados",     "pl": "Synchronizacja pulpitu / recyklingu elementów",   "zh-cn": "同删除/再循环项目"},
     "syncResources": {                               "en": "Synchronize Resources",                           "de": "Synchronisation der Ressourcen",                  "ru": "Синхронизация Ресурсов",                          "pt": "Sincronizar Recursos",                            "nl": "Bronnen Synchroniseren",                          "fr": "La Synchronisation Des Ressources",               "it": "Sincronizzare Le Risorse",                        "es": "Sincronizar Los Recursos",                        "pl": "Synchronizacja Zasobów",                          "zh-cn": "同步的资源"},
     "syncRules": {                                   "en": "Synchronize Rules",                               "de": "Synchronisation der Regeln",                      "ru": "Правила Синхронизации ",                          "pt": "Sincronizar Regras",                              "nl": "Synchroniseren Regels",                           "fr": "Synchroniser Les Règles",                         "it": "Sincronizzare Le Regole",                         "es": "Sincronizar Las Reglas",                          "pl": "Zasady Synchronizacji ",                          "zh-cn": "同的规则"},
+    "syncSceneLightstates": {                        "en": "Synchronize the states of the lights of scenes (lightstates, which may be changed)", "de": "Synchronisiere die Zustände der Lampen von Szenen (lightstates, die geändert werden können)", "ru": "Synchronize the states of the lights of scenes (lightstates, which may be changed)", "pt": "Synchronize the states of the lights of scenes (lightstates, which may be changed)", "nl": "Synchronize the states of the lights of scenes (lightstates, which may be changed)", "fr": "Synchronize the states of the lights of scenes (lightstates, which may be changed)", "it": "Synchronize the states of the lights of scenes (lightstates, which may be changed)", "es": "Synchronize the states of the lights of scenes (lightstates, which may be changed)", "pl": "Synchronize the states of the lights of scenes (lightstates, which may be changed)", "zh-cn": "Synchronize the states of the lights of scenes (lightstates, which may be changed)"},
     "syncScenes": {                                  "en": "Synchronize Scenes",                              "de": "Synchronisation der Szenen",                      "ru": "Синхронизировать Сцены",                          "pt": "Sincronizar Cenas",                               "nl": "Synchroniseren Schermen",                         "fr": "Synchroniser Les Scènes",                         "it": "Sincronizzare Le Scene",                          "es": "Sincronizar Escenas",                             "pl": "Synchronizować Sceny",                            "zh-cn": "同步的场景"},
     "syncScenesDuplicates": {                        "en": "Synchronize duplicated scenes as well",           "de": "Synchronisiere auch doppelte Szenen",             "ru": "Синхронизация дублируются сцены также",           "pt": "Sincronizar duplicado cenas bem",                 "nl": "Synchroniseren gedupliceerd scènes en",           "fr": "Synchroniser dupliqué scènes ainsi",              "it": "Sincronizzare duplicato scene",                   "es": "Sincronizar duplicar escenas así",                "pl": "Synchronizacja powielane sceny również",          "zh-cn": "同步重复的场景"},
     "syncSchedules": {                               "en": "Synchronize Schedules",                           "de": "Synchronisation der Zeitpläne",                   "ru": "Синхронизировать Расписания",                     "pt": "Sincronizar Agendas",                             "nl": "Synchroniseren Schema ' S",                       "fr": "Synchroniser Les Calendriers",                    "it": "Sincronizzare Orari",                             "es": "Sincronizar Los Horarios",                        "pl": "Zsynchronizować Rozkłady Jazdy",                  "zh-cn": "同步时间表"},
@@ -66,8 +100,18 @@ systemDictionary = {
     "tab_config": {                                  "en": "Configuration",                                   "de": "Konfiguration",                                   "ru": "Конфигурации",                                    "pt": "Configuração",                                    "nl": "Configuratie",                                    "fr": "Configuration",                                   "it": "Configurazione",                                  "es": "Configuración",                                   "pl": "Konfiguracji",                                    "zh-cn": "配置"},
     "tab_donate": {                                  "en": "Donation",                                        "de": "Spenden",                                         "ru": "Пожертвование",                                   "pt": "Doação",                                          "nl": "Donatie",                                         "fr": "Don",                                             "it": "Donazione",                                       "es": "Donación",                                        "pl": "Darowizna",                                       "zh-cn": "捐赠"},
     "tab_info": {                                    "en": "Information",                                     "de": "Informationen",                                   "ru": "Информация",                                      "pt": "Informações",                                     "nl": "Informatie",                                      "fr": "Informations",                                    "it": "Informazioni",                                    "es": "Información",                                     "pl": "Informacje",                                      "zh-cn": "的信息"},
+    "tlsVerification": {                             "en": "Verification of certificate (https)",             "de": "Prüfung des Zertifikats (https)",                 "ru": "Verification of certificate (https)",             "pt": "Verification of certificate (https)",             "nl": "Verification of certificate (https)",             "fr": "Verification of certificate (https)",             "it": "Verification of certificate (https)",             "es": "Verification of certificate (https)",             "pl": "Verification of certificate (https)",             "zh-cn": "Verification of certificate (https)"},
+    "tlsVerificationCa": {                           "en": "Root CA of Philips Hue and bridge ID",            "de": "Root CA von Philips Hue und Bridge ID",           "ru": "Root CA of Philips Hue and bridge ID",            "pt": "Root CA of Philips Hue and bridge ID",            "nl": "Root CA of Philips Hue and bridge ID",            "fr": "Root CA of Philips Hue and bridge ID",            "it": "Root CA of Philips Hue and bridge ID",            "es": "Root CA of Philips Hue and bridge ID",            "pl": "Root CA of Philips Hue and bridge ID",            "zh-cn": "Root CA of Philips Hue and bridge ID"},
+    "tlsVerificationNone": {                         "en": "No verification (insecure)",                      "de": "Keine Prüfung (unsicher)",                        "ru": "No verification (insecure)",                      "pt": "No verification (insecure)",                      "nl": "No verification (insecure)",                      "fr": "No verification (insecure)",                      "it": "No verification (insecure)",                      "es": "No verification (insecure)",                      "pl": "No verification (insecure)",                      "zh-cn": "No verification (insecure)"},
+    "tlsVerificationTofu": {                         "en": "Pin certificate on first use (deCONZ / self-signed)", "de": "Zertifikat bei erster Verbindung merken (deCONZ / selbst-signiert)", "ru": "Pin certificate on first use (deCONZ / self-signed)", "pt": "Pin certificate on first use (deCONZ / self-signed)", "nl": "Pin certificate on first use (deCONZ / self-signed)", "fr": "Pin certificate on first use (deCONZ / self-signed)", "it": "Pin certificate on first use (deCONZ / self-signed)", "es": "Pin certificate on first use (deCONZ / self-signed)", "pl": "Pin certificate on first use (deCONZ / self-signed)", "zh-cn": "Pin certificate on first use (deCONZ / self-signed)"},
+    "useEventStream": {                              "en": "Use eventstream of the Hue Bridge",               "de": "Eventstream der Hue Bridge verwenden",            "ru": "Use eventstream of the Hue Bridge",               "pt": "Use eventstream of the Hue Bridge",               "nl": "Use eventstream of the Hue Bridge",               "fr": "Use eventstream of the Hue Bridge",               "it": "Use eventstream of the Hue Bridge",               "es": "Use eventstream of the Hue Bridge",               "pl": "Use eventstream of the Hue Bridge",               "zh-cn": "Use eventstream of the Hue Bridge"},
+    "useEventStreamInfo": {                          "en": "State updates (e.g. button presses or motion) are pushed by the Hue Bridge instantly instead of being polled. While the eventstream is disconnected, the adapter falls back to polling.", "de": "Status-Änderungen (z.B. Tastendrücke oder Bewegungen) werden von der Hue Bridge sofort übermittelt, statt abgefragt zu werden. Solange der Eventstream getrennt ist, fragt der Adapter die Bridge regelmäßig ab.", "ru": "State updates (e.g. button presses or motion) are pushed by the Hue Bridge instantly instead of being polled. While the eventstream is disconnected, the adapter falls back to polling.", "pt": "State updates (e.g. button presses or motion) are pushed by the Hue Bridge instantly instead of being polled. While the eventstream is disconnected, the adapter falls back to polling.", "nl": "State updates (e.g. button presses or motion) are pushed by the Hue Bridge instantly instead of being polled. While the eventstream is disconnected, the adapter falls back to polling.", "fr": "State updates (e.g. button presses or motion) are pushed by the Hue Bridge instantly instead of being polled. While the eventstream is disconnected, the adapter falls back to polling.", "it": "State updates (e.g. button presses or motion) are pushed by the Hue Bridge instantly instead of being polled. While the eventstream is disconnected, the adapter falls back to polling.", "es": "State updates (e.g. button presses or motion) are pushed by the Hue Bridge instantly instead of being polled. While the eventstream is disconnected, the adapter falls back to polling.", "pl": "State updates (e.g. button presses or motion) are pushed by the Hue Bridge instantly instead of being polled. While the eventstream is disconnected, the adapter falls back to polling.", "zh-cn": "State updates (e.g. button presses or motion) are pushed by the Hue Bridge instantly instead of being polled. While the eventstream is disconnected, the adapter falls back to polling."},
     "useNames": {                                    "en": "Use Device Name",                                 "de": "Geräte-Namen verwenden",                          "ru": "Использовать Имя Устройства ",                    "pt": "Usar O Nome De Dispositivo",                      "nl": "Gebruik De Naam Van Het Apparaat",                "fr": "Utilisation Nom De L'Appareil",                   "it": "Utilizzare Il Nome Del Dispositivo",              "es": "El Uso De Un Nombre De Dispositivo",              "pl": "Używać Nazwy Urządzenia ",                        "zh-cn": "使用的设备名称"},
     "useQueue": {                                    "en": "Use Queue",                                       "de": "Benutze Warteschlange",                           "ru": "Использование Очереди",                           "pt": "Use Fila",                                        "nl": "Gebruik Wachtrij",                                "fr": "L'Utilisation De La File D'Attente",              "it": "Utilizzare La Coda",                              "es": "El Uso De La Cola De",                            "pl": "Korzystanie Z Kolejki",                           "zh-cn": "使用排队"},
     "user": {                                        "en": "Bridge User",                                     "de": "Bridge Benutzer",                                 "ru": "Пользователь Мост ",                              "pt": "Ponte Do Usuário",                                "nl": "Brug Gebruiker",                                  "fr": "Pont De L'Utilisateur",                           "it": "Ponte Utente",                                    "es": "Puente De Usuario",                               "pl": "Użytkownik Przednia ",                            "zh-cn": "桥户"},
+    "verifyCommands": {                              "en": "Verify commands",                                 "de": "Befehle überprüfen",                              "ru": "Verify commands",                                 "pt": "Verify commands",                                 "nl": "Verify commands",                                 "fr": "Verify commands",                                 "it": "Verify commands",                                 "es": "Verify commands",                                 "pl": "Verify commands",                                 "zh-cn": "Verify commands"},
+    "verifyCommandsInfo": {                          "en": "Read back the states of the lights after each command and resend differences (up to three attempts). Wait time before reading back (in seconds, in addition to the transition time):", "de": "Zustände der Lampen nach jedem Befehl zurücklesen und Abweichungen erneut senden (bis zu drei Versuche). Wartezeit vor dem Zurücklesen (in Sekunden, zusätzlich zur Übergangszeit):", "ru": "Read back the states of the lights after each command and resend differences (up to three attempts). Wait time before reading back (in seconds, in addition to the transition time):", "pt": "Read back the states of the lights after each command and resend differences (up to three attempts). Wait time before reading back (in seconds, in addition to the transition time):", "nl": "Read back the states of the lights after each command and resend differences (up to three attempts). Wait time before reading back (in seconds, in addition to the transition time):", "fr": "Read back the states of the lights after each command and resend differences (up to three attempts). Wait time before reading back (in seconds, in addition to the transition time):", "it": "Read back the states of the lights after each command and resend differences (up to three attempts). Wait time before reading back (in seconds, in addition to the transition time):", "es": "Read back the states of the lights after each command and resend differences (up to three attempts). Wait time before reading back (in seconds, in addition to the transition time):", "pl": "Read back the states of the lights after each command and resend differences (up to three attempts). Wait time before reading back (in seconds, in addition to the transition time):", "zh-cn": "Read back the states of the lights after each command and resend differences (up to three attempts). Wait time before reading back (in seconds, in addition to the transition time):"},
+    "verifyDelay": {                                 "en": "Wait time before verifying (in seconds)",         "de": "Wartezeit vor der Überprüfung (in Sekunden)",     "ru": "Wait time before verifying (in seconds)",         "pt": "Wait time before verifying (in seconds)",         "nl": "Wait time before verifying (in seconds)",         "fr": "Wait time before verifying (in seconds)",         "it": "Wait time before verifying (in seconds)",         "es": "Wait time before verifying (in seconds)",         "pl": "Wait time before verifying (in seconds)",         "zh-cn": "Wait time before verifying (in seconds)"},
+    "websocketPort": {                               "en": "Websocket Port",                                  "de": "Websocket Port",                                  "ru": "Websocket Port",                                  "pt": "Websocket Port",                                  "nl": "Websocket Port",                                  "fr": "Websocket Port",                                  "it": "Websocket Port",                                  "es": "Websocket Port",                                  "pl": "Websocket Port",                                  "zh-cn": "Websocket Port"},
     "bridgeType": {                                  "de": "Typ"},
 };
\ No newline at end of file
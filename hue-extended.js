@@ -7,7 +7,16 @@ const _request = require('request-promise');
 const _websocket = require('ws');
 const _color = require('color-convert');
 const _hueColor = require('./lib/node-hue-api');
+const _hueV2 = require('./lib/hue-v2');
+const _discovery = require('./lib/discovery');
+const _certificates = require('./lib/certificates');
+const EventStream = require('./lib/eventstream');
+const RateLimiter = require('./lib/ratelimiter');
 const _ctColor = require('./lib/ct-color-converter');
+const _circadian = require('./lib/circadian');
+const _effects = require('./lib/effects');
+const _increments = require('./lib/increments');
+const _verify = require('./lib/verify');
 
 
 /*
@@ -27,15 +36,37 @@ const _CHANNELS = ['alarmsystems', 'config', 'groups', 'lights', 'resourcelinks'
  */
 let adapter;
 let library;
-let unloaded, delay = 0, retry = 0;
-let garbageCollector, refreshCycle;
+let unloaded;
+let garbageCollector, queueRun, pairingRetry, adaptiveRun;
+let COORDINATES = null; // coordinates of the system (used for adaptive lighting)
+let FADES = {}; // running fades of lights and groups (by path)
+let EFFECTS = {}; // running software effects of lights and groups (by path)
+let PAIRING = null; // progress of the link button pairing
 
 
-let REQUEST_OPTIONS = { 'json': true };
 let MAX_ATTEMPTS = 3;
-let bridge, device;
-let DEVICES = {};
-let QUEUE = {};
+let device, deviceColorTemperature; // name and color temperature range of the device currently read
+let BRIDGES = {}; // connection, index (devices) and queue of each bridge
+let COLOR_TEMPERATURE_RANGES = {}; // range of the color temperature states (in Kelvin), which have been applied
+const PUSH_REFRESH = 5*60; // polling interval (in seconds) while state updates are pushed
+const MIN_REFRESH = 2; // minimum polling interval (in seconds)
+const LAST_SEEN_REFRESH = 60; // minimum interval (in seconds) to update the last seen of unchanged devices
+const WEBSOCKET_HEARTBEAT = 30; // interval (in seconds) to check liveness of the websocket
+const PAIRING_TIMEOUT = 30; // time (in seconds) to wait for the link button to be pressed
+const RATE_LIMITS = { 'lights': { 'rate': 10 }, 'groups': { 'rate': 1 }, 'polling': { 'rate': 5, 'burst': 10, 'isolated': true } }; // requests per second to the bridge, polling separated from commands (see https://developers.meethue.com/develop/application-design-guidance/hue-system-performance/)
+const INCREMENTS = _increments.INCREMENTS; // limit of the relative adjustments (positive and negative) and range of the respective absolute values
+const CT_RANGE = { 'min': 153, 'max': 500 }; // range of the color temperature (in Mired) supported by the API
+const ADAPTIVE_TRANSITION = 10; // transition time (in seconds) when adjusting lights by adaptive lighting
+const ADAPTIVE_IGNORE = ['on', 'onOffAllLights', 'alert', 'transitiontime']; // commands not pausing adaptive lighting
+const FADE_STEP = 10; // interval (in seconds) of the commands of a fade
+const FADE_CURVES = { // progress of brightness and color temperature (between 0 and 1) depending on the elapsed time of a fade (between 0 and 1)
+	'linear': { 'bri': t => t, 'ct': t => t },
+	'ease-in': { 'bri': t => t*t, 'ct': t => t*t },
+	'ease-out': { 'bri': t => 1-(1-t)*(1-t), 'ct': t => 1-(1-t)*(1-t) },
+	'ease-in-out': { 'bri': t => t < 0.5 ? 2*t*t : 1-2*(1-t)*(1-t), 'ct': t => t < 0.5 ? 2*t*t : 1-2*(1-t)*(1-t) },
+	'sunrise': { 'bri': t => (Math.pow(100, t)-1) / 99, 'ct': t => 1-(1-t)*(1-t) } // brightness perceived as linear, light turns cool early
+};
+const LIGHTSTATES = { 'on': 'on', 'brightness': 'bri', 'colorTemperature': 'ct', 'xy': 'xy', 'hue': 'hue', 'saturation': 'sat', 'transitiontime': 'transitiontime' }; // states of the lightstates of scenes
 
 
 /*
@@ -62,49 +93,33 @@ function startAdapter(options) {
 		
 		// Check Configuration
 		library.set(Library.CONNECTION, true);
-		if (!adapter.config.bridgeIp || !adapter.config.bridgeUser) {
+		let bridges = (adapter.config.bridges || []).filter(bridge => bridge.active !== false && bridge.bridgeIp && bridge.bridgeUser);
+		if ((!adapter.config.bridgeIp || !adapter.config.bridgeUser) && bridges.length == 0) {
 			return library.terminate('Please provide connection settings for Hue Bridge!');
 		}
 		
 		// 
 		MAX_ATTEMPTS = adapter.config.maxAttempts || MAX_ATTEMPTS;
 		
-		// Secure connection
-		REQUEST_OPTIONS.secureConnection = false;
-		if (adapter.config.secureConnection) {
-			adapter.log.info('Establishing secure connection to bridge..');
-			
-			try {
-				REQUEST_OPTIONS = {
-					...REQUEST_OPTIONS,
-					'cert': adapter.config.certPublicPath.indexOf('.') === -1 ? adapter.config.certPublicPath : _fs.readFileSync(adapter.config.certPublicPath),
-					'key': adapter.config.certPrivatePath.indexOf('.') === -1 ? adapter.config.certPrivatePath : _fs.readFileSync(adapter.config.certPrivatePath),
-					'rejectUnauthorized': false,
-					'secureConnection': true
-				};
-				
-				if (adapter.config.certChainedPath) {
-					REQUEST_OPTIONS.ca = adapter.config.certChainedPath.indexOf('.') === -1 ? adapter.config.certChainedPath : _fs.readFileSync(adapter.config.certChainedPath);
-				}
-				
-				if (REQUEST_OPTIONS.key.indexOf('ENCRYPTED') > -1) {
-					REQUEST_OPTIONS.passphrase = adapter.config.passphrase;
-				}
-			}
-			catch(err) {
-				adapter.log.warn('Establishing secure connection failed! Falling back to unsecure connection to bridge..');
-				adapter.log.debug(err.message);
-				
-				REQUEST_OPTIONS.secureConnection = false;
-			}
+		// polling intervals (general and per channel)
+		if (['refresh', ..._CHANNELS.map(channel => 'refresh' + library.ucFirst(channel))].some(key => adapter.config[key] > 0 && adapter.config[key] < MIN_REFRESH)) {
+			adapter.log.warn('Due to performance reasons, the refresh rate can not be set to less than ' + MIN_REFRESH + ' seconds. Using ' + MIN_REFRESH + ' seconds now.');
 		}
-		else {
-			adapter.log.info('Establishing connection to bridge..');
+		
+		// Bridge connection (bridge of the main settings is kept in the root of the object tree)
+		if (adapter.config.bridgeIp && adapter.config.bridgeUser) {
+			BRIDGES[''] = createBridge('', adapter.config);
 		}
 		
-		// Bridge connection
-		adapter.config.bridgePort = REQUEST_OPTIONS.secureConnection ? 443 : (adapter.config.bridgePort || 80);
-		bridge = (REQUEST_OPTIONS.secureConnection ? 'https://' : 'http://') + adapter.config.bridgeIp + ':' + adapter.config.bridgePort + '/api/' + adapter.config.bridgeUser + '/';
+		// additional bridges (each within its own namespace bridges.<id>)
+		bridges.forEach((config, i) => {
+			let id = library.clean(config.name || '', true, '_').replace(/\./g, '-') || String(i+1);
+			if (BRIDGES[id]) {
+				return adapter.log.warn('Bridge ' + (config.name || id) + ' has been configured multiple times! Skipping duplicate..');
+			}
+			
+			BRIDGES[id] = createBridge(id, { 'useEventStream': adapter.config.useEventStream, ...config }); // eventstream falls back to main settings for bridges configured without this option
+		});
 		
 		// retrieve all values from states to avoid message "Unsubscribe from all states, except system's, because over 3 seconds the number of events is over 200 (in last second 0)"
 		adapter.getStates(adapterName + '.' + adapter.instance + '.*', (err, states) => {
@@ -115,60 +130,56 @@ function startAdapter(options) {
 				library.setDeviceState(state.replace(adapterName + '.' + adapter.instance + '.', ''), states[state] && states[state].val);
 			}
 			
-			// use websocket for state updates, if possible
-			const ws = new _websocket('ws://' + (adapter.config.websocketIp || adapter.config.bridgeIp) + ':' + (adapter.config.websocketPort || 443));
-			
-			ws.on('open', () => {
-				adapter.log.info('Using websockets for state updates.');
-				getPayload(30);
-			});
-			
-			ws.on('error', () => {
-				adapter.log.info('Using polling for state updates.');
-				getPayload(adapter.config.refresh || 30);
-			});
-			
-			ws.onmessage = msg => {
-				let data = null;
-				try {
-					data = JSON.parse(msg.data);
-					if (data.state || data.sensor || data.light || data.group || data.config) {
-						adapter.log.debug('Received data from websocket: ' + msg.data);
-						
-						addBridgeData(data.r, {
-							[data.id]: {
-								name: DEVICES[data.r][data.id].name,
-								state: data.state || {},
-								sensor: data.sensor || {},
-								light: data.light || {},
-								group: data.group || {},
-								config: data.config || {}
-							}
-						});
-					}
+			for (let id in BRIDGES) {
+				let bridge = BRIDGES[id];
+				
+				// create namespace of bridge
+				if (bridge.namespace) {
+					library.set({ 'node': 'bridges', 'role': 'channel', 'description': 'Bridges' });
+					library.set({ 'node': bridge.namespace.slice(0, -1), 'role': 'device', 'description': bridge.name });
+					library.set({ 'node': bridge.namespace + 'info', 'role': 'channel', 'description': 'Bridge Information' });
+				}
+				
+				// certificate of bridge (values pinned on first use)
+				if (bridge.agent) {
+					bridge.certificate.bridgeId = bridge.certificate.bridgeId || library.getDeviceState(bridge.namespace + 'info.certificate.bridgeId') || null;
+					bridge.certificate.fingerprint = library.getDeviceState(bridge.namespace + 'info.certificate.fingerprint') || null;
 					
+					library.set({ 'node': bridge.namespace + 'info.certificate', 'role': 'channel', 'description': 'Certificate of Bridge' });
+					library.set({ ...library.getNode('info.certificate.verification'), 'node': bridge.namespace + 'info.certificate.verification' }, bridge.certificate.mode);
+					setCertificate(bridge);
 				}
-				catch(err) {
-					adapter.log.debug('Could not parse data from websocket!');
-					adapter.log.debug(err.message);
+				
+				// use websocket (deCONZ) or eventstream (Hue Bridge) for state updates, if possible (polling is started once connected or failed)
+				setTransport(bridge, 'polling');
+				if (bridge.config.bridgeType == 'deconz') {
+					connectWebsocket(bridge);
+				}
+				else if (bridge.config.useEventStream) {
+					listenEventStream(bridge);
+				}
+				else {
+					adapter.log.info('Using polling for state updates of ' + bridge.name + '.');
+					getPayload(bridge);
 				}
+				
+				// add states for last action
+				readData(
+					bridge,
+					bridge.namespace + 'info',
+					{
+						'lastAction': {
+							'timestamp': library.getDeviceState(bridge.namespace + 'info.lastAction.timestamp'),
+							'datetime': library.getDeviceState(bridge.namespace + 'info.lastAction.datetime'),
+							'lastCommand': library.getDeviceState(bridge.namespace + 'info.lastAction.lastCommand'),
+							'lastResult': library.getDeviceState(bridge.namespace + 'info.lastAction.lastResult'),
+							'error': library.getDeviceState(bridge.namespace + 'info.lastAction.error')
+						}
+					},
+					''
+				);
 			}
 			
-			// add states for last action
-			readData(
-				'info',
-				{
-					'lastAction': {
-						'timestamp': library.getDeviceState('info.lastAction.timestamp'),
-						'datetime': library.getDeviceState('info.lastAction.datetime'),
-						'lastCommand': library.getDeviceState('info.lastAction.lastCommand'),
-						'lastResult': library.getDeviceState('info.lastAction.lastResult'),
-						'error': library.getDeviceState('info.lastAction.error')
-					}
-				},
-				''
-			);
-			
 			// delete old states (which were not updated recently)
 			garbageCollector = setTimeout(function runGarbageCollector() {
 				if (!unloaded && adapter.config.refresh > 0 && adapter.config.garbageCollector) {
@@ -183,6 +194,22 @@ function startAdapter(options) {
 		if (adapter.config.useQueue) {
 			queue();
 		}
+		
+		// start adaptive lighting (based on the coordinates of the system)
+		if (adapter.config.adaptive) {
+			adapter.getForeignObject('system.config', (err, obj) => {
+				let latitude = obj && obj.common ? Number.parseFloat(obj.common.latitude) : NaN;
+				let longitude = obj && obj.common ? Number.parseFloat(obj.common.longitude) : NaN;
+				
+				if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+					adapter.log.warn('Adaptive lighting requires the coordinates (latitude and longitude) to be set in the system settings of ioBroker!');
+					return;
+				}
+				
+				COORDINATES = { 'latitude': latitude, 'longitude': longitude };
+				adaptiveRun = setTimeout(adapt, 10*1000);
+			});
+		}
 	});
 
 	/*
@@ -197,12 +224,31 @@ function startAdapter(options) {
 		
 		// get params & action
 		let params = id.replace(adapterName + '.' + adapter.instance + '.', '').split('.');
+		let bridge = params[0] == 'bridges' ? BRIDGES[params.splice(0, 2)[1]] : BRIDGES[''];
 		let action = params.pop();
 		let path = params.join('.');
 		
+		// no bridge
+		if (!bridge) {
+			adapter.log.warn('Command can not be send to device due to error (unknown bridge)!');
+			return false;
+		}
+		
+		// pinned certificate has been changed / cleared (a cleared value will be pinned again on next connection)
+		if (path == 'info.certificate') {
+			bridge.certificate[action] = state.val || (action == 'bridgeId' && bridge.config.bridgeId) || null;
+			adapter.log.info('Pinned ' + action + ' of certificate of ' + bridge.name + ' has been ' + (state.val ? 'changed' : 'cleared') + '.');
+			return setCertificate(bridge);
+		}
+		
+		// lightstate of a scene has been changed
+		if (path.indexOf('.lightstates.') > -1) {
+			return setLightstate(bridge, bridge.namespace + path.substr(0, path.indexOf('.lightstates.')), path.substr(path.indexOf('.lightstates.')+13), action, state.val);
+		}
+		
 		// appliance data
 		let appliance = {};
-		appliance.path = path.substr(0, path.lastIndexOf('.'));
+		appliance.path = bridge.namespace + path.substr(0, path.lastIndexOf('.'));
 		appliance.type = params.splice(0,1).toString();
 		appliance.name = library.getDeviceState(appliance.path + '.name');
 		appliance.uid = library.getDeviceState(appliance.path + '.uid');
@@ -214,19 +260,37 @@ function startAdapter(options) {
 			return false;
 		}
 		
-		// no DEVICES loaded so far
-		else if (DEVICES[appliance.type] === undefined) {
+		// no devices loaded so far
+		else if (bridge.devices[appliance.type] === undefined) {
 			adapter.log.warn('Devices not retrieved from Bridge so far! Command aborted.');
 			return false;
 		}
 		
+		// settings of adaptive lighting have been changed
+		if (path.substr(path.lastIndexOf('.')+1) == 'adaptive') {
+			library._setValue(bridge.namespace + path + '.' + action, state.val);
+			adapter.log.info('Adaptive lighting of ' + appliance.name + ' has been changed (' + action + ': ' + state.val + ').');
+			return COORDINATES && adapt();
+		}
+		
 		// reset if scene was set
 		if (action == 'scene') {
 			library._setValue(id, '');
 		}
 		
+		// reset if relative adjustment was set
+		if (INCREMENTS[action] !== undefined) {
+			library._setValue(id, action == 'xy_inc' ? '' : 0);
+		}
+		
+		// confirm dimming
+		if (action == 'dim' && _increments.getDimming('hue', state.val) !== null) {
+			library._setValue(id, state.val);
+		}
+		
 		// build command
 		let commands = { [action]: state.val };
+		let lightCommands = {}; // individual commands for lights of a group
 		
 		// override with provided commands
 		if (action == '_commands') {
@@ -258,7 +322,7 @@ function startAdapter(options) {
 			if (action == 'transitiontime') {
 				
 				// get current lightstates
-				_request({ ...REQUEST_OPTIONS, 'uri': bridge + 'scenes/' + scene.uid })
+				request(bridge, 'lights', { ...bridge.requestOptions, 'uri': bridge.url + 'scenes/' + scene.uid })
 					.then(s => {
 						if (s.lightstates && typeof s.lightstates == 'object') {
 							
@@ -268,9 +332,9 @@ function startAdapter(options) {
 								let lightstate = s.lightstates[key];
 								lightstate.transitiontime = state.val;
 							
-								_request({
-									...REQUEST_OPTIONS,
-									uri: bridge + 'scenes/' + scene.uid + '/lightstates/' + key,
+								request(bridge, 'lights', {
+									...bridge.requestOptions,
+									uri: bridge.url + 'scenes/' + scene.uid + '/lightstates/' + key,
 									method: 'PUT',
 									body: s.lightstates[key]
 
@@ -286,11 +350,17 @@ function startAdapter(options) {
 				return false;
 			}
 			
+			// cancel fades and software effects of the lights of the scene
+			let sceneLights = bridge.devices['scenes'] && bridge.devices['scenes'][appliance.uid] && bridge.devices['scenes'][appliance.uid].lights;
+			Array.isArray(sceneLights) && cancelFades(bridge, sceneLights);
+			Array.isArray(sceneLights) && stopEffects(bridge, sceneLights);
+			
 			// GroupScene
 			if (scene.type == 'GroupScene') {
 				appliance.trigger = 'groups/' + scene.groupId + '/action';
-				appliance.name = DEVICES['groups'][scene.groupId].name + ' (' + scene.name + ')';
+				appliance.name = bridge.devices['groups'][scene.groupId].name + ' (' + scene.name + ')';
 				commands = { 'scene': appliance.uid };
+				bridge.recalledScenes[scene.groupId] = appliance.uid;
 			}
 			
 			// LightScene
@@ -343,7 +413,83 @@ function startAdapter(options) {
 		
 		// handle lights or groups
 		else if (appliance.type == 'lights' || appliance.type == 'groups') {
-			let lights = appliance.type == 'lights' ? [appliance.uid] : DEVICES['groups'][appliance.uid].lights;
+			let lights = appliance.type == 'lights' ? [appliance.uid] : bridge.devices['groups'][appliance.uid].lights;
+			
+			// create a scene from the current states of the lights of the group
+			if (action == 'saveScene') {
+				library._setValue(bridge.namespace + path + '.' + action, '');
+				
+				if (appliance.type != 'groups') {
+					adapter.log.warn('Scenes can only be saved for groups!');
+					return false;
+				}
+				
+				return createScene(bridge, appliance.uid, state.val).catch(err => adapter.log.warn('Failed creating scene ' + state.val + ' for ' + appliance.name + ' (' + err.message + ')!'));
+			}
+			
+			// scenes to step through (in the given order)
+			if (action == 'sceneCycle') {
+				library._setValue(bridge.namespace + path + '.' + action, state.val);
+				adapter.log.info('Scenes to step through of ' + appliance.name + ' have been changed to ' + (state.val || 'all scenes of the group') + '.');
+				return false;
+			}
+			
+			// step through the scenes of the group
+			if (action == 'nextScene' || action == 'previousScene') {
+				library._setValue(bridge.namespace + path + '.' + action, false);
+				
+				if (appliance.type != 'groups') {
+					adapter.log.warn('Scenes can only be stepped through for groups!');
+					return false;
+				}
+				
+				let scene = getCycleScene(bridge, appliance, action == 'nextScene' ? 1 : -1);
+				if (!scene) {
+					adapter.log.warn('No scenes to step through for ' + appliance.name + '!');
+					return false;
+				}
+				
+				action = 'scene';
+				commands = { 'scene': scene };
+			}
+			
+			// recall scene (optionally with transition time and brightness)
+			if (action == 'scene') {
+				let recall = getSceneRecall(bridge, appliance, commands.scene);
+				if (!recall) {
+					adapter.log.warn('Invalid or unknown scene given (' + commands.scene + ')! Must be either the ID / name of a scene of the group or JSON, e.g. {"scene": "Relax", "transitiontime": 20, "brightness": 127}.');
+					return false;
+				}
+				
+				commands = recall;
+				appliance.force = true; // scene changes the states, thus do not drop the brightness
+				appliance.type == 'groups' && (bridge.recalledScenes[appliance.uid] = recall.scene);
+			}
+			
+			// save the current states of the lights
+			if (action == 'snapshot') {
+				library._setValue(bridge.namespace + path + '.' + action, false);
+				return snapshot(bridge, appliance, lights);
+			}
+			
+			// cancel running fades of the lights (any command, including a new fade)
+			cancelFades(bridge, lights);
+			if (action == 'fade') {
+				return fade(bridge, appliance, lights, state.val);
+			}
+			
+			// stop running software effects of the lights (previous state is only restored when a software effect is stopped explicitly)
+			if (action == 'softwareEffect') {
+				return effect(bridge, appliance, lights, state.val);
+			}
+			
+			stopEffects(bridge, lights);
+			
+			// restore the saved states of the lights
+			if (action == 'restore') {
+				library._setValue(bridge.namespace + path + '.' + action, false);
+				return restore(bridge, appliance);
+			}
 			
 			// handle color spaces
 			let value = commands[action];
@@ -376,6 +522,24 @@ function startAdapter(options) {
 				};
 			}
 			
+			// adaptive lighting is applied when lights are turned on and paused when lights are changed manually
+			let adaptiveGroups = COORDINATES ? getAdaptiveGroups(bridge, appliance.type, appliance.uid) : [];
+			if (adaptiveGroups.length > 0 && (commands.on === true || commands.onOffAllLights === true) && Object.keys(commands).every(key => ADAPTIVE_IGNORE.indexOf(key) > -1)) {
+				let adaptiveGroup = adaptiveGroups.find(group => !group.paused);
+				
+				if (adaptiveGroup) {
+					let setpoint = _circadian.getSetpoint(new Date(), COORDINATES.latitude, COORDINATES.longitude, getAdaptiveCurve(adaptiveGroup.path));
+					commands.bri = Math.max(Math.min(Math.round(setpoint.brightness*2.54), 254), 1);
+					library.getDeviceState(appliance.path + '.action.colorTemperature') !== null && (commands.ct = setpoint.colorTemperature);
+				}
+			}
+			else if (Object.keys(commands).some(key => ADAPTIVE_IGNORE.indexOf(key) === -1)) {
+				adaptiveGroups.filter(group => !group.paused).forEach(group => {
+					adapter.log.info('Adaptive lighting of ' + bridge.devices['groups'][group.uid].name + ' has been paused due to manual change.');
+					library.set({ ...library.getNode('groups.adaptive.paused'), 'node': group.path + '.adaptive.paused' }, true, { 'subscribe': true });
+				});
+			}
+			
 			// check for each light, if hue lab scene is activated
 			//
 			// this has to be done for each light, because hue labs scenes might be activated for multiple groups
@@ -389,30 +553,29 @@ function startAdapter(options) {
 				
 				// light identifier
 				let light = lights[index];
-				let lightId = library.clean(DEVICES['lights'][light].name, true, '_').replace(/\./g, '-');
-				let lightUid = adapter.config.nameId == 'append' ? light : ('00' + light).substr(-3);
+				let lightPath = getDevicePath(bridge, 'lights', light);
 				
 				// check for activated hue lab scene
-				hueLabScene = library.getDeviceState('lights.' + (adapter.config.nameId == 'append' ? lightId + '-' + lightUid : lightUid + '-' + lightId) + '.action.hueLabScene');
+				hueLabScene = library.getDeviceState(lightPath + '.action.hueLabScene');
 				if (hueLabScene) {
 					
 					// turn off hue lab scene
-					let command = DEVICES['scenes'][hueLabScene].command;
+					let command = bridge.devices['scenes'][hueLabScene].command;
 					if (command.body && command.body.status === 0) {
 						library.setDeviceState(appliance.path + '.action.hueLabScene', '');
-						sendCommand({ 'type': 'scenes', 'path': DEVICES['scenes'][hueLabScene].path, 'name': DEVICES['scenes'][hueLabScene].name, 'trigger': command.address, 'method': command.method }, command.body);
+						sendCommand(bridge, { 'type': 'scenes', 'path': bridge.devices['scenes'][hueLabScene].path, 'name': bridge.devices['scenes'][hueLabScene].name, 'trigger': command.address, 'method': command.method }, command.body);
 					}
 				}
 				
 				// get manufacturers
-				manufacturers.push(library.getDeviceState('lights.' + (adapter.config.nameId == 'append' ? lightId + '-' + lightUid : lightUid + '-' + lightId) + '.manufacturername'));
-				xySupported.push(library.getDeviceState('lights.' + (adapter.config.nameId == 'append' ? lightId + '-' + lightUid : lightUid + '-' + lightId) + '.action.xy'));
+				manufacturers.push(library.getDeviceState(lightPath + '.manufacturername'));
+				xySupported.push(library.getDeviceState(lightPath + '.action.xy'));
 				
 				// only set lights in a group which are on already
-				if (appliance.type == 'groups' && adapter.config.switchOnlyWhenOn && (action === 'on' || library.getDeviceState('lights.' + (adapter.config.nameId == 'append' ? lightId + '-' + lightUid : lightUid + '-' + lightId) + '.action.on') === true)) {
-					adapter.log.warn('switchOnlyWhenOn: lights.' + (adapter.config.nameId == 'append' ? lightId + '-' + lightUid : lightUid + '-' + lightId) + '.action.' + action + ' with ' + state.val);
+				if (appliance.type == 'groups' && adapter.config.switchOnlyWhenOn && (action === 'on' || library.getDeviceState(lightPath + '.action.on') === true)) {
+					adapter.log.warn('switchOnlyWhenOn: ' + lightPath + '.action.' + action + ' with ' + state.val);
 					
-					library._setValue('lights.' + (adapter.config.nameId == 'append' ? lightId + '-' + lightUid : lightUid + '-' + lightId) + '.action.' + action, state.val, { ack: false });
+					library._setValue(lightPath + '.action.' + action, state.val, { ack: false });
 				}
 			}
 			
@@ -426,7 +589,7 @@ function startAdapter(options) {
 			
 			//
 			// go through commands and modify if required
-			let obj;
+			let obj, dimStop = false;
 			for (action in commands) {
 				value = commands[action];
 				obj = action;
@@ -477,8 +640,39 @@ function startAdapter(options) {
 					commands.hue = Math.max(Math.min(Math.round(value / 360 * 65535), 65535), 0);
 				}
 				
-				if (action == 'ct' && value > 500) {
-					commands.ct = Math.max(Math.min(Math.round(1 / value * 1000000), 500), 153);
+				// clamp color temperature to the range of the light
+				if (action == 'ct') {
+					let range = appliance.type == 'lights' ? getColorTemperatureRange(bridge, appliance.uid) : CT_RANGE;
+					commands.ct = Math.max(Math.min(Math.round(value > 500 ? 1 / value * 1000000 : value), range.max), range.min);
+				}
+				
+				// start / stop dimming (brightness is retrieved from the bridge once dimming has been stopped)
+				if (action == 'dim') {
+					let dimming = _increments.getDimming(bridge.config.bridgeType, value);
+					delete commands.dim;
+					
+					if (!dimming) {
+						adapter.log.warn('Invalid value for dim given (' + value + ')! Must be either up, down or stop.');
+					}
+					else {
+						Object.assign(commands, dimming);
+						dimStop = value == 'stop';
+						appliance.refresh = dimStop;
+					}
+				}
+				
+				// convert relative adjustments (hue in degree) and clamp them to the limits of the bridge
+				if (INCREMENTS[action] !== undefined) {
+					value = action == 'xy_inc' ? (Array.isArray(value) ? value : String(value).split(',')).map(val => Number.parseFloat(val)) : Number.parseFloat(value);
+					value = action == 'hue_inc' && Math.abs(value) <= 360 ? value / 360 * 65535 : value;
+					
+					if ((Array.isArray(value) && (value.length != 2 || value.some(val => Number.isNaN(val)))) || Number.isNaN(value)) {
+						adapter.log.warn('Invalid value for ' + action + ' given (' + JSON.stringify(commands[action]) + ')!');
+						delete commands[action];
+					}
+					else {
+						commands[action] = _increments.clampIncrement(action, value);
+					}
 				}
 			}
 			
@@ -507,29 +701,75 @@ function startAdapter(options) {
 				if (rgb === null || rgb[0] === undefined || rgb[0] === null) {
 					adapter.log.warn('Invalid RGB given (' + JSON.stringify(rgb) + ')!');
 				}
+				
+				// convert within the color gamut of each light (lights of a group with different color gamuts get individual xy values)
 				else {
-					commands.xy = _hueColor.convertRGBtoXY(rgb);
+					let xys = lights.filter((light, index) => xySupported[index] !== null).map(light => ({ 'light': light, 'xy': _hueColor.convertRGBtoXY(rgb, getGamut(bridge, light)) }));
+					commands.xy = xys.length > 0 ? xys[0].xy : _hueColor.convertRGBtoXY(rgb);
+					
+					if (appliance.type == 'groups' && xys.some(entry => entry.xy.join() != commands.xy.join())) {
+						xys.forEach(entry => lightCommands[entry.light] = { 'xy': entry.xy });
+						delete commands.xy;
+						delete commands.hue;
+						delete commands.sat;
+					}
 				}
 			}
 			
+			// map color to the closest color temperature for lights only supporting color temperature
+			if (commands.xy !== undefined || commands.hue !== undefined || commands.sat !== undefined) {
+				let xy = commands.xy !== undefined ?
+					(Array.isArray(commands.xy) ? commands.xy : String(commands.xy).split(',')).map(val => Number.parseFloat(val)) :
+					_hueColor.convertRGBtoXY(_color.hsv.rgb([(commands.hue !== undefined ? commands.hue : 0) / 65535 * 360, (commands.sat !== undefined ? commands.sat : 254) / 2.54, 100]));
+				
+				lights.filter(light => isColorTemperatureOnly(bridge, light)).forEach(light => {
+					let range = getColorTemperatureRange(bridge, light);
+					let ct = _ctColor.convertXYtoCT(xy, range.min, range.max);
+					
+					// light
+					if (appliance.type == 'lights') {
+						delete commands.xy;
+						delete commands.hue;
+						delete commands.sat;
+						commands.ct = ct;
+					}
+					
+					// lights of a group
+					else {
+						lightCommands[light] = { 'ct': ct };
+					}
+				});
+			}
+			
 			// set group .on state
 			if (commands.onOffAllLights !== undefined) {
 				commands.on = commands.onOffAllLights;
 				delete commands.onOffAllLights;
 			}
 			
-			// if .on is not off, be sure device is on (except for alerts)
-			if (commands.on === undefined && commands.alert === undefined) {
+			// if .on is not off, be sure device is on (except for alerts and stopping to dim)
+			if (commands.on === undefined && commands.alert === undefined && !dimStop) {
 				commands.on = true; // A light cannot have its hue, saturation, brightness, effect, ct or xy modified when it is turned off. Doing so will return 201 error.
 			}
+			
+			// individual commands for lights of the group (in the same transition as the group)
+			for (let light in lightCommands) {
+				commands.on !== undefined && (lightCommands[light].on = commands.on);
+				commands.transitiontime !== undefined && (lightCommands[light].transitiontime = commands.transitiontime);
+			}
 		}
 		
 		// queue commands
 		if (adapter.config.useQueue) {
-			addToQueue(appliance, commands);
+			addToQueue(bridge, appliance, commands);
 		}
 		else {
-			sendCommand(appliance, commands);
+			sendCommand(bridge, appliance, commands);
+		}
+		
+		for (let light in lightCommands) {
+			let lightAppliance = getLightDevice(bridge, light);
+			adapter.config.useQueue ? addToQueue(bridge, lightAppliance, lightCommands[light]) : sendCommand(bridge, lightAppliance, lightCommands[light]);
 		}
 	});
 	
@@ -542,9 +782,9 @@ function startAdapter(options) {
 		
 		switch(msg.command) {
 		case 'getUser':
-			getUser(msg.message.type, msg.message.bridgeIp, msg.message.bridgePort || 80, username => {
+			getUser(msg.message.type, msg.message.bridgeIp, msg.message.bridgePort || 80, (username, clientkey) => {
 				adapter.log.debug('Retrieved user from ' + library.ucFirst(msg.message.type) + ' Bridge: ' + JSON.stringify(username));
-				library.msg(msg.from, msg.command, { result: true, user: username }, msg.callback);
+				library.msg(msg.from, msg.command, { result: true, user: username, clientkey: clientkey }, msg.callback);
 			},
 			error => {
 				adapter.log.warn('Failed retrieving user (' + error + ')!');
@@ -552,6 +792,64 @@ function startAdapter(options) {
 			});
 				
 			break;
+		
+		case 'pair':
+			if (!msg.message || !msg.message.bridgeIp) {
+				library.msg(msg.from, msg.command, { result: false, error: 'No bridge IP given!' }, msg.callback);
+			}
+			else {
+				if (!PAIRING || PAIRING.status != 'waiting') {
+					pair(msg.message.type || 'hue', msg.message.bridgeIp, msg.message.bridgePort || 80, msg.message.timeout || PAIRING_TIMEOUT, msg.message.store === true, msg.message.overwrite === true);
+				}
+				
+				library.msg(msg.from, msg.command, { result: true, ...PAIRING }, msg.callback);
+			}
+			
+			break;
+		
+		case 'pairStatus':
+			library.msg(msg.from, msg.command, { result: true, ...PAIRING || { status: 'idle' } }, msg.callback);
+			break;
+		
+		case 'notify':
+			notify(msg.message || {})
+				.then(states => library.msg(msg.from, msg.command, { result: true, states: states }, msg.callback))
+				.catch(err => {
+					adapter.log.warn('Failed notifying (' + err.message + ')!');
+					library.msg(msg.from, msg.command, { result: false, error: err.message }, msg.callback);
+				});
+			
+			break;
+		
+		case 'createScene': {
+			let { bridge, appliance } = getTarget(msg.message && msg.message.target);
+			if (!bridge || appliance.type != 'groups') {
+				library.msg(msg.from, msg.command, { result: false, error: 'Unknown group given!' }, msg.callback);
+				break;
+			}
+			
+			createScene(bridge, appliance.uid, msg.message.name)
+				.then(scene => library.msg(msg.from, msg.command, { result: true, scene: scene }, msg.callback))
+				.catch(err => {
+					adapter.log.warn('Failed creating scene (' + err.message + ')!');
+					library.msg(msg.from, msg.command, { result: false, error: err.message }, msg.callback);
+				});
+			
+			break;
+		}
+		
+		case 'discover':
+			_discovery.discover(msg.message && typeof msg.message == 'object' ? msg.message : {})
+				.then(bridges => {
+					adapter.log.debug('Discovered bridges: ' + JSON.stringify(bridges));
+					library.msg(msg.from, msg.command, { result: true, bridges: bridges }, msg.callback);
+				})
+				.catch(err => {
+					adapter.log.warn('Failed discovering bridges (' + err.message + ')!');
+					library.msg(msg.from, msg.command, { result: false, error: err.message }, msg.callback);
+				});
+			
+			break;
 		}
 	});
 	
@@ -565,8 +863,23 @@ function startAdapter(options) {
 			
 			unloaded = true;
 			library.resetStates();
-			clearTimeout(refreshCycle);
 			clearTimeout(garbageCollector);
+			clearTimeout(queueRun);
+			clearTimeout(pairingRetry);
+			clearTimeout(adaptiveRun);
+			Object.values(FADES).forEach(fade => clearTimeout(fade.timer));
+			Object.values(EFFECTS).forEach(effect => clearTimeout(effect.timer));
+			
+			for (let id in BRIDGES) {
+				let bridge = BRIDGES[id];
+				clearTimeout(bridge.refreshCycle);
+				clearTimeout(bridge.websocketReconnect);
+				bridge.eventStream && bridge.eventStream.close();
+				bridge.websocket && bridge.websocket.terminate();
+				bridge.agent && bridge.agent.destroy();
+				bridge.limiter.clear();
+				clearTimeout(bridge.limiterUpdate);
+			}
 			
 			callback();
 		}
@@ -593,39 +906,270 @@ else {
 
 
 /**
+ * Get the request options of a bridge (including the certificates of a secure connection, which fall back to the certificates of the main settings).
+ *
+ */
+function getRequestOptions(config) {
+	let requestOptions = { 'json': true, 'secureConnection': false };
+	if (!config.secureConnection) {
+		adapter.log.info('Establishing connection to ' + (config.name || 'bridge') + '..');
+		return requestOptions;
+	}
+	
+	adapter.log.info('Establishing secure connection to ' + (config.name || 'bridge') + '..');
+	let certificates = config.certPublicPath ? config : adapter.config;
+	
+	try {
+		requestOptions = {
+			...requestOptions,
+			'cert': certificates.certPublicPath.indexOf('.') === -1 ? certificates.certPublicPath : _fs.readFileSync(certificates.certPublicPath),
+			'key': certificates.certPrivatePath.indexOf('.') === -1 ? certificates.certPrivatePath : _fs.readFileSync(certificates.certPrivatePath),
+			'secureConnection': true
+		};
+		
+		if (certificates.certChainedPath) {
+			requestOptions.ca = certificates.certChainedPath.indexOf('.') === -1 ? certificates.certChainedPath : _fs.readFileSync(certificates.certChainedPath);
+		}
+		
+		if (requestOptions.key.indexOf('ENCRYPTED') > -1) {
+			requestOptions.passphrase = certificates.passphrase;
+		}
+	}
+	catch(err) {
+		adapter.log.warn('Establishing secure connection failed! Falling back to unsecure connection to bridge..');
+		adapter.log.debug(err.message);
+		
+		requestOptions.secureConnection = false;
+	}
+	
+	return requestOptions;
+}
+
+/**
+ * Create the context of a bridge (connection, index of devices, command queue, etc.).
+ *
+ */
+function createBridge(id, config) {
+	let requestOptions = getRequestOptions(config);
+	let port = requestOptions.secureConnection ? 443 : (config.bridgePort || 80);
+	let bridge = {
+		'id': id,
+		'name': config.name || (id ? id : 'Hue Bridge'),
+		'namespace': id ? 'bridges.' + id + '.' : '',
+		'config': config,
+		'url': (requestOptions.secureConnection ? 'https://' : 'http://') + config.bridgeIp + ':' + port + '/api/' + config.bridgeUser + '/',
+		'urlV2': null,
+		'requestOptions': requestOptions,
+		'requestOptionsV2': null,
+		'devices': {},
+		'payload': {},
+		'lightstates': {},
+		'recalledScenes': {},
+		'resources': null,
+		'buttons': null,
+		'queue': {},
+		'connected': false,
+		'transport': 'polling',
+		'retry': 0,
+		'refreshCycle': null,
+		'polling': {},
+		'eventStream': null,
+		'websocket': null,
+		'websocketReconnect': null,
+		'limiter': new RateLimiter(RATE_LIMITS),
+		'limiterUpdate': null,
+		'agent': null,
+		'certificate': {
+			'mode': config.tlsVerification || (config.bridgeType == 'deconz' ? 'tofu' : 'ca'),
+			'bridgeId': config.bridgeId || null,
+			'fingerprint': null,
+			'error': null
+		}
+	};
+	
+	// rate limiter (states are updated at most once per second)
+	bridge.limiter.on('backoff', backoff => adapter.log.warn(bridge.name + ' is overloaded (HTTP ' + backoff.statusCode + ')! Pausing ' + (backoff.budget == 'polling' ? 'polling' : 'requests') + ' for ' + backoff.delay + 's..'));
+	bridge.limiter.on('change', () => {
+		if (bridge.limiterUpdate) {
+			return;
+		}
+		
+		bridge.limiterUpdate = setTimeout(() => {
+			bridge.limiterUpdate = null;
+			library.set({ ...library.getNode('info.queueDepth'), 'node': bridge.namespace + 'info.queueDepth' }, bridge.limiter.size);
+			library.set({ ...library.getNode('info.queueWait'), 'node': bridge.namespace + 'info.queueWait' }, Math.round(bridge.limiter.wait*10)/10);
+		}, 1000);
+	});
+	
+	// Hue CLIP v2 API (only available via https)
+	if (config.bridgeType != 'deconz' && config.apiVersion == 'v2') {
+		adapter.log.info('Using Hue CLIP v2 API alongside v1 API for ' + bridge.name + '.');
+		
+		bridge.urlV2 = 'https://' + config.bridgeIp + '/clip/v2/';
+		bridge.requestOptionsV2 = {
+			'json': true,
+			'headers': { 'hue-application-key': config.bridgeUser }
+		};
+	}
+	
+	// verify certificate of bridge for https connections
+	if (requestOptions.secureConnection || bridge.urlV2 || (config.bridgeType != 'deconz' && config.useEventStream)) {
+		let tlsOptions = {};
+		['cert', 'key', 'passphrase', 'ca'].forEach(option => requestOptions[option] && (tlsOptions[option] = requestOptions[option]));
+		
+		adapter.log.info('Verifying certificate of ' + bridge.name + ' using mode ' + bridge.certificate.mode + '.');
+		bridge.agent = _certificates.createAgent(bridge.certificate.mode, bridge.certificate, () => setCertificate(bridge), tlsOptions);
+		
+		bridge.requestOptions = requestOptions.secureConnection ? { 'json': true, 'secureConnection': true, 'agent': bridge.agent } : requestOptions;
+		bridge.requestOptionsV2 = bridge.urlV2 ? { ...bridge.requestOptionsV2, 'agent': bridge.agent } : null;
+	}
+	
+	return bridge;
+}
+
+/**
+ * Send a request to a bridge (scheduled by the rate limiter of the bridge using the budget of either lights, groups or polling).
+ *
+ */
+function request(bridge, budget, options) {
+	return bridge.limiter.schedule(budget, () => _request({ ...options, 'resolveWithFullResponse': true }).then(res => {
+		
+		// bridge is overloaded (also for requests not rejecting on HTTP errors)
+		if (res.statusCode == 429 || res.statusCode == 503) {
+			let err = new Error(res.statusCode + ' - Bridge is overloaded');
+			err.statusCode = res.statusCode;
+			err.response = res;
+			throw err;
+		}
+		
+		return options.resolveWithFullResponse ? res : res.body;
+	}));
+}
+
+/**
+ * Set the states of the certificate of a bridge (values pinned on first use as well as verification errors).
+ *
+ */
+function setCertificate(bridge, err) {
+	if (!bridge.agent) {
+		return;
+	}
+	
+	// verification of certificate failed
+	let error = err && _certificates.isCertificateError(err) ? (err.cause || err).message : null;
+	if (error && error != bridge.certificate.error) {
+		let pin = { 'ERR_CERT_CHANGED': 'fingerprint', 'ERR_BRIDGE_ID_MISMATCH': 'bridgeId' }[(err.cause || err).code];
+		adapter.log.error('Certificate verification of ' + bridge.name + ' failed: ' + error + (pin ? ' Clear state ' + bridge.namespace + 'info.certificate.' + pin + ' to trust the new certificate.' : ''));
+	}
+	else if (err && !error) {
+		return;
+	}
+	
+	bridge.certificate.error = error;
+	library.set({ ...library.getNode('info.certificate.bridgeId'), 'node': bridge.namespace + 'info.certificate.bridgeId' }, bridge.certificate.bridgeId || '', { 'subscribe': true });
+	library.set({ ...library.getNode('info.certificate.fingerprint'), 'node': bridge.namespace + 'info.certificate.fingerprint' }, bridge.certificate.fingerprint || '', { 'subscribe': true });
+	library.set({ ...library.getNode('info.certificate.error'), 'node': bridge.namespace + 'info.certificate.error' }, error || '');
+}
+
+/**
+ * Set the connection state of a bridge (adapter is connected as long as any bridge is connected).
  *
+ */
+function setConnection(bridge, connected) {
+	bridge.connected = connected;
+	
+	if (bridge.namespace) {
+		library.set({ ...Library.CONNECTION, 'node': bridge.namespace + 'info.connection', 'description': 'Bridge Connection Status' }, connected);
+	}
+	
+	library.set(Library.CONNECTION, Object.values(BRIDGES).some(bridge => bridge.connected));
+}
+
+/**
+ * Retrieve the payload of the given channels from the bridge (full payload if no channels are given) and schedule the next refresh of each channel
  *
  */
-function getPayload(refresh) {
+function getPayload(bridge, channels = null) {
+	clearTimeout(bridge.refreshCycle);
+	
+	// resources of the v2 API (all resources or only the resource types of the given channels, if already retrieved once)
+	let types = channels && bridge.resources ? _hueV2.getResourceTypes(channels) : null;
 	
-	// get data from bridge
-	_request({ ...REQUEST_OPTIONS, 'uri': bridge, resolveWithFullResponse: true }).then(response => {
-		let payload = response.body;
+	// get data from bridge (either full payload or only the endpoints of the given channels, including the resources of the v2 API, if enabled)
+	Promise.all([
+		Promise.all((channels || ['']).map(channel => request(bridge, 'polling', { ...bridge.requestOptions, 'uri': bridge.url + channel, resolveWithFullResponse: true }))),
+		bridge.urlV2 && (!types || types.length > 0) ? Promise.all((types || ['']).map(type => request(bridge, 'polling', { ...bridge.requestOptionsV2, 'uri': bridge.urlV2 + 'resource' + (type ? '/' + type : '') }))) : null
+	]).then(([responses, resources]) => {
+		let payload = {};
 		
 		// error handler
-		if (response.statusCode !== 200) {
-			throw new Error('Error while retrieving payload from Hue Bridge (Status Code ' + response.statusCode + ')');
+		responses.forEach((response, i) => {
+			if (response.statusCode !== 200) {
+				throw new Error('Error while retrieving payload from Hue Bridge (Status Code ' + response.statusCode + ')');
+			}
+			else if (!response.body || (response.body[0] && response.body[0].error)) {
+				throw new Error('Error while retrieving payload from Hue Bridge' + (response.body && response.body[0] && response.body[0].error ? ': ' + response.body[0].error.description : ''));
+			}
+			
+			if (channels) {
+				payload[channels[i]] = response.body;
+			}
+			else {
+				payload = response.body;
+			}
+		});
+		
+		(resources || []).forEach(res => {
+			if (!Array.isArray(res.data) || (res.errors && res.errors.length > 0)) {
+				throw new Error('Error while retrieving resources from Hue Bridge' + (res.errors && res.errors[0] ? ': ' + res.errors[0].description : ''));
+			}
+		});
+		
+		// certificate has been verified successfully
+		if (bridge.certificate.error) {
+			setCertificate(bridge);
 		}
-		else if (!payload || (payload[0] && payload[0].error)) {
-			throw new Error('Error while retrieving payload from Hue Bridge' + (payload[0] && payload[0].error ? ': ' + payload[0].error.description : ''));
+		
+		// add states of lights, groups, sensors and scenes only provided by the resources of the v2 API
+		if (resources) {
+			let data = [].concat(...resources.map(res => res.data));
+			
+			// keep the other resources (e.g. devices) from the last retrieval
+			if (types) {
+				data = Object.values(bridge.resources.resources).filter(resource => types.indexOf(resource.type) === -1).concat(data);
+			}
+			
+			let converted = _hueV2.convertResources(data);
+			bridge.resources = converted.index;
+			
+			for (let channel in converted.payload) {
+				if (!channels || channels.indexOf(channel) > -1) {
+					payload[channel] = payload[channel] || {};
+					for (let id in converted.payload[channel]) {
+						payload[channel][id] = _hueV2.mergeDevice(payload[channel][id], converted.payload[channel][id]);
+					}
+				}
+			}
 		}
 		
 		// add meta data
-		library.set({ ...library.getNode('datetime'), 'node': 'info.datetime' }, library.getDateTime(Date.now()));
-		library.set({ ...library.getNode('timestamp'), 'node': 'info.timestamp' }, Math.floor(Date.now()/1000));
-		library.set({ ...library.getNode('syncing'), 'node': 'info.syncing' }, true);
+		library.set({ ...library.getNode('datetime'), 'node': bridge.namespace + 'info.datetime' }, library.getDateTime(Date.now()));
+		library.set({ ...library.getNode('timestamp'), 'node': bridge.namespace + 'info.timestamp' }, Math.floor(Date.now()/1000));
+		library.set({ ...library.getNode('syncing'), 'node': bridge.namespace + 'info.syncing' }, true);
 		
 		// read hue labs from payload
-		if (adapter.config.syncScenes && adapter.config.syncHueLabsScenes) {
+		if (adapter.config.syncScenes && adapter.config.syncHueLabsScenes && payload['scenes']) {
+			let resourcelinks = payload['resourcelinks'] || bridge.devices['resourcelinks'] || {};
+			let sensors = payload['sensors'] || bridge.devices['sensors'] || {};
 			
 			// find "huelabs" in resourcelinks
 			let formulas = [];
-			for (let key in payload['resourcelinks']) {
-				let resourcelink = payload['resourcelinks'][key];
+			for (let key in resourcelinks) {
+				let resourcelink = resourcelinks[key];
 				
 				if (resourcelink && resourcelink.name == 'HueLabs 2.0') {
 					// get formulas
-					formulas = resourcelink.links.map(formula => payload['resourcelinks'][formula.substr(formula.lastIndexOf('/')+1)]);
+					formulas = resourcelink.links.map(formula => resourcelinks[formula.substr(formula.lastIndexOf('/')+1)]);
 					break;
 				}
 			}
@@ -638,7 +1182,7 @@ function getPayload(refresh) {
 					
 					// add sensor data to scene
 					if (link && link.indexOf('sensors') > -1) {
-						let sensor = payload['sensors'][id];
+						let sensor = sensors[id];
 						if (sensor && sensor.manufacturername == 'Philips' && sensor.modelid == 'HUELABSVTOGGLE') {
 							formulas[i].state = { 'on': (sensor.state.status == 1), ...sensor.state };
 							formulas[i].command = { 'address': '/sensors/' + id + '/state', 'body': {"status": (1-sensor.state.status)}, 'method': 'PUT' };
@@ -668,18 +1212,18 @@ function getPayload(refresh) {
 			}
 			
 			// everything looks good
-			library.set(Library.CONNECTION, true);
+			setConnection(bridge, true);
 			
 			// create channel
 			library.set({
-				'node': channel,
+				'node': bridge.namespace + channel,
 				'role': 'channel',
 				'description': library.ucFirst(channel.substr(channel.lastIndexOf('.')+1))
 			});
 			
-			// sync all groups
-			if (channel == 'groups') {
-				_request({ ...REQUEST_OPTIONS, 'uri': bridge + channel + '/0', resolveWithFullResponse: true })
+			// sync all groups (unless already given by the v2 API)
+			if (channel == 'groups' && !(resources && payload[channel]['0'])) {
+				request(bridge, 'polling', { ...bridge.requestOptions, 'uri': bridge.url + channel + '/0', resolveWithFullResponse: true })
 					.then(res => {
 						let pl = res.body;
 						pl.name = 'All Lights';
@@ -693,58 +1237,61 @@ function getPayload(refresh) {
 						}
 						
 						// index
-						DEVICES[channel] = JSON.parse(JSON.stringify(payload[channel]));
-						DEVICES[channel][0] = JSON.parse(JSON.stringify(pl));
+						indexDevices(bridge, channel, { ...payload[channel], '0': pl });
 						
 						// only write if syncing is on
 						if (adapter.config['sync' + library.ucFirst(channel)]) {
-							addBridgeData(channel, { '0': pl });
+							addBridgeData(bridge, channel, { '0': pl }, true);
 						}
 						
 					})
 					.catch(() => {});
 			}
 			else {
-				DEVICES[channel] = JSON.parse(JSON.stringify(payload[channel])); // copy and index payload
+				indexDevices(bridge, channel, payload[channel]);
 			}
 			
 			// only write if syncing is on
 			if (adapter.config['sync' + library.ucFirst(channel)]) {
 				// update overall syncing information
-				library.set({ ...library.getNode('datetime'), 'node': 'info.datetime' }, library.getDateTime(Date.now()));
-				library.set({ ...library.getNode('timestamp'), 'node': 'info.timestamp' }, Math.floor(Date.now()/1000));
-				library.set({ ...library.getNode('syncing'), 'node': 'info.syncing' }, true);
-				library.set({ ...library.getNode('syncing'), 'node': 'info.syncing' + library.ucFirst(channel) }, true);
-				library.set({ ...library.getNode('syncing'), 'node': channel + '.syncing' }, true);
+				library.set({ ...library.getNode('syncing'), 'node': bridge.namespace + 'info.syncing' + library.ucFirst(channel) }, true);
+				library.set({ ...library.getNode('syncing'), 'node': bridge.namespace + channel + '.syncing' }, true);
 				
-				// add to states
-				addBridgeData(channel, payload[channel]);
+				// add to states (only devices changed since last payload)
+				addBridgeData(bridge, channel, payload[channel], true);
+				
+				// add lightstates of scenes
+				if (channel == 'scenes' && (adapter.config.syncSceneLightstates || adapter.config.activeScene)) {
+					syncLightstates(bridge, payload[channel]);
+				}
 			}
 			
 			else {
-				library.set({ ...library.getNode('syncing'), 'node': channel + '.syncing' }, false);
-				library.set({ ...library.getNode('syncing'), 'node': 'info.syncing' + library.ucFirst(channel) }, false);
+				library.set({ ...library.getNode('syncing'), 'node': bridge.namespace + channel + '.syncing' }, false);
+				library.set({ ...library.getNode('syncing'), 'node': bridge.namespace + 'info.syncing' + library.ucFirst(channel) }, false);
 			}
 		}
 		
-		// refresh interval
-		retry = 0;
-		const maxRefresh = 2;
-		
-		if (refresh > 0 && refresh < maxRefresh) {
-			adapter.log.warn('Due to performance reasons, the refresh rate can not be set to less than ' + maxRefresh + ' seconds. Using ' + maxRefresh + ' seconds now.');
-			refresh = maxRefresh;
+		// detect active scenes
+		if (adapter.config.activeScene) {
+			detectActiveScenes(bridge);
 		}
 		
-		if (refresh > 0 && !unloaded) {
-			refreshCycle = setTimeout(getPayload, refresh*1000, refresh);
-		}
+		// schedule next refresh of each channel
+		bridge.retry = 0;
+		let now = Date.now();
+		(channels || Object.keys(payload)).forEach(channel => bridge.polling[channel] = now + getRefresh(bridge, channel)*1000);
+		schedulePayload(bridge);
 		
 	}).catch(err => {
-		library.set(Library.CONNECTION, false);
+		if (unloaded) {
+			return;
+		}
+		
+		setConnection(bridge, false);
 		
 		// Indicate that tree is not synchronized anymore
-		library.set({ ...library.getNode('syncing'), 'node': 'info.syncing' }, false);
+		library.set({ ...library.getNode('syncing'), 'node': bridge.namespace + 'info.syncing' }, false);
 		//library.set({ ...library.getNode('syncing'), 'node': 'info.syncing' + library.ucFirst(channel) }, false);
 		//library.set({ ...library.getNode('syncing'), 'node': channel + '.syncing' }, false);
 		
@@ -776,45 +1323,476 @@ function getPayload(refresh) {
 			error = 'Socket hang up';
 		}
 		
+		// ERROR: CERTIFICATE
+		else if (_certificates.isCertificateError(err)) {
+			error = 'Certificate verification failed';
+			setCertificate(bridge, err);
+		}
+		
 		// TRY AGAIN OR STOP ADAPTER
 		let timeout = 60;
-		if (!retry || retry < 10) {
-			adapter.log['debug'/*!retry ? 'warn' : 'debug'*/]('Error connecting to Hue Bridge: ' + error + '. ' + (retry > 0 ? 'Already retried ' + retry + 'x so far. ' : '') + 'Reconnecting..');
+		if (!bridge.retry || bridge.retry < 10) {
+			adapter.log['debug'/*!retry ? 'warn' : 'debug'*/]('Error connecting to ' + bridge.name + ': ' + error + '. ' + (bridge.retry > 0 ? 'Already retried ' + bridge.retry + 'x so far. ' : '') + 'Reconnecting..');
 			//adapter.log.debug(err.message);
 			//adapter.log.debug(JSON.stringify(err.stack));
 			timeout = 6;
 		}
 		else {
-			adapter.log.warn('Error connecting to Hue Bridge: ' + error + '. ' + (retry > 0 ? 'Already retried ' + retry + 'x so far. ' : '') + 'Try again in 1 minute..');
+			adapter.log.warn('Error connecting to ' + bridge.name + ': ' + error + '. ' + (bridge.retry > 0 ? 'Already retried ' + bridge.retry + 'x so far. ' : '') + 'Try again in 1 minute..');
 			adapter.log.debug(err.message);
 			adapter.log.debug(JSON.stringify(err.stack));
 		}
 		
 		// TRY AGAIN
-		retry = !retry ? 1 : retry+1;
-		refreshCycle = setTimeout(getPayload, timeout*1000, refresh);
+		bridge.retry = !bridge.retry ? 1 : bridge.retry+1;
+		clearTimeout(bridge.refreshCycle);
+		bridge.refreshCycle = setTimeout(getPayload, timeout*1000, bridge, channels);
 	});
 }
 
-
 /**
+ * Get the polling interval (in seconds) of a channel (poll less frequently while state updates are pushed by the eventstream or websocket)
  *
  */
-function addBridgeData(channel, data) {
-	// add meta data
-	library.set({ ...library.getNode('datetime'), 'node': channel + '.datetime' }, library.getDateTime(Date.now()));
-	library.set({ ...library.getNode('timestamp'), 'node': channel + '.timestamp' }, Math.floor(Date.now()/1000));
-	library.set({ ...library.getNode('syncing'), 'node': channel + '.syncing' }, true);
-	
+function getRefresh(bridge, channel) {
+	let refresh = Math.max(Number.parseInt(adapter.config['refresh' + library.ucFirst(channel)]) || adapter.config.refresh || 30, MIN_REFRESH);
+	return bridge.transport != 'polling' ? Math.max(refresh, PUSH_REFRESH) : refresh;
+}
+
+/**
+ * Schedule the next refresh of the channels which are due next (channels due at the same time are refreshed together)
+ *
+ */
+function schedulePayload(bridge) {
+	let next = Math.min(...Object.values(bridge.polling));
+	if (unloaded || next === Infinity) {
+		return;
+	}
+	
+	clearTimeout(bridge.refreshCycle);
+	bridge.refreshCycle = setTimeout(() => {
+		let channels = Object.keys(bridge.polling).filter(channel => bridge.polling[channel] <= Date.now() + 250);
+		getPayload(bridge, channels.length == Object.keys(bridge.polling).length ? null : channels);
+	}, Math.max(next - Date.now(), 0));
+}
+
+
+/**
+ * Listen to the eventstream of the Hue Bridge (Server-Sent Events of the v2 API) and fall back to polling while disconnected
+ *
+ */
+function listenEventStream(bridge) {
+	let eventStream = new EventStream('https://' + bridge.config.bridgeIp + '/eventstream/clip/v2', { 'key': bridge.config.bridgeUser, 'requestOptions': { 'agent': bridge.agent } });
+	bridge.eventStream = eventStream;
+	
+	eventStream.on('open', () => {
+		adapter.log.info('Using eventstream for state updates of ' + bridge.name + '.');
+		setTransport(bridge, 'eventstream');
+		getPayload(bridge); // sync to catch up on changes missed while disconnected
+		
+		// button events do not contain the control_id of the button, which is thus retrieved once (unless all resources of the v2 API are retrieved anyway)
+		if (!bridge.urlV2 && !bridge.buttons) {
+			getButtons(bridge);
+		}
+	});
+	
+	eventStream.on('close', () => {
+		adapter.log.info('Eventstream of ' + bridge.name + ' disconnected. Using polling for state updates until reconnected..');
+		setTransport(bridge, 'polling');
+		getPayload(bridge);
+	});
+	
+	eventStream.on('error', err => {
+		adapter.log.debug('Eventstream (' + bridge.name + '): ' + err.message);
+		setCertificate(bridge, err);
+	});
+	
+	eventStream.on('event', container => {
+		if (!Array.isArray(container.data)) {
+			return;
+		}
+		
+		// resources have been added or deleted, thus refresh the affected channels
+		if (container.type == 'add' || container.type == 'delete') {
+			let channels = _hueV2.getChannels(container.data.map(resource => resource.type));
+			if (channels.length > 0) {
+				adapter.log.debug('Resources have been ' + (container.type == 'add' ? 'added' : 'deleted') + '. Refreshing ' + channels.join(', ') + '..');
+				getPayload(bridge, channels);
+			}
+			
+			return;
+		}
+		else if (container.type != 'update') {
+			return;
+		}
+		
+		adapter.log.debug('Received data from eventstream: ' + JSON.stringify(container.data));
+		container.data.forEach(resource => {
+			_hueV2.convertEvent(resource, bridge.resources || bridge.buttons).forEach(update => {
+				
+				// skip devices not retrieved from bridge so far
+				if (!bridge.devices[update.channel] || !bridge.devices[update.channel][update.id]) {
+					return;
+				}
+				
+				// button is unknown, thus retrieve the buttonevent from the v1 API
+				if (resource.type == 'button' && update.data.state.buttonevent === undefined) {
+					refreshSensor(bridge, update.id);
+					return;
+				}
+				
+				// update index
+				let dev = bridge.devices[update.channel][update.id];
+				for (let key in update.data) {
+					dev[key] = update.data[key] && typeof update.data[key] == 'object' ? { ...dev[key] || {}, ...update.data[key] } : update.data[key];
+				}
+				
+				// only write if syncing is on
+				if (adapter.config['sync' + library.ucFirst(update.channel)]) {
+					addBridgeData(bridge, update.channel, { [update.id]: { 'name': dev.name, ...JSON.parse(JSON.stringify(update.data)) } });
+				}
+			});
+		});
+		
+		// detect active scenes
+		if (adapter.config.activeScene) {
+			detectActiveScenes(bridge);
+		}
+	});
+	
+	eventStream.connect();
+}
+
+/**
+ * Retrieve the buttons of the v2 API to convert button events of the eventstream while using the v1 API.
+ *
+ */
+function getButtons(bridge) {
+	request(bridge, 'polling', { 'json': true, 'headers': { 'hue-application-key': bridge.config.bridgeUser }, 'agent': bridge.agent, 'uri': 'https://' + bridge.config.bridgeIp + '/clip/v2/resource/button' })
+		.then(res => {
+			if (!res || !Array.isArray(res.data)) {
+				throw new Error('Invalid response');
+			}
+			
+			bridge.buttons = _hueV2.convertResources(res.data).index;
+		})
+		.catch(err => adapter.log.debug('Failed retrieving buttons of ' + bridge.name + ' (' + err.message + ')! Sensors will be refreshed on button events instead.'));
+}
+
+/**
+ * Retrieve the states of a sensor from the v1 API (e.g. buttonevent of a button event received from the eventstream).
+ *
+ */
+function refreshSensor(bridge, uid) {
+	request(bridge, 'polling', { ...bridge.requestOptions, 'uri': bridge.url + 'sensors/' + uid })
+		.then(sensor => {
+			let dev = bridge.devices['sensors'] && bridge.devices['sensors'][uid];
+			if (unloaded || !dev || !sensor || !sensor.state) {
+				return;
+			}
+			
+			dev.state = { ...dev.state || {}, ...sensor.state };
+			if (adapter.config.syncSensors) {
+				addBridgeData(bridge, 'sensors', { [uid]: { 'name': dev.name, 'state': sensor.state } });
+			}
+		})
+		.catch(err => adapter.log.debug('Failed refreshing sensor ' + uid + ' of ' + bridge.name + ' (' + err.message + ')!'));
+}
+
+/**
+ * Connect to the websocket of deCONZ, supervise it (ping / pong) and reconnect with backoff (falling back to polling while disconnected)
+ *
+ */
+function connectWebsocket(bridge, attempt = 0) {
+	let ws = new _websocket('ws://' + (bridge.config.websocketIp || bridge.config.bridgeIp) + ':' + (bridge.config.websocketPort || 443));
+	let heartbeat = null, alive = true, connected = false;
+	bridge.websocket = ws;
+	
+	ws.on('open', () => {
+		adapter.log.info('Using websockets for state updates of ' + bridge.name + '.');
+		connected = true;
+		attempt = 0;
+		
+		setTransport(bridge, 'websocket');
+		getPayload(bridge); // sync to catch up on changes missed while disconnected
+		
+		// terminate connection if no pong has been received since last ping
+		heartbeat = setInterval(() => {
+			if (!alive) {
+				adapter.log.debug('Websocket did not respond to ping. Terminating connection..');
+				return ws.terminate();
+			}
+			
+			alive = false;
+			ws.ping();
+		}, WEBSOCKET_HEARTBEAT*1000);
+	});
+	
+	ws.on('pong', () => alive = true);
+	
+	ws.on('message', message => {
+		let data = null;
+		try {
+			data = JSON.parse(message);
+		}
+		catch(err) {
+			adapter.log.debug('Could not parse data from websocket!');
+			adapter.log.debug(err.message);
+			return;
+		}
+		
+		alive = true;
+		adapter.log.debug('Received data from websocket of ' + bridge.name + ': ' + message);
+		handleWebsocketEvent(bridge, data);
+	});
+	
+	ws.on('error', err => adapter.log.debug('Websocket (' + bridge.name + '): ' + err.message));
+	
+	ws.on('close', () => {
+		clearInterval(heartbeat);
+		bridge.websocket = null;
+		
+		if (unloaded) {
+			return;
+		}
+		
+		// fall back to polling
+		if (connected || attempt === 0) {
+			adapter.log.info((connected ? 'Websocket of ' + bridge.name + ' disconnected. ' : '') + 'Using polling for state updates of ' + bridge.name + ' until websocket is connected..');
+			setTransport(bridge, 'polling');
+			getPayload(bridge);
+		}
+		
+		// reconnect with backoff
+		let delay = Math.min(5 * Math.pow(2, attempt), 300);
+		adapter.log.debug('Reconnecting websocket of ' + bridge.name + ' in ' + delay + 's..');
+		clearTimeout(bridge.websocketReconnect);
+		bridge.websocketReconnect = setTimeout(connectWebsocket, delay*1000, bridge, attempt+1);
+	});
+}
+
+/**
+ * Set the transport currently used for state updates of a bridge.
+ *
+ */
+function setTransport(bridge, type) {
+	bridge.transport = type;
+	library.set({ ...library.getNode('info.transport'), 'node': bridge.namespace + 'info.transport' }, type);
+	library.set({ ...library.getNode('info.pushConnected'), 'node': bridge.namespace + 'info.pushConnected' }, type != 'polling');
+}
+
+/**
+ * Handle an event of the deCONZ websocket (see https://dresden-elektronik.github.io/deconz-rest-doc/endpoints/websocket/)
+ *
+ */
+function handleWebsocketEvent(bridge, data) {
+	let channel = data.r;
+	let dev = bridge.devices[channel] && bridge.devices[channel][data.id];
+	
+	// scene has been called
+	if (data.e == 'scene-called') {
+		let group = bridge.devices['groups'] && bridge.devices['groups'][data.gid];
+		let scene = group && Array.isArray(group.scenes) ? group.scenes.find(scene => scene.id == data.scid) : null;
+		let name = scene ? scene.name : (bridge.devices['scenes'] && bridge.devices['scenes'][data.scid] ? bridge.devices['scenes'][data.scid].name : data.scid);
+		
+		adapter.log.debug('Scene ' + name + ' (' + data.scid + ') called on group ' + data.gid + '.');
+		library.set({ ...library.getNode('info.lastSceneCalled'), 'node': bridge.namespace + 'info.lastSceneCalled' }, JSON.stringify({ 'group': data.gid, 'scene': data.scid, 'name': name, 'timestamp': Math.floor(Date.now()/1000) }), { 'force': true });
+		
+		if (group && adapter.config.syncGroups) {
+			library.set({ ...library.getNode('groups.lastScene'), 'node': getDevicePath(bridge, 'groups', data.gid) + '.lastScene' }, name, { 'force': true });
+		}
+		
+		return;
+	}
+	
+	// unknown resource
+	if (!bridge.devices[channel]) {
+		return;
+	}
+	
+	// device has been added
+	if (data.e == 'added') {
+		let added = data.light || data.sensor || data.group;
+		if (!added) {
+			return;
+		}
+		
+		adapter.log.info('Device ' + added.name + ' (' + channel + '/' + data.id + ') has been added.');
+		bridge.devices[channel][data.id] = JSON.parse(JSON.stringify(added));
+		
+		if (adapter.config['sync' + library.ucFirst(channel)]) {
+			addBridgeData(bridge, channel, { [data.id]: added });
+		}
+	}
+	
+	// device has been deleted
+	else if (data.e == 'deleted' && dev) {
+		adapter.log.info('Device ' + dev.name + ' (' + channel + '/' + data.id + ') has been deleted.');
+		
+		if (adapter.config['sync' + library.ucFirst(channel)]) {
+			library.set({ ...library.getNode('stale'), 'node': getDevicePath(bridge, channel, data.id) + '.stale' }, true);
+		}
+		
+		delete bridge.devices[channel][data.id];
+	}
+	
+	// device has been changed
+	else if (data.e == 'changed' && dev) {
+		let attr = { ...data.attr || {}, ...(data.name ? { 'name': data.name } : {}) };
+		
+		// device has been renamed, thus move it to its new path
+		if (attr.name && attr.name != dev.name) {
+			let path = getDevicePath(bridge, channel, data.id);
+			adapter.log.info('Device ' + dev.name + ' (' + channel + '/' + data.id + ') has been renamed to ' + attr.name + '.');
+			
+			dev.name = attr.name;
+			if (adapter.config['sync' + library.ucFirst(channel)] && path != getDevicePath(bridge, channel, data.id)) {
+				let device = JSON.parse(JSON.stringify(dev));
+				delete device.path; // path is only indexed, thus not written as state
+				
+				library.del(path, true, () => addBridgeData(bridge, channel, { [data.id]: device }));
+			}
+		}
+		
+		// update index
+		for (let key of ['state', 'config']) {
+			if (data[key]) {
+				dev[key] = { ...dev[key] || {}, ...data[key] };
+			}
+		}
+		
+		// write attributes (e.g. lastseen) and states
+		if (adapter.config['sync' + library.ucFirst(channel)] && (Object.keys(attr).length > 0 || data.state || data.config)) {
+			addBridgeData(bridge, channel, {
+				[data.id]: {
+					...attr,
+					name: dev.name,
+					state: data.state || {},
+					config: data.config || {}
+				}
+			});
+		}
+	}
+}
+
+/**
+ * Get the path of a light, group or sensor in the object tree.
+ *
+ */
+function getDevicePath(bridge, channel, uid) {
+	let name = library.clean(bridge.devices[channel][uid].name, true, '_').replace(/\./g, '-');
+	return bridge.namespace + channel + '.' + (adapter.config.nameId == 'append' ? name + '-' + uid : ('00' + uid).substr(-3) + '-' + name);
+}
+
+/**
+ * Write the payload of a channel into the object tree (only devices changed since the last payload if diff is set, whereas unchanged devices only update their last seen once in a while).
+ *
+ */
+function addBridgeData(bridge, channel, data, diff = false) {
+	bridge.payload[channel] = bridge.payload[channel] || {};
+	
+	// only write devices changed since last payload
+	if (diff) {
+		let changed = {}, unchanged = [];
+		for (let uid in data) {
+			let dev = bridge.devices[channel] && bridge.devices[channel][uid];
+			let last = bridge.payload[channel][uid];
+			let hash = getPayloadHash(bridge, channel, data[uid]);
+			let updated = getLastUpdated(data[uid]);
+			
+			// unchanged (keep states from garbage collector and update last seen at most once per minute or refresh of the channel)
+			if (last && last.hash === hash) {
+				unchanged.push(dev && dev.path || bridge.namespace + channel + '.' + uid);
+				
+				if (!adapter.config.lastSeenOnUpdate && dev && dev.path && data[uid] && data[uid].name && Date.now() - last.seen >= Math.max(getRefresh(bridge, channel), LAST_SEEN_REFRESH)*1000) {
+					last.seen = Date.now();
+					library.set({ ...library.getNode('lastSeen'), 'node': dev.path + '.lastSeen' }, library.getDateTime(last.seen));
+				}
+				
+				continue;
+			}
+			
+			// do not update last seen unless the bridge has updated the device
+			if (adapter.config.lastSeenOnUpdate && last && updated !== null && last.updated === updated) {
+				data[uid].lastSeen = undefined;
+			}
+			
+			bridge.payload[channel][uid] = { 'hash': hash, 'updated': updated, 'seen': Date.now() };
+			changed[uid] = data[uid];
+		}
+		
+		library.touchDeviceStates(unchanged);
+		if (Object.keys(changed).length == 0) {
+			return;
+		}
+		
+		data = changed;
+	}
+	
+	// invalidate last payload of updated devices (e.g. from eventstream or websocket)
+	else {
+		for (let uid in data) {
+			delete bridge.payload[channel][uid];
+		}
+	}
+	
+	// add meta data
+	library.set({ ...library.getNode('datetime'), 'node': bridge.namespace + channel + '.datetime' }, library.getDateTime(Date.now()));
+	library.set({ ...library.getNode('timestamp'), 'node': bridge.namespace + channel + '.timestamp' }, Math.floor(Date.now()/1000));
+	library.set({ ...library.getNode('syncing'), 'node': bridge.namespace + channel + '.syncing' }, true);
+	
 	// loop through payload
 	device = null;
-	readData(channel, data, channel);
+	readData(bridge, bridge.namespace + channel, data, channel);
+}
+
+/**
+ * Index the devices of a channel (keeping the paths of the devices, which are determined when writing their states).
+ *
+ */
+function indexDevices(bridge, channel, devices) {
+	let index = bridge.devices[channel] || {};
+	bridge.devices[channel] = JSON.parse(JSON.stringify(devices)); // copy and index payload
+	
+	for (let uid in bridge.devices[channel]) {
+		if (index[uid] && index[uid].path && bridge.devices[channel][uid] && typeof bridge.devices[channel][uid] == 'object') {
+			bridge.devices[channel][uid].path = index[uid].path;
+		}
+	}
+}
+
+/**
+ * Get the hash of the payload of a device (including data of other devices affecting its states).
+ *
+ */
+function getPayloadHash(bridge, channel, data) {
+	let hash = JSON.stringify(data);
+	
+	// reachability of group depends on its lights
+	if (channel == 'groups' && data && Array.isArray(data.lights) && adapter.config.briWhenNotReachable) {
+		hash += JSON.stringify(data.lights.map(light => bridge.devices['lights'] && bridge.devices['lights'][light] && bridge.devices['lights'][light].state ? bridge.devices['lights'][light].state.reachable : null));
+	}
+	
+	// path of scene depends on its group
+	else if (channel == 'scenes' && data && data.group) {
+		hash += JSON.stringify(bridge.devices['groups'] && bridge.devices['groups'][data.group] ? bridge.devices['groups'][data.group].name : null);
+	}
+	
+	return hash;
+}
+
+/**
+ * Get the time the bridge has last updated a device (if provided by the bridge).
+ *
+ */
+function getLastUpdated(data) {
+	return data && typeof data == 'object' ? ((data.state && data.state.lastupdated) || data.lastupdated || data.lastseen || null) : null;
 }
 
 /**
  *
  */
-function readData(key, data, channel) {
+function readData(bridge, key, data, channel) {
 	
 	// only proceed if data is given
 	if (data === undefined || data === 'undefined') {
@@ -827,14 +1805,15 @@ function readData(key, data, channel) {
 		return false;
 	}
 	
-	// set current device name
+	// set current device name (and range of color temperature of lights)
 	if (data && data.name) {
 		device = data.name;
+		deviceColorTemperature = channel == 'lights' && data.capabilities && data.capabilities.control && data.capabilities.control.ct ? data.capabilities.control.ct : null;
 	}
 	
-	// get node details
+	// get node details (without namespace of the bridge)
 	key = key.replace(/ /g, '_');
-	let node = get(key.split('.'));
+	let node = get(key.substr(bridge.namespace.length).split('.'));
 	
 	// loop nested data
 	if (data !== null && typeof data == 'object' && !(Array.isArray(data) && (key.substr(-2) == 'xy' || key.substr(-6) == 'lights' || key.substr(-7) == 'sensors' || key.substr(-5) == 'links'))) {
@@ -843,11 +1822,14 @@ function readData(key, data, channel) {
 		if (Object.keys(data).length > 0) {
 			let description = false;
 			
-			// add last seen date
-			if (data.name) {
+			// add last seen date (unless explicitly skipped)
+			if (data.name && !('lastSeen' in data)) {
 				data.lastSeen = library.getDateTime(Date.now());
 			}
 			
+			// device on top level of the channel
+			let dev = channel && key.substr(0, key.lastIndexOf('.')) == bridge.namespace + channel && bridge.devices[channel] ? bridge.devices[channel][key.substr(key.lastIndexOf('.')+1)] : null;
+			
 			// use uid and name instead of only uid
 			let id = false;
 			if (data.name && channel != 'config' && channel != 'scenes' && channel != 'resourcelinks') {
@@ -857,12 +1839,12 @@ function readData(key, data, channel) {
 				
 				// append UID
 				if (adapter.config.nameId == 'append') {
-					key = key.replace('.' + data.uid, '.' + id + '-' + data.uid);
+					key = key.substr(0, key.lastIndexOf('.')) + '.' + id + '-' + data.uid;
 				}
 				
 				// prepend UID
 				else {
-					key = key.replace('.' + data.uid, '.' + uid + '-' + id);
+					key = key.substr(0, key.lastIndexOf('.')) + '.' + uid + '-' + id;
 				}
 			}
 			
@@ -889,7 +1871,7 @@ function readData(key, data, channel) {
 					data.state.reachable = false;
 					
 					for (const light of data.lights) {
-						let lightReachability = DEVICES['lights'][light].state.reachable;
+						let lightReachability = bridge.devices['lights'][light].state.reachable;
 						
 						if (lightReachability !== false) {
 							data.state.reachable = true;
@@ -912,7 +1894,7 @@ function readData(key, data, channel) {
 			if (data.name && channel === 'resourcelinks') {
 				data.uid = key.substr(key.lastIndexOf('.')+1);
 				id = library.clean(data.name, true, '_').replace(/\./g, '-');
-				key = key.replace('.' + data.uid, '.' + id);
+				key = key.substr(0, key.lastIndexOf('.')) + '.' + id;
 			}
 			
 			// change state for rules
@@ -951,8 +1933,27 @@ function readData(key, data, channel) {
 				data.scene = '';
 				data._commands = '';
 				
+				// add states for relative adjustments
+				data.bri_inc = 0;
+				data.hue !== undefined && (data.hue_inc = 0);
+				data.sat !== undefined && (data.sat_inc = 0);
+				data.xy !== undefined && (data.xy_inc = '');
+				data.ct !== undefined && (data.ct_inc = 0);
+				data.dim = library.getDeviceState(key.replace('.state', '.action') + '.dim') || 'stop';
+				data.fade = library.getDeviceState(key.replace('.state', '.action') + '.fade') || '';
+				data.softwareEffect = library.getDeviceState(key.replace('.state', '.action') + '.softwareEffect') || 'none';
+				data.snapshot = false;
+				data.restore = false;
+				if (channel == 'groups') {
+					bridge.config.bridgeType != 'deconz' && (data.saveScene = ''); // scenes of deCONZ are not managed via /scenes
+					data.nextScene = false;
+					data.previousScene = false;
+					data.sceneCycle = library.getDeviceState(key.replace('.state', '.action') + '.sceneCycle') || '';
+				}
+				
 				// add states for last action
 				readData(
+					bridge,
 					key.replace('.state', '.action'),
 					{
 						'lastAction': {
@@ -960,8 +1961,11 @@ function readData(key, data, channel) {
 							'datetime': library.getDeviceState(key.replace('.state', '.action') + '.lastAction.datetime'),
 							'lastCommand': library.getDeviceState(key.replace('.state', '.action') + '.lastAction.lastCommand'),
 							'lastResult': library.getDeviceState(key.replace('.state', '.action') + '.lastAction.lastResult'),
-							'error': library.getDeviceState(key.replace('.state', '.action') + '.lastAction.error')
-						}
+							'error': library.getDeviceState(key.replace('.state', '.action') + '.lastAction.error'),
+							...(adapter.config.verifyCommands ? { 'verified': library.getDeviceState(key.replace('.state', '.action') + '.lastAction.verified') } : {})
+						},
+						'fadeProgress': library.getDeviceState(key.replace('.state', '.action') + '.fadeProgress') || 0,
+						'snapshotData': library.getDeviceState(key.replace('.state', '.action') + '.snapshotData') || ''
 					},
 					channel
 				);
@@ -975,14 +1979,29 @@ function readData(key, data, channel) {
 				data.ct = Math.max(Math.min(Math.round(1 / data.ct * 1000000), 6500), 2000);
 			}
 			
-			// add additional color spaces
-			if (data.bri !== undefined && data.sat !== undefined && data.hue !== undefined) {
-				data.transitiontime = data.transitiontime || 4;
-				data.hsv = data.hue + ','+ (data.sat > 0 ? Math.max(Math.min(Math.round(data.sat/2.54), 100), 0) : 0) + ',' + data.level;
-				data.rgb = _color.hsv.rgb(data.hsv.split(',')).toString();
-				//data.cmyk = _color.rgb.cmyk(data.rgb.split(',')).toString();
-				//data.xyz = _color.rgb.xyz(data.rgb.split(',')).toString();
-				data.hex = _color.rgb.hex(data.rgb.split(','));
+			// add additional color spaces (derived from the active color mode)
+			if (data.bri !== undefined && ((data.sat !== undefined && data.hue !== undefined) || Array.isArray(data.xy) || (data.ct !== undefined && typeof data.ct !== 'object'))) {
+				let colormode = data.colormode || (data.sat !== undefined && data.hue !== undefined ? 'hs' : 'xy');
+				let hsv = null;
+				
+				if (colormode == 'xy' && Array.isArray(data.xy) && data.xy[1] > 0) {
+					hsv = _color.rgb.hsv(_hueColor.convertXYtoRGB(data.xy[0], data.xy[1], 1));
+				}
+				else if (colormode == 'ct' && data.ct !== undefined && typeof data.ct !== 'object') {
+					hsv = _color.rgb.hsv(_ctColor.convertCTtoRGB(data.ct));
+				}
+				else if (data.sat !== undefined && data.hue !== undefined) {
+					hsv = [data.hue, data.sat > 0 ? Math.max(Math.min(Math.round(data.sat/2.54), 100), 0) : 0];
+				}
+			
+				if (hsv) {
+					data.transitiontime = data.transitiontime || 4;
+					data.hsv = hsv[0] + ','+ hsv[1] + ',' + data.level;
+					data.rgb = _color.hsv.rgb(data.hsv.split(',')).toString();
+					//data.cmyk = _color.rgb.cmyk(data.rgb.split(',')).toString();
+					//data.xyz = _color.rgb.xyz(data.rgb.split(',')).toString();
+					data.hex = _color.rgb.hex(data.rgb.split(','));
+				}
 			}
 			
 			// set brightness to 0 when device is off or device is not reachable
@@ -1008,7 +2027,7 @@ function readData(key, data, channel) {
 			let pathKey = '';
 			if (channel == 'scenes' && (((data.type == 'GroupScene' || data.type == 'LabScene') && data.group) || (data.type == 'LightScene' && data.lights && data.lights[0]))) {
 				// skips if groups are not indexed so far
-				if ((data.type == 'GroupScene' || data.type == 'LabScene') && (!DEVICES['groups'] || !DEVICES['groups'][data.group])) {
+				if ((data.type == 'GroupScene' || data.type == 'LabScene') && (!bridge.devices['groups'] || !bridge.devices['groups'][data.group])) {
 					adapter.log.silly('Groups not yet given, thus scene ' + data.name + ' (' + data.uid + ') skipped for now.');
 					return false;
 				}
@@ -1016,7 +2035,7 @@ function readData(key, data, channel) {
 				// LightScene
 				let pathDescription = '';
 				if (data.type == 'LightScene') {
-					key = key.replace('.' + data.uid, adapter.config.sceneNaming == 'scene' ? '.' + id : '.LightScenes');
+					key = key.substr(0, key.lastIndexOf('.')) + (adapter.config.sceneNaming == 'scene' ? '.' + id : '.LightScenes');
 					pathKey = '.' + library.clean(data.name, true, '_').replace(/\./g, '-') + '_' + data.lights.join('-');
 					
 					description = 'Light Scenes';
@@ -1025,36 +2044,32 @@ function readData(key, data, channel) {
 				
 				// GroupScene or LabScene
 				else {
-					let groupId = library.clean(DEVICES['groups'][data.group].name, true, '_').replace(/\./g, '-');
-					let groupUid = adapter.config.nameId == 'append' ? data.group : ('00' + data.group).substr(-3);
-					
-					let group = data.type == 'LabScene' && (!adapter.config.groupHueLabs || adapter.config.groupHueLabs == 'extra') ? 'HueLabsScenes' : adapter.config.nameId == 'append' ? groupId + '-' + groupUid : groupUid + '-' + groupId;
+					let groupPath = getDevicePath(bridge, 'groups', data.group);
+					let group = data.type == 'LabScene' && (!adapter.config.groupHueLabs || adapter.config.groupHueLabs == 'extra') ? 'HueLabsScenes' : groupPath.substr(groupPath.lastIndexOf('.')+1);
 					let scene = library.clean(data.name, true, '_').replace(/\./g, '-');
 					
 					// update state for hueLabScene
 					if (data.type == 'LabScene') {
-						library.setDeviceState('groups.' + (adapter.config.nameId == 'append' ? groupId + '-' + groupUid : groupUid + '-' + groupId) + '.action.hueLabScene', library.getDeviceState('groups.' + (adapter.config.nameId == 'append' ? groupId + '-' + groupUid : groupUid + '-' + groupId) + '.action.on') ? data.uid : '');
-						DEVICES['groups'][data.group].lights.forEach(light => {
-							let lightId = library.clean(DEVICES['lights'][light].name, true, '_').replace(/\./g, '-');
-							let lightUid = adapter.config.nameId == 'append' ? light : ('00' + light).substr(-3);
-							
-							library.setDeviceState('lights.' + (adapter.config.nameId == 'append' ? lightId + '-' + lightUid : lightUid + '-' + lightId) + '.action.hueLabScene', library.getDeviceState('lights.' + (adapter.config.nameId == 'append' ? lightId + '-' + lightUid : lightUid + '-' + lightId) + '.action.on') ? data.uid : '');
+						library.setDeviceState(groupPath + '.action.hueLabScene', library.getDeviceState(groupPath + '.action.on') ? data.uid : '');
+						bridge.devices['groups'][data.group].lights.forEach(light => {
+							let lightPath = getDevicePath(bridge, 'lights', light);
+							library.setDeviceState(lightPath + '.action.hueLabScene', library.getDeviceState(lightPath + '.action.on') ? data.uid : '');
 						});
 					}
 					
 					// scene.group
 					if (adapter.config.sceneNaming == 'scene') {
-						key = key.replace('.' + data.uid, '.' + scene);
+						key = key.substr(0, key.lastIndexOf('.')) + '.' + scene;
 						pathKey = '.' + group;
 						description = 'Scene ' + data.name;
-						pathDescription = 'Group ' + DEVICES['groups'][data.group].name;
+						pathDescription = 'Group ' + bridge.devices['groups'][data.group].name;
 					}
 					
 					// group.scene
 					else {
-						key = key.replace('.' + data.uid, '.' + group);
+						key = key.substr(0, key.lastIndexOf('.')) + '.' + group;
 						pathKey = '.' + scene;
-						description = data.type == 'LabScene' ? 'Hue Lab Scenes' : 'Scenes for Group ' + DEVICES['groups'][data.group].name;
+						description = data.type == 'LabScene' ? 'Hue Lab Scenes' : 'Scenes for Group ' + bridge.devices['groups'][data.group].name;
 						pathDescription = 'Scene ' + data.name;
 					}
 				}
@@ -1065,9 +2080,6 @@ function readData(key, data, channel) {
 					pathKey += '_' + data.uid;
 				}
 				
-				// update path
-				DEVICES['scenes'][data.uid].path = key + pathKey;
-				
 				// create channel for group and scene
 				library.set({
 					'node': key + pathKey,
@@ -1076,9 +2088,14 @@ function readData(key, data, channel) {
 				});
 			}
 			
+			// update path of device
+			if (dev && typeof dev == 'object') {
+				dev.path = key + pathKey;
+			}
+			
 			// read nested data
 			for (let nestedKey in data) {
-				readData(key + pathKey + '.' + nestedKey, data[nestedKey], channel);
+				readData(bridge, key + pathKey + '.' + nestedKey, data[nestedKey], channel);
 			}
 			
 			// create channel
@@ -1113,6 +2130,19 @@ function readData(key, data, channel) {
 			});
 		}
 		
+		// range of color temperature of the light (in Kelvin)
+		let range = {};
+		if (action == 'colorTemperature' && channel == 'lights' && deviceColorTemperature && deviceColorTemperature.min && deviceColorTemperature.max) {
+			range = { 'min': Math.round(1000000 / deviceColorTemperature.max), 'max': Math.round(1000000 / deviceColorTemperature.min) };
+			
+			// update range of existing state
+			if (library.getDeviceState(key) !== null && COLOR_TEMPERATURE_RANGES[key] != range.min + '-' + range.max) {
+				adapter.extendObject(key, { 'common': range });
+			}
+			
+			COLOR_TEMPERATURE_RANGES[key] = range.min + '-' + range.max;
+		}
+		
 		// set state
 		library.set(
 			{
@@ -1121,10 +2151,12 @@ function readData(key, data, channel) {
 				'role': node.role,
 				'description': (node.device !== false && device ? device + ' - ' : '') + (node.description || library.ucFirst(key.substr(key.lastIndexOf('.')+1))),
 				'common': Object.assign(
+					{},
 					node.common || {},
 					{
 						'write': (_SUBSCRIPTIONS.indexOf(action) > -1 && key.indexOf('.action.') > -1 && key.indexOf('.' + action) > -1)
-					}
+					},
+					range
 				)
 			},
 			data
@@ -1196,7 +2228,7 @@ function getAction(action) {
  * Send commands to device
  *
  */
-function sendCommand(device, actions, attempt = 1) {
+function sendCommand(bridge, device, actions, attempt = 1) {
 	adapter.log.debug('sendCommand: ' + JSON.stringify(device) + ' ### ' + JSON.stringify(actions));
 	
 	// check if target value is actually different from current value
@@ -1209,14 +2241,14 @@ function sendCommand(device, actions, attempt = 1) {
 			action = getAction(action);
 			
 			// ignore states
-			let ignoreStates = ['effect', 'alert', 'transitiontime', 'trigger', 'scene'];
+			let ignoreStates = ['effect', 'alert', 'transitiontime', 'trigger', 'scene', ...Object.keys(INCREMENTS)];
 			if (device.type === 'groups') {
 				ignoreStates.push('on');
 			}
 			
-			// get current value and compare
+			// get current value and compare (unless commands are forced, e.g. when restoring states)
 			curValue = library.getDeviceState(device.path + '.action.' + action);
-			if (ignoreStates.indexOf(action) === -1 && curValue !== null && value == curValue) {
+			if (!device.force && ignoreStates.indexOf(action) === -1 && curValue !== null && value == curValue) {
 				adapter.log.debug('Drop command (' + action + '): value ' + value + ' === ' + curValue + ' curValue');
 				delete actions[obj];
 			}
@@ -1234,7 +2266,7 @@ function sendCommand(device, actions, attempt = 1) {
 			
 			let reachableAttempt = attempt+1;
 			if (reachableAttempt <= MAX_ATTEMPTS) {
-				setTimeout(() => sendCommand(device, actions, reachableAttempt), (adapter.config.reattemptIfUnreachable || 3)*1000);
+				setTimeout(() => sendCommand(bridge, device, actions, reachableAttempt), (adapter.config.reattemptIfUnreachable || 3)*1000);
 			}
 		}
 	}
@@ -1249,31 +2281,49 @@ function sendCommand(device, actions, attempt = 1) {
 	
 	// set options
 	let options = {
-		uri: bridge + device.trigger,
+		uri: bridge.url + device.trigger,
 		method: device.method || 'PUT',
 		body: actions
 	};
 	
+	// use v2 API for lights, groups and scenes (if enabled)
+	let requestV2 = bridge.resources && (!device.method || device.method == 'PUT') ? _hueV2.getRequest(bridge.resources, device.trigger, actions, device.type == 'lights' ? getGamut(bridge, device.uid) : null) : null;
+	if (requestV2) {
+		options = {
+			...bridge.requestOptionsV2,
+			uri: bridge.urlV2 + 'resource/' + requestV2.resource,
+			method: 'PUT',
+			body: requestV2.body,
+			simple: false
+		};
+	}
+	
 	// send command
 	let error = false, lastAction = null;
 	adapter.log.debug('Attempt ' + attempt + 'x - Send commands to ' + device.name + ' (' + device.trigger + '): ' + JSON.stringify(actions) + '.');
 	
-	_request({ ...REQUEST_OPTIONS, ...options }).then(res => {
+	request(bridge, device.type == 'groups' ? 'groups' : 'lights', { ...bridge.requestOptions, ...options }).then(res => {
+		
+		// convert response of the v2 API
+		if (requestV2) {
+			res = _hueV2.convertResponse(res, device.trigger, actions);
+		}
+		
 		if (!Array.isArray(res)) {
 			adapter.log.warn('Unknown error applying actions ' + JSON.stringify(actions) + ' on ' + device.name + ' (to ' + device.trigger + ')!');
 			adapter.log.debug('Response: ' + JSON.stringify(res));
 			
 			lastAction = {'lastAction': { 'timestamp': Math.floor(Date.now()/1000), 'datetime': library.getDateTime(Date.now()), 'lastCommand': JSON.stringify(actions), 'lastResult': JSON.stringify(res), 'error': true }};
-			readData(device.path + '.action', lastAction);
-			readData('info', lastAction);
+			readData(bridge, device.path + '.action', lastAction);
+			readData(bridge, bridge.namespace + 'info', lastAction);
 		}
 		
 		else {
 			// log last action in states
 			error = JSON.stringify(res).indexOf('error') > -1;
 			lastAction = {'lastAction': { 'timestamp': Math.floor(Date.now()/1000), 'datetime': library.getDateTime(Date.now()), 'lastCommand': JSON.stringify(actions), 'lastResult': JSON.stringify(res), 'error': error }};
-			readData(device.path + '.action', lastAction);
-			readData('info', lastAction);
+			readData(bridge, device.path + '.action', lastAction);
+			readData(bridge, bridge.namespace + 'info', lastAction);
 			
 			// print results in log
 			let type;
@@ -1297,8 +2347,12 @@ function sendCommand(device, actions, attempt = 1) {
 						value = Math.max(Math.min(Math.round(1 / value * 1000000), 6500), 2000);
 					}
 					
-					//
-					library._setValue(device.path + '.action.' + (_MAPPING[action] || action), value);
+					// resulting values of relative adjustments are retrieved with the next payload
+					if (INCREMENTS[action] === undefined) {
+						library._setValue(device.path + '.action.' + (_MAPPING[action] || action), value);
+					}
+					
+					bridge.payload[device.type] && delete bridge.payload[device.type][device.uid];
 					adapter.log.debug('Successfully set ' + state + ' on ' + device.name + ' (to ' + value + ').');
 				}
 			});
@@ -1306,76 +2360,1049 @@ function sendCommand(device, actions, attempt = 1) {
 			if (!error) {
 				adapter.log.info('Attempt ' + attempt + 'x - Successfully set ' + device.name + '.');
 			}
+			
+			// retrieve resulting state (e.g. brightness after dimming has been stopped)
+			if (!error && device.refresh) {
+				getPayload(bridge, [device.type]);
+			}
+			
+			// verify state of the lights
+			else if (!error && adapter.config.verifyCommands && device.verify !== false && (device.type === 'lights' || device.type === 'groups') && device.trigger !== 'groups/0/action') {
+				verifyCommand(bridge, device, actions);
+			}
 		}
 		
 	}).catch(err => {
+		if (unloaded) {
+			return;
+		}
+		
 		adapter.log.warn('Failed sending request to ' + device.trigger + '!');
 		adapter.log.debug(err.message);
 		
 		// log last action in states
 		lastAction = {'lastAction': { 'timestamp': Math.floor(Date.now()/1000), 'datetime': library.getDateTime(Date.now()), 'lastCommand': JSON.stringify(actions), 'lastResult': '[{ "error": { "type": "unknown", "address": "' + device.trigger + '", "description": "' + err.message + '" } }]', 'error': true }};
-		readData(device.path + '.action', lastAction);
-		readData('info', lastAction);
+		readData(bridge, device.path + '.action', lastAction);
+		readData(bridge, bridge.namespace + 'info', lastAction);
 		
 		// try again if socket hang up (except if device is not reachable)
 		if (err.message && (err.message.indexOf('EHOSTUNREACH') > -1 || err.message.indexOf('socket hang up') > -1) && attempt <= MAX_ATTEMPTS && !(device.type == 'lights' && !library.getDeviceState(device.path + '.state.reachable'))) {
 			attempt++;
 			adapter.log.debug('Try again with attempt ' + attempt + 'x..');
-			setTimeout(() => sendCommand(device, actions, attempt), (adapter.config.reattemptIfError || 3)*1000);
+			setTimeout(() => sendCommand(bridge, device, actions, attempt), (adapter.config.reattemptIfError || 3)*1000);
 		}
 	});
 }
 
 /**
+ * Get the color gamut of a light (as reported by the light, otherwise its gamut type or modelid).
  *
  */
-function addToQueue(appliance, commands) {
-	adapter.log.debug('Add to queue (' + JSON.stringify(appliance) + ') commands: ' + JSON.stringify(commands));
-	QUEUE[appliance.trigger] = QUEUE[appliance.trigger] ? { ...appliance, commands: Object.assign({}, QUEUE[appliance.trigger].commands, commands) } : { ...appliance, commands: commands };
+function getGamut(bridge, light) {
+	let device = bridge.devices['lights'] && bridge.devices['lights'][light];
+	let control = (device && device.capabilities && device.capabilities.control) || {};
+	return control.colorgamut || control.colorgamuttype || (device && device.modelid) || null;
 }
 
 /**
+ * Get the groups with adaptive lighting enabled a device belongs to (a group itself or the groups of a light).
  *
  */
-function queue() {
+function getAdaptiveGroups(bridge, type, uid) {
+	let groups = bridge.devices['groups'] || {};
+	let uids = type == 'groups' ? [uid] : Object.keys(groups).filter(group => groups[group] && Array.isArray(groups[group].lights) && groups[group].lights.indexOf(uid) > -1);
 	
-	for (let trigger in QUEUE) {
-		let appliance = QUEUE[trigger];
-		sendCommand({ ...appliance, trigger: trigger }, appliance.commands);
-		delete QUEUE[trigger];
+	return uids
+		.filter(group => groups[group] && groups[group].name)
+		.map(group => ({ 'uid': group, 'path': groups[group].path || getDevicePath(bridge, 'groups', group) }))
+		.filter(group => library.getDeviceState(group.path + '.adaptive.enabled') === true)
+		.map(group => ({ ...group, 'paused': library.getDeviceState(group.path + '.adaptive.paused') === true }));
+}
+
+/**
+ * Get the curve of adaptive lighting of a group (falling back to the curve given in the settings).
+ *
+ */
+function getAdaptiveCurve(path) {
+	let curve = {};
+	for (let key in _circadian.DEFAULTS) {
+		curve[key] = Number(library.getDeviceState(path + '.adaptive.' + key)) || Number(adapter.config['adaptive' + library.ucFirst(key)]) || _circadian.DEFAULTS[key];
 	}
 	
-	let queueRun = setTimeout(queue, (adapter.config.queue || 3)*1000);
+	return curve;
 }
 
 /**
+ * Adjust color temperature and brightness of the lights (which are turned on) of all groups with adaptive lighting enabled.
  *
  */
-function getUser(type, bridgeIp, bridgePort, success, failure) {
-	
-	let options = {
-		uri: 'http://' + bridgeIp + ':' + bridgePort + '/api/',
-		method: 'POST',
-		json: true,
-		body: { 'devicetype': 'iobroker.hue-extended' }
-	};
+function adapt() {
+	clearTimeout(adaptiveRun);
 	
-	_request(options)
-		.then(res => {
-			if (res && res[0] && res[0].success && res[0].success.username) {
-				success && success(res[0].success.username);
+	for (let id in BRIDGES) {
+		let bridge = BRIDGES[id];
+		let groups = bridge.devices['groups'] || {};
+		let adjusted = [], paths = [];
+		
+		for (let uid in groups) {
+			let group = groups[uid];
+			if (!group || !group.name || !Array.isArray(group.lights)) {
+				continue;
 			}
 			
-			else if (res && res[0] && res[0].error && res[0].error.description) {
-				failure && failure(res[0].error.description);
+			group.path = group.path || getDevicePath(bridge, 'groups', uid);
+			
+			// lights turned on
+			let lights = group.lights.filter(light => bridge.devices['lights'] && bridge.devices['lights'][light]).map(light => ({ 'uid': light, 'path': getDevicePath(bridge, 'lights', light) }));
+			let lightsOn = lights.filter(light => library.getDeviceState(light.path + '.action.on') === true && library.getDeviceState(light.path + '.state.reachable') !== false);
+			
+			// states of adaptive lighting (paused adaptive lighting is resumed when all lights are turned off)
+			let curve = getAdaptiveCurve(group.path);
+			let setpoint = _circadian.getSetpoint(new Date(), COORDINATES.latitude, COORDINATES.longitude, curve);
+			let states = {
+				'enabled': library.getDeviceState(group.path + '.adaptive.enabled') === true,
+				'paused': library.getDeviceState(group.path + '.adaptive.paused') === true && lightsOn.length > 0,
+				...curve,
+				'colorTemperature': setpoint.colorTemperature,
+				'brightness': setpoint.brightness
+			};
+			
+			library.set({ 'node': group.path + '.adaptive', 'role': 'channel', 'description': 'Adaptive Lighting' });
+			for (let key in states) {
+				let node = library.getNode('groups.adaptive.' + key);
+				library.set({ ...node, 'node': group.path + '.adaptive.' + key }, states[key], { 'subscribe': !!(node.common && node.common.write) });
 			}
 			
-			else {
-				failure && failure('Unknown error occurred!');
+			paths.push(group.path + '.adaptive');
+			if (!states.enabled || states.paused) {
+				continue;
 			}
 			
-		})
-		.catch(err => {
-			failure && failure(err.message);
+			// adjust lights (unless already adjusted by another group or currently faded or running a software effect)
+			lightsOn.filter(light => adjusted.indexOf(light.uid) === -1 && getFades(bridge, [light.uid]).length === 0 && getEffects(bridge, [light.uid]).length === 0).forEach(light => {
+				let commands = {};
+				adjusted.push(light.uid);
+				
+				let bri = Math.max(Math.min(Math.round(setpoint.brightness*2.54), 254), 1);
+				let curBri = library.getDeviceState(light.path + '.action.brightness');
+				if (curBri !== null && Math.abs(bri - curBri) > 2) {
+					commands.bri = bri;
+				}
+				
+				let range = getColorTemperatureRange(bridge, light.uid);
+				let ct = Math.max(Math.min(Math.round(1000000 / setpoint.colorTemperature), range.max), range.min);
+				let curCt = library.getDeviceState(light.path + '.action.colorTemperature');
+				if (curCt !== null && (library.getDeviceState(light.path + '.action.colormode') != 'ct' || !curCt || Math.abs(1000000 / curCt - ct) > 2)) {
+					commands.ct = ct;
+				}
+				
+				if (Object.keys(commands).length > 0) {
+					commands.transitiontime = ADAPTIVE_TRANSITION*10;
+					sendCommand(bridge, { 'type': 'lights', 'uid': light.uid, 'name': bridge.devices['lights'][light.uid].name, 'path': light.path, 'trigger': 'lights/' + light.uid + '/state' }, commands);
+				}
+			});
+		}
+		
+		library.touchDeviceStates(paths);
+	}
+	
+	adaptiveRun = setTimeout(adapt, Math.max(adapter.config.adaptiveInterval || 60, 10)*1000);
+}
+
+/**
+ * Get the running fades affecting any of the given lights.
+ *
+ */
+function getFades(bridge, lights) {
+	return Object.keys(FADES).filter(path => FADES[path].bridge === bridge && FADES[path].lights.some(light => lights.indexOf(light) > -1));
+}
+
+/**
+ * Cancel the running fades affecting any of the given lights.
+ *
+ */
+function cancelFades(bridge, lights) {
+	getFades(bridge, lights).forEach(path => {
+		let fade = FADES[path];
+		clearTimeout(fade.timer);
+		delete FADES[path];
+		
+		library._setValue(path + '.action.fade', '');
+		adapter.log.info('Fade of ' + fade.appliance.name + ' has been cancelled at ' + (library.getDeviceState(path + '.action.fadeProgress') || 0) + '%.');
+	});
+}
+
+/**
+ * Fade brightness and / or color temperature of a light or group by a series of commands (not limited by the maximum transitiontime of the bridge).
+ *
+ * The fade is given as JSON with the target state (bri / level, ct / colorTemperature and on), the duration (in seconds) and optionally the curve,
+ * e.g. {"level": 100, "colorTemperature": 4000, "duration": 1800, "curve": "sunrise"}.
+ *
+ */
+function fade(bridge, appliance, lights, value) {
+	let path = appliance.path;
+	if (!value || value == 'stop') {
+		return library._setValue(path + '.action.fade', '');
+	}
+	
+	// parse fade
+	let target = null;
+	try {
+		target = JSON.parse(value);
+	}
+	catch(err) {
+		adapter.log.debug(err.message);
+	}
+	
+	if (!target || typeof target != 'object' || !(target.duration > 0) || (target.curve !== undefined && !FADE_CURVES[target.curve])) {
+		adapter.log.warn('Fade supplied in wrong format! Format shall be {"level": 100, "colorTemperature": 4000, "duration": 1800, "curve": "linear"} with duration in seconds and curve being one of ' + Object.keys(FADE_CURVES).join(', ') + '.');
+		return library._setValue(path + '.action.fade', '');
+	}
+	
+	// target brightness and color temperature (in Mired)
+	let range = appliance.type == 'lights' ? getColorTemperatureRange(bridge, appliance.uid) : CT_RANGE;
+	let bri = target.bri !== undefined ? target.bri : (target.brightness !== undefined ? target.brightness : (target.level !== undefined ? target.level*2.54 : undefined));
+	let ct = target.ct !== undefined ? target.ct : (target.colorTemperature ? 1000000 / target.colorTemperature : undefined);
+	let off = target.on === false || bri === 0;
+	
+	// start from current state (lights turned off start at minimum brightness)
+	let isOn = library.getDeviceState(path + '.action.on') === true;
+	let curCt = library.getDeviceState(path + '.action.colorTemperature');
+	let start = {
+		'bri': isOn ? Number(library.getDeviceState(path + '.action.brightness')) || 1 : 1,
+		'ct': curCt ? 1000000 / curCt : undefined
+	};
+	
+	let end = {
+		'bri': bri !== undefined ? Math.max(Math.min(Math.round(bri), 254), 1) : (off ? 1 : start.bri),
+		'ct': ct !== undefined ? Math.max(Math.min(Math.round(ct), range.max), range.min) : undefined
+	};
+	start.ct = start.ct || end.ct;
+	
+	let curve = FADE_CURVES[target.curve || 'linear'];
+	let duration = target.duration*1000;
+	let step = Math.max(Math.min(FADE_STEP*1000, duration/10), 1000);
+	let started = Date.now();
+	let device = { 'type': appliance.type, 'uid': appliance.uid, 'name': appliance.name, 'path': path, 'trigger': appliance.trigger, 'verify': false };
+	
+	FADES[path] = { 'bridge': bridge, 'appliance': appliance, 'lights': lights, 'timer': null };
+	library._setValue(path + '.action.fade', value);
+	library._setValue(path + '.action.fadeProgress', 0);
+	adapter.log.info('Fading ' + appliance.name + ' within ' + target.duration + 's to ' + JSON.stringify(end) + (off ? ' (turning off afterwards)' : '') + '.');
+	
+	// turn on at minimum brightness
+	if (!isOn) {
+		sendCommand(bridge, device, { 'on': true, 'bri': start.bri, ...(end.ct !== undefined ? { 'ct': Math.round(start.ct) } : {}), 'transitiontime': 0 });
+	}
+	
+	// send commands approaching the state at the end of the next interval
+	(function next() {
+		let elapsed = Date.now() - started;
+		let until = Math.min(elapsed + step, duration);
+		let t = until / duration;
+		
+		let commands = { 'bri': Math.round(start.bri + curve.bri(t) * (end.bri - start.bri)) };
+		if (end.ct !== undefined) {
+			commands.ct = Math.round(start.ct + curve.ct(t) * (end.ct - start.ct));
+		}
+		
+		commands.transitiontime = Math.round((until - elapsed) / 100);
+		sendCommand(bridge, device, commands);
+		library._setValue(path + '.action.fadeProgress', Math.round(elapsed / duration * 100));
+		
+		FADES[path].timer = setTimeout(() => {
+			if (until < duration) {
+				return next();
+			}
+			
+			// fade finished
+			delete FADES[path];
+			off && sendCommand(bridge, device, { 'on': false });
+			library._setValue(path + '.action.fade', '');
+			library._setValue(path + '.action.fadeProgress', 100);
+			adapter.log.info('Fade of ' + appliance.name + ' has been finished.');
+			
+		}, until - elapsed);
+	})();
+	
+	return true;
+}
+
+/**
+ * Get the device (as used for commands) of a light.
+ *
+ */
+function getLightDevice(bridge, light) {
+	return { 'type': 'lights', 'uid': light, 'name': bridge.devices['lights'][light].name, 'path': getDevicePath(bridge, 'lights', light), 'trigger': 'lights/' + light + '/state' };
+}
+
+/**
+ * Get the color of a light for a RGB color (xy within the color gamut of the light or the closest color temperature for lights only supporting color temperature).
+ *
+ */
+function getLightColor(bridge, light, rgb) {
+	let xy = _hueColor.convertRGBtoXY(rgb, getGamut(bridge, light));
+	let state = bridge.devices['lights'][light] && bridge.devices['lights'][light].state;
+	
+	if (isColorTemperatureOnly(bridge, light)) {
+		let range = getColorTemperatureRange(bridge, light);
+		return { 'ct': _ctColor.convertXYtoCT(xy, range.min, range.max) };
+	}
+	
+	return state && state.xy !== undefined ? { 'xy': xy } : {};
+}
+
+/**
+ * Get the commands restoring the states of lights (on, brightness and color of the current color mode) from their payload.
+ *
+ */
+function getRestoreCommands(lights, payload) {
+	let states = {};
+	lights.filter(light => payload && payload[light]).forEach(light => {
+		let state = payload[light].state || {};
+		states[light] = { 'on': state.on !== false };
+		
+		if (state.on !== false) {
+			state.bri !== undefined && (states[light].bri = state.bri);
+			state.colormode == 'xy' && state.xy !== undefined && (states[light].xy = state.xy);
+			state.colormode == 'ct' && state.ct !== undefined && (states[light].ct = state.ct);
+			state.colormode == 'hs' && state.hue !== undefined && Object.assign(states[light], { 'hue': state.hue, 'sat': state.sat });
+		}
+	});
+	
+	return states;
+}
+
+/**
+ * Get the current states of lights from the bridge (lights running a software effect get the states before the software effect has been started).
+ *
+ */
+function getSnapshot(bridge, lights) {
+	return request(bridge, 'lights', { ...bridge.requestOptions, 'uri': bridge.url + 'lights' }).then(res => {
+		if (!res || Array.isArray(res)) {
+			throw new Error('Failed retrieving states of the lights!');
+		}
+		
+		let states = getRestoreCommands(lights, res);
+		getEffects(bridge, lights).forEach(path => {
+			lights.filter(light => EFFECTS[path].states[light]).forEach(light => states[light] = EFFECTS[path].states[light]);
+		});
+		
+		return states;
+	});
+}
+
+/**
+ * Save the current states of the lights of a light or group (to be restored later).
+ *
+ */
+function snapshot(bridge, appliance, lights) {
+	return getSnapshot(bridge, lights)
+		.then(states => {
+			readData(bridge, appliance.path + '.action', { 'snapshotData': JSON.stringify(states) });
+			adapter.log.info('Saved snapshot of ' + appliance.name + '.');
+		})
+		.catch(err => {
+			adapter.log.warn('Failed saving snapshot of ' + appliance.name + ' (' + err.message + ')!');
+		});
+}
+
+/**
+ * Restore the states of the lights of a light or group (from the saved snapshot unless states are given).
+ *
+ */
+function restore(bridge, appliance, states = null) {
+	if (!states) {
+		try {
+			states = JSON.parse(library.getDeviceState(appliance.path + '.action.snapshotData') || 'null');
+		}
+		catch(err) {
+			adapter.log.debug(err.message);
+		}
+		
+		if (!states || typeof states != 'object') {
+			adapter.log.warn('No snapshot of ' + appliance.name + ' saved to be restored!');
+			return false;
+		}
+	}
+	
+	Object.keys(states).filter(light => bridge.devices['lights'] && bridge.devices['lights'][light]).forEach(light => sendCommand(bridge, { ...getLightDevice(bridge, light), 'force': true }, { ...states[light] }));
+	adapter.log.info('Restored snapshot of ' + appliance.name + '.');
+	return true;
+}
+
+/**
+ * Get bridge and device of a light or group given by its ID, e.g. hue-extended.0.groups.001-living_room.
+ *
+ */
+function getTarget(target) {
+	let params = String(target || '').replace(adapterName + '.' + adapter.instance + '.', '').split('.');
+	let bridge = params[0] == 'bridges' ? BRIDGES[params.splice(0, 2)[1]] : BRIDGES[''];
+	
+	let appliance = { 'type': params[0] };
+	appliance.path = bridge && bridge.namespace + params.join('.');
+	appliance.uid = bridge && library.getDeviceState(appliance.path + '.uid');
+	appliance.name = bridge && library.getDeviceState(appliance.path + '.name');
+	
+	// unknown device
+	if (!bridge || !appliance.uid || !bridge.devices[appliance.type] || !bridge.devices[appliance.type][appliance.uid]) {
+		return { 'bridge': null, 'appliance': appliance };
+	}
+	
+	return { 'bridge': bridge, 'appliance': appliance };
+}
+
+/**
+ * Create a scene of a group from the current states of its lights (the scene is added to the states immediately).
+ *
+ * @param	{object}	bridge		Bridge
+ * @param	{string}	group		ID of the group
+ * @param	{string}	name		Name of the scene
+ * @return	{Promise}				ID of the scene
+ *
+ */
+function createScene(bridge, group, name) {
+	name = String(name || '').trim();
+	if (!name) {
+		return Promise.reject(new Error('No name of the scene given!'));
+	}
+	else if (bridge.config.bridgeType == 'deconz') {
+		return Promise.reject(new Error('Creating scenes is not supported for deCONZ!'));
+	}
+	
+	let id = null;
+	return request(bridge, 'groups', { ...bridge.requestOptions, 'uri': bridge.url + 'scenes', 'method': 'POST', 'body': { 'name': name, 'type': 'GroupScene', 'group': String(group), 'recycle': false } })
+		.then(res => {
+			id = Array.isArray(res) && res[0] && res[0].success ? res[0].success.id : null;
+			if (!id) {
+				throw new Error(Array.isArray(res) && res[0] && res[0].error ? res[0].error.description : 'No ID of the scene returned');
+			}
+			
+			// store current states of the lights in the scene
+			return request(bridge, 'groups', { ...bridge.requestOptions, 'uri': bridge.url + 'scenes/' + id, 'method': 'PUT', 'body': { 'storelightstate': true } });
+		})
+		.then(() => request(bridge, 'lights', { ...bridge.requestOptions, 'uri': bridge.url + 'scenes/' + id }))
+		.then(scene => {
+			adapter.log.info('Scene ' + name + ' (' + id + ') has been created for group ' + (bridge.devices['groups'][group] ? bridge.devices['groups'][group].name : group) + '.');
+			
+			// add scene without waiting for the next payload
+			if (scene && typeof scene == 'object' && !Array.isArray(scene)) {
+				let lightstates = scene.lightstates;
+				delete scene.lightstates;
+				bridge.devices['scenes'] = bridge.devices['scenes'] || {};
+				bridge.devices['scenes'][id] = JSON.parse(JSON.stringify(scene));
+				
+				if (adapter.config.syncScenes) {
+					addBridgeData(bridge, 'scenes', { [id]: scene });
+					
+					if (lightstates) {
+						bridge.lightstates[id] = { 'updated': scene.lastupdated || true, 'lightstates': lightstates };
+						adapter.config.syncSceneLightstates && addLightstates(bridge, id, lightstates);
+					}
+				}
+			}
+			
+			return id;
+		});
+}
+
+/**
+ * Get the scenes of a group (ordered by name).
+ *
+ */
+function getGroupScenes(bridge, group) {
+	let scenes = bridge.devices['scenes'] || {};
+	return Object.keys(scenes)
+		.filter(id => scenes[id] && scenes[id].type == 'GroupScene' && scenes[id].group == group)
+		.sort((a, b) => String(scenes[a].name).localeCompare(String(scenes[b].name)));
+}
+
+/**
+ * Find a scene of a group by its ID or name.
+ *
+ */
+function findGroupScene(bridge, group, scene) {
+	let scenes = getGroupScenes(bridge, group);
+	scene = String(scene).trim();
+	
+	return scenes.find(id => id == scene) || scenes.find(id => String(bridge.devices['scenes'][id].name).toLowerCase() == scene.toLowerCase()) || null;
+}
+
+/**
+ * Get the commands to recall a scene given as its ID / name or as JSON with properties scene, transitiontime and bri / brightness or level.
+ *
+ */
+function getSceneRecall(bridge, appliance, value) {
+	let recall = null;
+	try {
+		recall = String(value).trim().charAt(0) == '{' ? JSON.parse(value) : { 'scene': value };
+	}
+	catch(err) {
+		return null;
+	}
+	
+	if (!recall || recall.scene === undefined || recall.scene === null || String(recall.scene).trim() === '') {
+		return null;
+	}
+	
+	// scene has to be known by the bridge (either scene of the group given by its ID / name or any scene given by its ID)
+	let scene = (appliance.type == 'groups' && findGroupScene(bridge, appliance.uid, recall.scene)) || String(recall.scene).trim();
+	if (!bridge.devices['scenes'] || !bridge.devices['scenes'][scene]) {
+		return null;
+	}
+	
+	let commands = { 'scene': scene };
+	
+	// transition time
+	if (recall.transitiontime !== undefined) {
+		commands.transitiontime = Number.parseInt(recall.transitiontime);
+		if (Number.isNaN(commands.transitiontime) || commands.transitiontime < 0) {
+			return null;
+		}
+	}
+	
+	// brightness override
+	let bri = recall.level !== undefined ? Number.parseFloat(recall.level) * 2.54 : Number.parseFloat(recall.bri !== undefined ? recall.bri : recall.brightness);
+	if (recall.level !== undefined || recall.bri !== undefined || recall.brightness !== undefined) {
+		if (Number.isNaN(bri)) {
+			return null;
+		}
+		
+		commands.bri = Math.max(Math.min(Math.round(bri), 254), 1);
+	}
+	
+	return commands;
+}
+
+/**
+ * Get the next (or previous) scene of a group, stepping through the scenes given by state sceneCycle or all scenes of the group.
+ *
+ */
+function getCycleScene(bridge, appliance, step) {
+	let cycle = library.getDeviceState(appliance.path + '.action.sceneCycle') || '';
+	let scenes = getGroupScenes(bridge, appliance.uid);
+	
+	// ordered list of scenes given by their IDs or names (separated by comma or as JSON array)
+	if (String(cycle).trim() !== '') {
+		try {
+			cycle = String(cycle).trim().charAt(0) == '[' ? JSON.parse(cycle) : String(cycle).split(',');
+		}
+		catch(err) {
+			adapter.log.warn('Invalid scenes to step through given for ' + appliance.name + ' (' + err.message + ')!');
+			return null;
+		}
+		
+		scenes = (Array.isArray(cycle) ? cycle : [cycle]).map(scene => findGroupScene(bridge, appliance.uid, scene)).filter(scene => scene !== null);
+	}
+	
+	if (scenes.length == 0) {
+		return null;
+	}
+	
+	// continue from the scene last recalled or currently active
+	let index = scenes.indexOf(bridge.recalledScenes[appliance.uid] || library.getDeviceState(appliance.path + '.activeSceneUid'));
+	return scenes[index == -1 ? (step > 0 ? 0 : scenes.length-1) : (index + step + scenes.length) % scenes.length];
+}
+
+/**
+ * Retrieve the lightstates of scenes, which have been updated since they were retrieved last.
+ *
+ */
+function syncLightstates(bridge, scenes) {
+	if (bridge.config.bridgeType == 'deconz') {
+		return;
+	}
+	
+	for (let id in scenes) {
+		let updated = scenes[id] && (scenes[id].lastupdated || true);
+		if (!updated || (bridge.lightstates[id] && bridge.lightstates[id].updated === updated) || !bridge.devices['scenes'] || !bridge.devices['scenes'][id] || !bridge.devices['scenes'][id].path) {
+			continue;
+		}
+		
+		bridge.lightstates[id] = { 'updated': updated, 'lightstates': null };
+		request(bridge, 'polling', { ...bridge.requestOptions, 'uri': bridge.url + 'scenes/' + id })
+			.then(scene => {
+				if (!scene || !scene.lightstates || !bridge.lightstates[id]) {
+					return;
+				}
+				
+				bridge.lightstates[id].lightstates = scene.lightstates;
+				adapter.config.syncSceneLightstates && addLightstates(bridge, id, scene.lightstates);
+				adapter.config.activeScene && detectActiveScenes(bridge);
+			})
+			.catch(err => {
+				delete bridge.lightstates[id];
+				adapter.log.debug('Failed retrieving lightstates of scene ' + id + ' (' + err.message + ')!');
+			});
+	}
+}
+
+/**
+ * Write the lightstates of a scene to the states (which may be changed).
+ *
+ */
+function addLightstates(bridge, id, lightstates) {
+	let path = bridge.devices['scenes'][id] && bridge.devices['scenes'][id].path;
+	if (!path) {
+		return;
+	}
+	
+	library.set({ 'node': path + '.lightstates', 'role': 'channel', 'description': 'States of the lights of the scene' });
+	for (let light in lightstates) {
+		let lightstate = lightstates[light] || {};
+		let values = {
+			'on': lightstate.on,
+			'brightness': lightstate.bri,
+			'colorTemperature': lightstate.ct ? Math.round(1000000 / lightstate.ct) : undefined,
+			'xy': Array.isArray(lightstate.xy) ? lightstate.xy.join(',') : undefined,
+			'hue': lightstate.hue !== undefined ? Math.max(Math.min(Math.round(lightstate.hue / 65535 * 360), 360), 0) : undefined,
+			'saturation': lightstate.sat,
+			'transitiontime': lightstate.transitiontime
+		};
+		
+		library.set({ 'node': path + '.lightstates.' + light, 'role': 'channel', 'description': bridge.devices['lights'] && bridge.devices['lights'][light] ? bridge.devices['lights'][light].name : 'Light ' + light });
+		for (let key in values) {
+			if (values[key] !== undefined) {
+				let node = library.getNode(key);
+				library.set({ ...node, 'node': path + '.lightstates.' + light + '.' + key, 'common': { ...node.common, 'write': true } }, values[key], { 'subscribe': true });
+			}
+		}
+	}
+}
+
+/**
+ * Change a lightstate of a scene on the bridge.
+ *
+ */
+function setLightstate(bridge, path, light, action, value) {
+	let scene = library.getDeviceState(path + '.uid');
+	let key = LIGHTSTATES[action];
+	if (!scene || !key) {
+		adapter.log.warn('Lightstate can not be changed (unknown scene or state)!');
+		return false;
+	}
+	
+	// convert value ranges
+	if (key == 'ct') {
+		let range = getColorTemperatureRange(bridge, light);
+		value = Math.max(Math.min(Math.round(value > 500 ? 1000000 / value : value), range.max), range.min);
+	}
+	else if (key == 'hue') {
+		value = Math.max(Math.min(Math.round(value / 360 * 65535), 65535), 0);
+	}
+	else if (key == 'xy') {
+		value = String(value).split(',').map(val => Number.parseFloat(val));
+		if (value.length != 2 || value.some(val => Number.isNaN(val))) {
+			adapter.log.warn('Invalid value for xy given (' + value + ')!');
+			return false;
+		}
+	}
+	
+	return request(bridge, 'lights', { ...bridge.requestOptions, 'uri': bridge.url + 'scenes/' + scene + '/lightstates/' + light, 'method': 'PUT', 'body': { [key]: value } })
+		.then(res => {
+			if (!Array.isArray(res) || !res[0] || !res[0].success) {
+				throw new Error(Array.isArray(res) && res[0] && res[0].error ? res[0].error.description : 'No result returned');
+			}
+			
+			adapter.log.info('Set ' + action + ' of light ' + light + ' in scene ' + library.getDeviceState(path + '.name') + ' (' + scene + ') to ' + JSON.stringify(value) + '.');
+			
+			let cache = bridge.lightstates[scene] && bridge.lightstates[scene].lightstates;
+			if (cache && cache[light]) {
+				cache[light][key] = value;
+			}
+			
+			library._setValue(path + '.lightstates.' + light + '.' + action, key == 'ct' ? Math.round(1000000 / value) : (key == 'hue' ? Math.round(value / 65535 * 360) : (key == 'xy' ? value.join(',') : value)));
+		})
+		.catch(err => adapter.log.warn('Failed changing lightstate of scene ' + scene + ' (' + err.message + ')!'));
+}
+
+/**
+ * Detect the scene currently active in each group and write it to the states of the group.
+ *
+ */
+function detectActiveScenes(bridge) {
+	let groups = bridge.devices['groups'] || {};
+	let scenes = bridge.devices['scenes'] || {};
+	let tolerance = {
+		..._verify.VERIFY_TOLERANCE,
+		'bri': Number.parseFloat(adapter.config.activeSceneToleranceBri) >= 0 ? Number.parseFloat(adapter.config.activeSceneToleranceBri) : 5,
+		'sat': Number.parseFloat(adapter.config.activeSceneToleranceSat) >= 0 ? Number.parseFloat(adapter.config.activeSceneToleranceSat) : 5,
+		'ct': Number.parseFloat(adapter.config.activeSceneToleranceCt) >= 0 ? Number.parseFloat(adapter.config.activeSceneToleranceCt) : 10,
+		'xy': Number.parseFloat(adapter.config.activeSceneToleranceXy) >= 0 ? Number.parseFloat(adapter.config.activeSceneToleranceXy) : 0.02
+	};
+	
+	for (let uid in groups) {
+		if (uid == '0' || !groups[uid] || !groups[uid].name) {
+			continue;
+		}
+		
+		let path = groups[uid].path || getDevicePath(bridge, 'groups', uid);
+		let candidates = getGroupScenes(bridge, uid);
+		let active = null;
+		
+		// use status of the scenes provided by the bridge (v2 API)
+		if (candidates.some(id => scenes[id].active !== undefined)) {
+			active = candidates.find(id => scenes[id].active === true);
+		}
+		
+		// compare lightstates of the scenes with the current states of the lights (prefering the scene last called)
+		else {
+			let matching = candidates.filter(id => bridge.lightstates[id] && bridge.lightstates[id].lightstates && _verify.isSceneActive(bridge.lightstates[id].lightstates, bridge.devices['lights'], tolerance));
+			let lastScene = library.getDeviceState(path + '.lastScene');
+			active = matching.find(id => scenes[id].name == lastScene) || matching[0];
+		}
+		
+		library.set({ ...library.getNode('groups.activeScene'), 'node': path + '.activeScene' }, active ? scenes[active].name : '');
+		library.set({ ...library.getNode('groups.activeSceneUid'), 'node': path + '.activeSceneUid' }, active || '');
+	}
+}
+
+/**
+ * Flash the lights of a light or group in a color and restore their previous states afterwards.
+ *
+ * @param	{object}	options							Notification
+ * @param	{string}	options.target					ID of the light or group, e.g. hue-extended.0.groups.001-living_room
+ * @param	{string}	[options.color=255,0,0]			Color (RGB)
+ * @param	{number}	[options.repetitions=3]			Number of flashes
+ * @param	{number}	[options.duration=1]			Duration of a flash (in seconds)
+ * @return	{Promise}									States of the lights, which have been restored
+ *
+ */
+function notify(options) {
+	let { bridge, appliance } = getTarget(options.target);
+	let rgb = String(options.color || '255,0,0').split(',').map(value => Number.parseInt(value));
+	let repetitions = Number.parseInt(options.repetitions) || 3;
+	let duration = Number.parseFloat(options.duration) || 1;
+	
+	if (!bridge || (appliance.type != 'lights' && appliance.type != 'groups')) {
+		return Promise.reject(new Error('Unknown light or group given (' + options.target + ')!'));
+	}
+	
+	if (rgb.length != 3 || rgb.some(value => !(value >= 0 && value <= 255))) {
+		return Promise.reject(new Error('Invalid color given (' + options.color + ')!'));
+	}
+	
+	let lights = (appliance.type == 'lights' ? [appliance.uid] : bridge.devices['groups'][appliance.uid].lights).filter(light => bridge.devices['lights'] && bridge.devices['lights'][light]);
+	let devices = lights.map(light => ({ ...getLightDevice(bridge, light), 'verify': false, 'force': true }));
+	
+	return getSnapshot(bridge, lights).then(states => new Promise(resolve => {
+		adapter.log.info('Notifying via ' + appliance.name + ' (' + repetitions + 'x ' + rgb.join() + ').');
+		cancelFades(bridge, lights);
+		stopEffects(bridge, lights);
+		
+		let repetition = 0;
+		(function flash() {
+			devices.forEach(device => sendCommand(bridge, device, { 'on': true, 'bri': 254, ...getLightColor(bridge, device.uid, rgb), 'transitiontime': 0 }));
+			
+			setTimeout(() => {
+				devices.forEach(device => sendCommand(bridge, device, { 'on': false, 'transitiontime': 0 }));
+				repetition++;
+				setTimeout(() => repetition < repetitions ? flash() : resolve(states), duration*500);
+				
+			}, duration*500);
+		})();
+		
+	})).then(states => {
+		restore(bridge, appliance, states);
+		return states;
+	});
+}
+
+/**
+ * Get the running software effects affecting any of the given lights.
+ *
+ */
+function getEffects(bridge, lights) {
+	return Object.keys(EFFECTS).filter(path => EFFECTS[path].bridge === bridge && EFFECTS[path].lights.some(light => lights.indexOf(light) > -1));
+}
+
+/**
+ * Stop the running software effects affecting any of the given lights.
+ *
+ * @return	{object}		States of the lights before the software effects have been started (by light)
+ *
+ */
+function stopEffects(bridge, lights) {
+	let states = {};
+	getEffects(bridge, lights).forEach(path => {
+		let effect = EFFECTS[path];
+		clearTimeout(effect.timer);
+		delete EFFECTS[path];
+		
+		Object.assign(states, effect.states);
+		library._setValue(path + '.action.softwareEffect', 'none');
+		adapter.log.info('Software effect ' + effect.options.effect + ' of ' + effect.appliance.name + ' has been stopped.');
+	});
+	
+	return states;
+}
+
+/**
+ * Run a software effect on the lights of a light or group (or stop it and restore the previous state of the lights).
+ *
+ * The software effect is given as its name or as JSON with speed (multiplier of the default speed) and color (RGB, multiple colors separated by semicolon),
+ * e.g. candle or {"effect": "police", "speed": 2, "color": "255,0,0;0,0,255"}.
+ *
+ */
+function effect(bridge, appliance, lights, value) {
+	let path = appliance.path;
+	lights = lights.filter(light => bridge.devices['lights'] && bridge.devices['lights'][light]);
+	
+	// states of the lights before any software effect has been started
+	let previous = stopEffects(bridge, lights);
+	let states = { ...getRestoreCommands(lights.filter(light => !previous[light]), bridge.devices['lights']), ...previous };
+	let devices = lights.map(light => ({ ...getLightDevice(bridge, light), 'verify': false }));
+	
+	// stop software effect and restore previous state
+	if (!value || value == 'none') {
+		library._setValue(path + '.action.softwareEffect', 'none');
+		devices.filter(device => previous[device.uid]).forEach(device => sendCommand(bridge, device, { ...previous[device.uid] }));
+		return true;
+	}
+	
+	// parse software effect
+	let options = _effects.parse(value);
+	if (!options) {
+		adapter.log.warn('Software effect supplied in wrong format! Format shall be one of ' + Object.keys(_effects.EFFECTS).join(', ') + ' or {"effect": "breathing", "speed": 1, "color": "255,0,0"} (with speed being a multiplier of the default speed).');
+		library._setValue(path + '.action.softwareEffect', 'none');
+		return false;
+	}
+	
+	// respect the rate limit of the bridge (each step sends a command to every light)
+	let interval = Math.max(_effects.getInterval(options), lights.length / RATE_LIMITS.lights.rate);
+	let transition = _effects.EFFECTS[options.effect].transition;
+	let step = 0;
+	
+	EFFECTS[path] = { 'bridge': bridge, 'appliance': appliance, 'lights': lights, 'states': states, 'options': options, 'timer': null };
+	library._setValue(path + '.action.softwareEffect', value);
+	adapter.log.info('Running software effect ' + options.effect + ' on ' + appliance.name + '.');
+	
+	(function next() {
+		
+		// skip step while requests are waiting for the bridge
+		if (bridge.limiter.size == 0) {
+			devices.forEach((device, index) => {
+				let state = _effects.getState(options, step, index);
+				let commands = { 'on': state.on };
+				
+				if (state.on) {
+					commands.bri = state.bri;
+					state.rgb && Object.assign(commands, getLightColor(bridge, device.uid, state.rgb));
+				}
+				
+				commands.transitiontime = transition ? Math.round(interval*10) : 0;
+				sendCommand(bridge, device, commands);
+			});
+			
+			step++;
+		}
+		
+		EFFECTS[path].timer = setTimeout(next, interval*1000);
+	})();
+	
+	return true;
+}
+
+/**
+ * Get the range of the color temperature (in Mired) of a light (as reported by the light).
+ *
+ */
+function getColorTemperatureRange(bridge, light) {
+	let device = bridge.devices['lights'] && bridge.devices['lights'][light];
+	let range = device && device.capabilities && device.capabilities.control && device.capabilities.control.ct;
+	return range && range.min && range.max ? { 'min': Math.max(range.min, CT_RANGE.min), 'max': Math.min(range.max, CT_RANGE.max) } : CT_RANGE;
+}
+
+/**
+ * Check whether a light only supports color temperature (but no colors).
+ *
+ */
+function isColorTemperatureOnly(bridge, light) {
+	let device = bridge.devices['lights'] && bridge.devices['lights'][light];
+	return !!(device && device.state && device.state.ct !== undefined && device.state.xy === undefined && device.state.hue === undefined);
+}
+
+/**
+ * Verify the states of the lights affected by a command and resend the differences to each light.
+ *
+ */
+function verifyCommand(bridge, device, actions, attempt = 1) {
+	let lights = device.type == 'lights' ? [device.uid] : (bridge.devices['groups'][device.uid] && bridge.devices['groups'][device.uid].lights) || [];
+	let expected = _verify.getExpected(actions);
+	
+	if (Object.keys(expected).length == 0 || lights.length == 0) {
+		return;
+	}
+	
+	if (attempt == 1) {
+		readData(bridge, device.path + '.action', { 'lastAction': { 'verified': false } });
+	}
+	
+	// wait for the transition to be finished
+	let delay = (adapter.config.verifyDelay || 1)*1000 + (actions.transitiontime !== undefined ? actions.transitiontime : 4)*100;
+	setTimeout(() => {
+		request(bridge, 'polling', { ...bridge.requestOptions, 'uri': bridge.url + 'lights' }).then(res => {
+			if (unloaded || !res || Array.isArray(res)) {
+				return;
+			}
+			
+			// compare states of the lights with the requested state
+			let differences = {}, data = {};
+			lights.forEach(light => {
+				let difference = _verify.getDifferences(expected, res[light] && res[light].state);
+				if (Object.keys(difference).length > 0) {
+					differences[light] = difference;
+				}
+				
+				res[light] && (data[light] = res[light]);
+			});
+			
+			// update index
+			for (let light in data) {
+				let dev = bridge.devices['lights'] && bridge.devices['lights'][light];
+				dev && (dev.state = { ...dev.state || {}, ...data[light].state || {} });
+			}
+			
+			// only write if syncing is on
+			if (adapter.config.syncLights) {
+				addBridgeData(bridge, 'lights', data, true);
+			}
+			
+			// verified
+			if (Object.keys(differences).length == 0) {
+				adapter.log.debug('Attempt ' + attempt + 'x - Verified state of ' + device.name + '.');
+				readData(bridge, device.path + '.action', { 'lastAction': { 'verified': true } });
+			}
+			
+			// resend differences to each light
+			else if (attempt < MAX_ATTEMPTS) {
+				adapter.log.debug('Attempt ' + attempt + 'x - State of ' + device.name + ' differs from requested state (' + JSON.stringify(differences) + '). Resending differences..');
+				
+				for (let light in differences) {
+					if (bridge.devices['lights'][light]) {
+						sendCommand(bridge, { 'type': 'lights', 'uid': light, 'name': bridge.devices['lights'][light].name, 'path': getDevicePath(bridge, 'lights', light), 'trigger': 'lights/' + light + '/state', 'verify': false }, differences[light]);
+					}
+				}
+				
+				verifyCommand(bridge, device, actions, attempt+1);
+			}
+			
+			else {
+				adapter.log.warn('Attempt ' + attempt + 'x - State of ' + device.name + ' could not be verified (differences: ' + JSON.stringify(differences) + ')!');
+			}
+			
+		}).catch(err => {
+			adapter.log.debug('Failed verifying state of ' + device.name + ': ' + err.message);
+		});
+	}, delay);
+}
+
+/**
+ *
+ */
+function addToQueue(bridge, appliance, commands) {
+	adapter.log.debug('Add to queue of ' + bridge.name + ' (' + JSON.stringify(appliance) + ') commands: ' + JSON.stringify(commands));
+	bridge.queue[appliance.trigger] = bridge.queue[appliance.trigger] ? { ...appliance, commands: _increments.mergeCommands(bridge.queue[appliance.trigger].commands, commands) } : { ...appliance, commands: commands };
+}
+
+/**
+ *
+ */
+function queue() {
+	
+	for (let id in BRIDGES) {
+		let bridge = BRIDGES[id];
+		
+		for (let trigger in bridge.queue) {
+			let appliance = bridge.queue[trigger];
+			sendCommand(bridge, { ...appliance, trigger: trigger }, appliance.commands);
+			delete bridge.queue[trigger];
+		}
+	}
+	
+	queueRun = setTimeout(queue, (adapter.config.queue || 3)*1000);
+}
+
+/**
+ *
+ */
+function getUser(type, bridgeIp, bridgePort, success, failure) {
+	
+	let options = {
+		uri: 'http://' + bridgeIp + ':' + bridgePort + '/api/',
+		method: 'POST',
+		json: true,
+		body: { 'devicetype': 'iobroker.hue-extended' }
+	};
+	
+	// request client key (used by the v2 API and the Entertainment API)
+	if (type != 'deconz') {
+		options.body.generateclientkey = true;
+	}
+	
+	_request(options)
+		.then(res => {
+			if (res && res[0] && res[0].success && res[0].success.username) {
+				success && success(res[0].success.username, res[0].success.clientkey || null);
+			}
+			
+			else if (res && res[0] && res[0].error && res[0].error.description) {
+				failure && failure(res[0].error.description, res[0].error.type);
+			}
+			
+			else {
+				failure && failure('Unknown error occurred!');
+			}
+			
+		})
+		.catch(err => {
+			failure && failure(err.message);
 		});
+}
+
+/**
+ * Pair with a bridge, i.e. retry retrieving a user until the link button has been pressed (progress is given in PAIRING).
+ *
+ * A configured bridge of another type or IP is only replaced if confirmed (overwrite).
+ *
+ */
+function pair(type, bridgeIp, bridgePort, timeout, store, overwrite = false) {
+	let started = Date.now();
+	PAIRING = { 'status': 'waiting', 'attempts': 0, 'remaining': timeout };
+	
+	adapter.log.info('Pairing with ' + library.ucFirst(type) + ' Bridge ' + bridgeIp + '. Waiting ' + timeout + 's for the link button to be pressed..');
+	clearTimeout(pairingRetry);
+	
+	let attempt = () => {
+		PAIRING.attempts++;
+		
+		getUser(type, bridgeIp, bridgePort, (username, clientkey) => {
+			adapter.log.info('Successfully paired with ' + library.ucFirst(type) + ' Bridge ' + bridgeIp + '.');
+			PAIRING = { ...PAIRING, 'status': 'success', 'remaining': 0, 'user': username, 'clientkey': clientkey };
+			
+			// store user and client key in the configuration (adapter will be restarted)
+			if (store && adapter.config.bridgeIp && (adapter.config.bridgeIp != bridgeIp || (adapter.config.bridgeType || 'hue') != type) && !overwrite) {
+				adapter.log.warn('Paired bridge ' + bridgeIp + ' differs from the configured bridge ' + adapter.config.bridgeIp + '! Settings have not been changed (confirm replacing the bridge using option overwrite).');
+				PAIRING.stored = false;
+			}
+			else if (store) {
+				adapter.extendForeignObject('system.adapter.' + adapter.namespace, { 'native': { 'bridgeType': type, 'bridgeIp': bridgeIp, 'bridgePort': bridgePort, 'bridgeUser': username, 'bridgeClientKey': clientkey ? adapter.encrypt(clientkey) : '' } });
+				PAIRING.stored = true;
+			}
+		},
+		(error, code) => {
+			PAIRING.remaining = Math.max(timeout - Math.round((Date.now()-started)/1000), 0);
+			
+			// link button not pressed (yet)
+			if (code == 101 && PAIRING.remaining > 0 && !unloaded) {
+				pairingRetry = setTimeout(attempt, 2000);
+			}
+			else {
+				adapter.log.warn('Pairing with ' + library.ucFirst(type) + ' Bridge ' + bridgeIp + ' failed (' + error + ')!');
+				PAIRING = { ...PAIRING, 'status': 'failed', 'remaining': 0, 'error': error };
+			}
+		});
+	};
+	
+	attempt();
 }
\ No newline at end of file
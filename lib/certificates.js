@@ -0,0 +1,159 @@
+'use strict';
+const _https = require('https');
+const _tls = require('tls');
+
+/**
+ * Certificates
+ *
+ * @description Verification of the TLS certificate of a bridge, either against the root CA of Philips Hue / Signify (with the common name checked against the bridge ID) or by pinning the certificate on first use
+ * @author Zefau <https://github.com/Zefau/>
+ * @license MIT License
+ *
+ */
+
+/*
+ * root CA of the Hue Bridges (C=NL, O=Philips Hue, CN=root-bridge)
+ */
+const HUE_ROOT_CA = [
+	'-----BEGIN CERTIFICATE-----',
+	'MIICMjCCAdigAwIBAgIUO7FSLbaxikuXAljzVaurLXWmFw4wCgYIKoZIzj0EAwIw',
+	'OTELMAkGA1UEBhMCTkwxFDASBgNVBAoMC1BoaWxpcHMgSHVlMRQwEgYDVQQDDAty',
+	'b290LWJyaWRnZTAiGA8yMDE3MDEwMTAwMDAwMFoYDzIwMzgwMTE5MDMxNDA3WjA5',
+	'MQswCQYDVQQGEwJOTDEUMBIGA1UECgwLUGhpbGlwcyBIdWUxFDASBgNVBAMMC3Jv',
+	'b3QtYnJpZGdlMFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAEjNw2tx2AplOf9x86',
+	'aTdvEcL1FU65QDxziKvBpW9XXSIcibAeQiKxegpq8Exbr9v6LBnYbna2VcaK0G22',
+	'jOKkTqOBuTCBtjAPBgNVHRMBAf8EBTADAQH/MA4GA1UdDwEB/wQEAwIBhjAdBgNV',
+	'HQ4EFgQUZ2ONTFrDT6o8ItRnKfqWKnHFGmQwdAYDVR0jBG0wa4AUZ2ONTFrDT6o8',
+	'ItRnKfqWKnHFGmShPaQ7MDkxCzAJBgNVBAYTAk5MMRQwEgYDVQQKDAtQaGlsaXBz',
+	'IEh1ZTEUMBIGA1UEAwwLcm9vdC1icmlkZ2WCFDuxUi22sYpLlwJY81Wrqy11phcO',
+	'MAoGCCqGSM49BAMCA0gAMEUCIEBYYEOsa07TH7E5MJnGw557lVkORgit2Rm1h3B2',
+	'sFgDAiEA1Fj/C3AN5psFMjo0//mrQebo0eKd3aWRx+pQY08mk48=',
+	'-----END CERTIFICATE-----'
+].join('\n');
+
+/*
+ * error codes of a failed certificate verification
+ */
+const ERRORS = [
+	'ERR_BRIDGE_ID_MISMATCH',
+	'ERR_CERT_CHANGED',
+	'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+	'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+	'SELF_SIGNED_CERT_IN_CHAIN',
+	'DEPTH_ZERO_SELF_SIGNED_CERT',
+	'CERT_HAS_EXPIRED',
+	'CERT_SIGNATURE_FAILURE',
+	'ERR_TLS_CERT_ALTNAME_INVALID'
+];
+
+/**
+ * Create an error of a failed certificate verification.
+ *
+ * @param	{string}	code		Error code
+ * @param	{string}	message		Error message
+ * @return	{Error}					Error
+ *
+ */
+function certificateError(code, message) {
+	let err = new Error(message);
+	err.code = code;
+	return err;
+}
+
+/**
+ * Check whether an error has been caused by a failed certificate verification.
+ *
+ * @param	{Error}		err			Error (e.g. of request-promise, which wraps the original error in err.cause)
+ * @return	{boolean}				true if certificate verification failed
+ *
+ */
+function isCertificateError(err) {
+	err = err && err.cause ? err.cause : err;
+	return !!(err && ERRORS.indexOf(err.code) > -1);
+}
+
+/**
+ * Create an https agent verifying the certificate of a bridge.
+ *
+ * Modes:
+ *	- ca		certificate has to be issued by the root CA of Philips Hue and its common name has to match the bridge ID (Hue Bridge)
+ *	- tofu		certificate is pinned on first use and has to match the pinned fingerprint afterwards (e.g. deCONZ or other self-signed gateways)
+ *	- none		certificate is not verified at all
+ *
+ * @param	{string}	mode						Verification mode (ca, tofu or none)
+ * @param	{object}	[pinned={}]					Pinned values (properties bridgeId and fingerprint), which are updated on first use
+ * @param	{function}	[onPin]						Callback invoked when a value has been pinned on first use (receives pinned values)
+ * @param	{object}	[tlsOptions={}]				Additional TLS options (e.g. client certificate)
+ * @return	{https.Agent}							Agent
+ *
+ */
+function createAgent(mode, pinned = {}, onPin = null, tlsOptions = {}) {
+	let ca = tlsOptions.ca ? [].concat(HUE_ROOT_CA, tlsOptions.ca) : HUE_ROOT_CA;
+	
+	switch(mode) {
+	case 'ca':
+		return new _https.Agent({
+			...tlsOptions,
+			'keepAlive': true,
+			'ca': ca,
+			'rejectUnauthorized': true,
+			'checkServerIdentity': (host, cert) => {
+				let bridgeId = String(cert.subject && cert.subject.CN || '').toLowerCase();
+				
+				if (!pinned.bridgeId) {
+					pinned.bridgeId = bridgeId;
+					onPin && onPin(pinned);
+				}
+				else if (pinned.bridgeId.toLowerCase() != bridgeId) {
+					return certificateError('ERR_BRIDGE_ID_MISMATCH', 'Certificate of bridge is issued for ' + bridgeId + ' instead of bridge ID ' + pinned.bridgeId.toLowerCase() + '!');
+				}
+				
+				return undefined;
+			}
+		});
+	
+	case 'tofu': {
+		let agent = new _https.Agent({ ...tlsOptions, 'keepAlive': true, 'rejectUnauthorized': false });
+		
+		// only hand out the socket after the certificate has been verified (so no data is sent to an untrusted peer)
+		agent.createConnection = (options, callback) => {
+			let done = false;
+			let socket = _tls.connect({ ...options, 'rejectUnauthorized': false });
+			
+			socket.once('secureConnect', () => {
+				let fingerprint = socket.getPeerCertificate().fingerprint256;
+				done = true;
+				
+				if (!pinned.fingerprint) {
+					pinned.fingerprint = fingerprint;
+					onPin && onPin(pinned);
+				}
+				else if (pinned.fingerprint != fingerprint) {
+					socket.destroy();
+					return callback(certificateError('ERR_CERT_CHANGED', 'Certificate of bridge has changed (fingerprint ' + fingerprint + ' instead of pinned fingerprint ' + pinned.fingerprint + ')!'));
+				}
+				
+				callback(null, socket);
+			});
+			
+			socket.once('error', err => {
+				if (!done) {
+					done = true;
+					callback(err);
+				}
+			});
+		};
+		
+		return agent;
+	}
+	
+	default:
+		return new _https.Agent({ ...tlsOptions, 'keepAlive': true, 'rejectUnauthorized': false });
+	}
+}
+
+module.exports = {
+	HUE_ROOT_CA,
+	createAgent,
+	isCertificateError
+};
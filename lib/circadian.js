@@ -0,0 +1,183 @@
+'use strict';
+
+/**
+ * Circadian
+ *
+ * @description Position of the sun (computed locally from the coordinates) and the resulting color temperature and brightness of a circadian lighting curve
+ * @author Zefau <https://github.com/Zefau/>
+ * @license MIT License
+ *
+ * The position of the sun is calculated with the formulas of SunCalc (https://github.com/mourner/suncalc):
+ *
+ *	Copyright (c) 2014, Vladimir Agafonkin
+ *	All rights reserved.
+ *
+ *	Redistribution and use in source and binary forms, with or without modification, are
+ *	permitted provided that the following conditions are met:
+ *
+ *	1. Redistributions of source code must retain the above copyright notice, this list of
+ *	   conditions and the following disclaimer.
+ *
+ *	2. Redistributions in binary form must reproduce the above copyright notice, this list
+ *	   of conditions and the following disclaimer in the documentation and/or other materials
+ *	   provided with the distribution.
+ *
+ *	THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND ANY
+ *	EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF
+ *	MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE
+ *	COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ *	SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT
+ *	OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION)
+ *	HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR
+ *	TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ *	SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ */
+
+/*
+ * astronomical constants
+ */
+const RAD = Math.PI / 180;
+const DAY = 24*60*60*1000; // milliseconds per day
+const J1970 = 2440588; // Julian day of 1970-01-01
+const J2000 = 2451545; // Julian day of 2000-01-01
+const OBLIQUITY = 23.4397 * RAD; // obliquity of the ecliptic
+const HORIZON = -0.833 * RAD; // altitude of the sun at sunrise / sunset (including refraction)
+const TWILIGHT = -6 * RAD; // altitude of the sun at the end of civil twilight
+
+/*
+ * default circadian lighting curve
+ */
+const DEFAULTS = {
+	'warmest': 2200,
+	'coolest': 5500,
+	'minBrightness': 30,
+	'maxBrightness': 100
+};
+
+/**
+ * Get the days since J2000 of a date.
+ *
+ * @param	{Date}		date		Date
+ * @return	{number}				Days since J2000
+ *
+ */
+function toDays(date) {
+	return date.valueOf() / DAY - 0.5 + J1970 - J2000;
+}
+
+/**
+ * Get the date of a Julian day.
+ *
+ * @param	{number}	julian		Julian day
+ * @return	{Date}					Date
+ *
+ */
+function fromJulian(julian) {
+	return new Date((julian + 0.5 - J1970) * DAY);
+}
+
+/**
+ * Get the coordinates of the sun (declination and right ascension) for days since J2000.
+ *
+ * @param	{number}	days		Days since J2000
+ * @return	{object}				Mean anomaly, ecliptic longitude, declination and right ascension of the sun (in radians)
+ *
+ */
+function getSunCoordinates(days) {
+	let anomaly = (357.5291 + 0.98560028 * days) * RAD;
+	let center = (1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly)) * RAD;
+	let longitude = anomaly + center + 102.9372 * RAD + Math.PI;
+	
+	return {
+		'anomaly': anomaly,
+		'longitude': longitude,
+		'declination': Math.asin(Math.sin(longitude) * Math.sin(OBLIQUITY)),
+		'ascension': Math.atan2(Math.sin(longitude) * Math.cos(OBLIQUITY), Math.cos(longitude))
+	};
+}
+
+/**
+ * Get the altitude of the sun above the horizon.
+ *
+ * @param	{Date}		date		Date
+ * @param	{number}	latitude	Latitude of the location
+ * @param	{number}	longitude	Longitude of the location
+ * @return	{number}				Altitude of the sun (in radians)
+ *
+ */
+function getAltitude(date, latitude, longitude) {
+	let days = toDays(date);
+	let sun = getSunCoordinates(days);
+	let hourAngle = (280.16 + 360.9856235 * days) * RAD + longitude * RAD - sun.ascension;
+	let phi = latitude * RAD;
+	
+	return Math.asin(Math.sin(phi) * Math.sin(sun.declination) + Math.cos(phi) * Math.cos(sun.declination) * Math.cos(hourAngle));
+}
+
+/**
+ * Get sunrise, solar noon and sunset of a day.
+ *
+ * @param	{Date}		date		Date (of the day)
+ * @param	{number}	latitude	Latitude of the location
+ * @param	{number}	longitude	Longitude of the location
+ * @return	{object}				Sunrise, solar noon and sunset (sunrise and sunset are null during polar day or polar night)
+ *
+ */
+function getTimes(date, latitude, longitude) {
+	let lw = -longitude * RAD;
+	let phi = latitude * RAD;
+	
+	// solar noon
+	let cycle = Math.round(toDays(date) - 0.0009 - lw / (2 * Math.PI));
+	let transit = 0.0009 + lw / (2 * Math.PI) + cycle;
+	let sun = getSunCoordinates(transit);
+	let noon = J2000 + transit + 0.0053 * Math.sin(sun.anomaly) - 0.0069 * Math.sin(2 * sun.longitude);
+	
+	// sunrise and sunset
+	let hourAngle = Math.acos((Math.sin(HORIZON) - Math.sin(phi) * Math.sin(sun.declination)) / (Math.cos(phi) * Math.cos(sun.declination)));
+	if (Number.isNaN(hourAngle)) {
+		return { 'sunrise': null, 'noon': fromJulian(noon), 'sunset': null };
+	}
+	
+	let set = J2000 + 0.0009 + (hourAngle + lw) / (2 * Math.PI) + cycle + 0.0053 * Math.sin(sun.anomaly) - 0.0069 * Math.sin(2 * sun.longitude);
+	return { 'sunrise': fromJulian(noon - (set - noon)), 'noon': fromJulian(noon), 'sunset': fromJulian(set) };
+}
+
+/**
+ * Get color temperature and brightness of the circadian lighting curve.
+ *
+ * The curve follows the altitude of the sun, i.e. it is warmest / dimmest from the end of the civil twilight in the evening until
+ * the beginning of the civil twilight in the morning and coolest / brightest at solar noon.
+ *
+ * @param	{Date}		date							Date
+ * @param	{number}	latitude						Latitude of the location
+ * @param	{number}	longitude						Longitude of the location
+ * @param	{object}	[curve={}]						Curve
+ * @param	{number}	[curve.warmest=2200]			Warmest color temperature (in Kelvin)
+ * @param	{number}	[curve.coolest=5500]			Coolest color temperature (in Kelvin)
+ * @param	{number}	[curve.minBrightness=30]		Minimum brightness (in percent)
+ * @param	{number}	[curve.maxBrightness=100]		Maximum brightness (in percent)
+ * @return	{object}									Color temperature (in Kelvin), brightness (in percent) and progress of the curve (between 0 and 1)
+ *
+ */
+function getSetpoint(date, latitude, longitude, curve = {}) {
+	curve = { ...DEFAULTS, ...curve };
+	
+	let noon = getAltitude(getTimes(date, latitude, longitude).noon, latitude, longitude);
+	let altitude = getAltitude(date, latitude, longitude);
+	let progress = noon > TWILIGHT ? Math.max(Math.min((altitude - TWILIGHT) / (noon - TWILIGHT), 1), 0) : 0;
+	
+	return {
+		'colorTemperature': Math.round(curve.warmest + progress * (curve.coolest - curve.warmest)),
+		'brightness': Math.round(curve.minBrightness + progress * (curve.maxBrightness - curve.minBrightness)),
+		'progress': Math.round(progress * 1000) / 1000
+	};
+}
+
+module.exports = {
+	DEFAULTS,
+	getAltitude,
+	getTimes,
+	getSetpoint
+};
@@ -23,6 +23,49 @@ function getRGBfromTemperature(ct)
 	return rgb.map(val => Math.max(Math.min(val, 255), 0));
 }
 
+/*
+ * Chromaticity (CIE 1931 xy) of the Planckian locus for a temperature (in Kelvin between 1667 and 25000)
+ * Source: Kim et al., Design of Advanced Color Temperature Control System for HDTV Applications, 2002
+ *
+ */
+function getXYfromTemperature(ct)
+{
+	let x = ct <= 4000 ?
+		-0.2661239e9 / Math.pow(ct, 3) - 0.2343589e6 / Math.pow(ct, 2) + 0.8776956e3 / ct + 0.179910 :
+		-3.0258469e9 / Math.pow(ct, 3) + 2.1070379e6 / Math.pow(ct, 2) + 0.2226347e3 / ct + 0.240390;
+	
+	let y = ct <= 2222 ?
+		-1.1063814 * Math.pow(x, 3) - 1.34811020 * Math.pow(x, 2) + 2.18555832 * x - 0.20219683 :
+		(ct <= 4000 ?
+			-0.9549476 * Math.pow(x, 3) - 1.37418593 * Math.pow(x, 2) + 2.09137015 * x - 0.16748867 :
+			3.0817580 * Math.pow(x, 3) - 5.87338670 * Math.pow(x, 2) + 3.75112997 * x - 0.37001483);
+	
+	return [x, y];
+}
+
+/*
+ * Color temperature (in Mired within the given range) closest to a color (CIE 1931 xy)
+ *
+ */
+function getTemperatureFromXY(xy, min = 153, max = 500)
+{
+	let closest = null, distance = null;
+	
+	for (let mired = min; mired <= max; mired++) {
+		let locus = getXYfromTemperature(Math.min(Math.max(1000000 / mired, 1667), 25000));
+		let d = Math.pow(locus[0] - xy[0], 2) + Math.pow(locus[1] - xy[1], 2);
+		
+		if (distance === null || d < distance) {
+			closest = mired;
+			distance = d;
+		}
+	}
+	
+	return closest;
+}
+
 module.exports = {
-    convertCTtoRGB: getRGBfromTemperature
+    convertCTtoRGB: getRGBfromTemperature,
+    convertCTtoXY: getXYfromTemperature,
+    convertXYtoCT: getTemperatureFromXY
 };
\ No newline at end of file
@@ -0,0 +1,359 @@
+'use strict';
+const _dgram = require('dgram');
+const _request = require('request-promise');
+
+/**
+ * Discovery
+ *
+ * @description Discovers Hue Bridges and deCONZ gateways within the local network via mDNS (_hue._tcp), SSDP and N-UPnP (meethue.com / phoscon.de)
+ * @author Zefau <https://github.com/Zefau/>
+ * @license MIT License
+ *
+ */
+
+/*
+ * default endpoints (may be overridden, e.g. to discover against a local mock responder)
+ */
+const DEFAULTS = {
+	'timeout': 5,
+	'mdns': { 'address': '224.0.0.251', 'port': 5353, 'service': '_hue._tcp.local' },
+	'ssdp': { 'address': '239.255.255.250', 'port': 1900 },
+	'nupnp': ['https://discovery.meethue.com', 'https://phoscon.de/discover']
+};
+
+/**
+ * Encode a DNS query for PTR records.
+ *
+ * @param	{string}	service		Service to query, e.g. _hue._tcp.local
+ * @return	{Buffer}				Query
+ *
+ */
+function encodeQuery(service) {
+	let labels = service.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)]));
+	let header = Buffer.from([0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0]); // id, flags, 1 question
+	let question = Buffer.from([0, 0, 12, 0, 1]); // end of name, type PTR, class IN
+	
+	return Buffer.concat([header, ...labels, question]);
+}
+
+/**
+ * Read a (possibly compressed) name of a DNS message.
+ *
+ * @param	{Buffer}	message		DNS message
+ * @param	{number}	offset		Offset of the name
+ * @return	{object}				Name and offset following the name
+ *
+ */
+function readName(message, offset) {
+	let labels = [], end = null, jumps = 0;
+	
+	while (offset < message.length && jumps < 20) {
+		let length = message[offset];
+		
+		// end of name
+		if (length === 0) {
+			offset++;
+			break;
+		}
+		
+		// pointer to another name
+		else if ((length & 0xC0) === 0xC0) {
+			end = end === null ? offset+2 : end;
+			offset = ((length & 0x3F) << 8) | message[offset+1];
+			jumps++;
+		}
+		
+		else {
+			labels.push(message.toString('utf8', offset+1, offset+1+length));
+			offset += length+1;
+		}
+	}
+	
+	return { 'name': labels.join('.'), 'offset': end === null ? offset : end };
+}
+
+/**
+ * Decode the records of a DNS response (records of a truncated message are decoded as far as they are complete).
+ *
+ * @param	{Buffer}	message		DNS message
+ * @return	{object[]}				Records (with properties name, type and data)
+ *
+ */
+function decodeResponse(message) {
+	let records = [];
+	if (message.length < 12) {
+		return records;
+	}
+	
+	let questions = message.readUInt16BE(4);
+	let count = message.readUInt16BE(6) + message.readUInt16BE(8) + message.readUInt16BE(10);
+	let offset = 12;
+	
+	// skip questions
+	for (let i = 0; i < questions; i++) {
+		offset = readName(message, offset).offset + 4;
+	}
+	
+	// answers, authorities and additionals
+	for (let i = 0; i < count && offset < message.length; i++) {
+		let name = readName(message, offset);
+		if (name.offset+10 > message.length) {
+			break;
+		}
+		
+		let type = message.readUInt16BE(name.offset);
+		let length = message.readUInt16BE(name.offset+8);
+		let start = name.offset+10;
+		let data = null;
+		
+		// record is truncated
+		if (start+length > message.length) {
+			break;
+		}
+		
+		switch(type) {
+		case 1: // A
+			data = [...message.slice(start, start+4)].join('.');
+			break;
+		
+		case 12: // PTR
+			data = readName(message, start).name;
+			break;
+		
+		case 16: // TXT
+			data = {};
+			for (let pos = start; pos < start+length;) {
+				let entry = message.toString('utf8', pos+1, pos+1+message[pos]);
+				let separator = entry.indexOf('=');
+				if (separator > 0) {
+					data[entry.substr(0, separator).toLowerCase()] = entry.substr(separator+1);
+				}
+				
+				pos += message[pos]+1;
+			}
+			break;
+		
+		case 33: // SRV
+			data = { 'port': message.readUInt16BE(start+4), 'target': readName(message, start+6).name };
+			break;
+		}
+		
+		records.push({ 'name': name.name, 'type': type, 'data': data });
+		offset = start+length;
+	}
+	
+	return records;
+}
+
+/**
+ * Send a datagram and collect all responses until timeout.
+ *
+ * @param	{Buffer}	message		Message to send
+ * @param	{object}	target		Target (with properties address and port)
+ * @param	{number}	timeout		Timeout in seconds
+ * @param	{function}	parse		Parser for a single response (returns a bridge or null)
+ * @return	{Promise<object[]>}		Bridges found
+ *
+ */
+function query(message, target, timeout, parse) {
+	return new Promise(resolve => {
+		let bridges = [];
+		let socket = _dgram.createSocket({ 'type': 'udp4', 'reuseAddr': true });
+		
+		let done = () => {
+			clearTimeout(timer);
+			try {
+				socket.close();
+			}
+			catch(err) {
+				// socket already closed
+			}
+			
+			resolve(bridges);
+		};
+		
+		let timer = setTimeout(done, timeout*1000);
+		socket.on('error', done);
+		socket.on('message', (response, rinfo) => {
+			try {
+				let bridge = parse(response, rinfo);
+				bridge && bridges.push(bridge);
+			}
+			catch(err) {
+				// ignore malformed responses
+			}
+		});
+		
+		socket.bind(0, () => socket.send(message, target.port, target.address, err => err && done()));
+	});
+}
+
+/**
+ * Discover bridges via mDNS.
+ *
+ * @param	{object}	options		Options (address, port and service to query)
+ * @param	{number}	timeout		Timeout in seconds
+ * @return	{Promise<object[]>}		Bridges found
+ *
+ */
+function discoverMdns(options, timeout) {
+	return query(encodeQuery(options.service), options, timeout, (response, rinfo) => {
+		let records = decodeResponse(response);
+		let txt = records.find(record => record.type == 16);
+		let srv = records.find(record => record.type == 33);
+		let a = records.find(record => record.type == 1);
+		
+		if (!records.find(record => record.type == 12 && record.name == options.service) && !srv) {
+			return null;
+		}
+		
+		return {
+			'ip': a ? a.data : rinfo.address,
+			'port': srv && srv.data.port != 443 ? srv.data.port : 80,
+			'bridgeId': txt && txt.data.bridgeid ? txt.data.bridgeid.toUpperCase() : null,
+			'model': txt && txt.data.modelid || null,
+			'method': 'mdns'
+		};
+	});
+}
+
+/**
+ * Discover bridges via SSDP.
+ *
+ * @param	{object}	options		Options (address and port to query)
+ * @param	{number}	timeout		Timeout in seconds
+ * @return	{Promise<object[]>}		Bridges found
+ *
+ */
+function discoverSsdp(options, timeout) {
+	let message = Buffer.from([
+		'M-SEARCH * HTTP/1.1',
+		'HOST: ' + options.address + ':' + options.port,
+		'MAN: "ssdp:discover"',
+		'MX: ' + Math.max(1, Math.min(Math.floor(timeout)-1, 5)),
+		'ST: upnp:rootdevice',
+		'', ''
+	].join('\r\n'));
+	
+	return query(message, options, timeout, response => {
+		let headers = {};
+		response.toString().split(/\r?\n/).forEach(line => {
+			let separator = line.indexOf(':');
+			if (separator > 0) {
+				headers[line.substr(0, separator).trim().toLowerCase()] = line.substr(separator+1).trim();
+			}
+		});
+		
+		// only Hue Bridges (IpBridge) and deCONZ gateways (Phoscon)
+		if (!headers.location || !(headers['hue-bridgeid'] || headers['gwid.phoscon.de'] || (headers.server && headers.server.indexOf('IpBridge') > -1))) {
+			return null;
+		}
+		
+		let location = new URL(headers.location);
+		return {
+			'ip': location.hostname,
+			'port': location.port ? Number.parseInt(location.port) : 80,
+			'bridgeId': (headers['hue-bridgeid'] || headers['gwid.phoscon.de'] || '').toUpperCase() || null,
+			'model': null,
+			'method': 'ssdp'
+		};
+	});
+}
+
+/**
+ * Discover bridges via N-UPnP (i.e. the discovery portals of Philips Hue and Phoscon).
+ *
+ * @param	{string[]}	urls		URLs of the discovery portals
+ * @param	{number}	timeout		Timeout in seconds
+ * @return	{Promise<object[]>}		Bridges found
+ *
+ */
+function discoverNupnp(urls, timeout) {
+	return Promise.all(urls.map(url => _request({ 'uri': url, 'json': true, 'timeout': timeout*1000 })
+		.then(res => (Array.isArray(res) ? res : []).filter(bridge => bridge && bridge.internalipaddress).map(bridge => ({
+			'ip': bridge.internalipaddress,
+			'port': bridge.internalport || bridge.port || 80,
+			'bridgeId': bridge.id ? bridge.id.toUpperCase() : null,
+			'model': null,
+			'method': 'nupnp'
+		})))
+		.catch(() => [])
+	)).then(results => [].concat(...results));
+}
+
+/**
+ * Retrieve the public configuration of a bridge (name, model, bridge ID and API version).
+ *
+ * @param	{object}	bridge		Bridge (with properties ip and port)
+ * @param	{number}	timeout		Timeout in seconds
+ * @return	{Promise<object>}		Configuration (or null if not available)
+ *
+ */
+function getConfig(bridge, timeout) {
+	return _request({ 'uri': 'http://' + bridge.ip + ':' + bridge.port + '/api/config', 'json': true, 'timeout': timeout*1000 })
+		.then(config => config && config.bridgeid ? config : null)
+		.catch(() => null);
+}
+
+/**
+ * Discover bridges within the local network.
+ *
+ * @param	{object}	[options={}]					Options
+ * @param	{number}	[options.timeout=5]				Time in seconds to wait for responses
+ * @param	{string[]}	[options.methods]				Methods to use (mdns, ssdp and / or nupnp), defaults to all methods
+ * @param	{object}	[options.mdns]					mDNS target (address, port and service)
+ * @param	{object}	[options.ssdp]					SSDP target (address and port)
+ * @param	{string[]}	[options.nupnp]					URLs of the N-UPnP discovery portals
+ * @return	{Promise<object[]>}							Bridges found (with properties name, type, model, bridgeId, apiVersion, v2, ip, port and methods)
+ *
+ */
+function discover(options = {}) {
+	let timeout = options.timeout || DEFAULTS.timeout;
+	let methods = Array.isArray(options.methods) ? options.methods : ['mdns', 'ssdp', 'nupnp'];
+	
+	return Promise.all([
+		methods.indexOf('mdns') > -1 ? discoverMdns({ ...DEFAULTS.mdns, ...options.mdns || {} }, timeout) : [],
+		methods.indexOf('ssdp') > -1 ? discoverSsdp({ ...DEFAULTS.ssdp, ...options.ssdp || {} }, timeout) : [],
+		methods.indexOf('nupnp') > -1 ? discoverNupnp(options.nupnp || DEFAULTS.nupnp, timeout) : []
+	]).then(results => {
+		
+		// merge bridges found by multiple methods
+		let bridges = {};
+		[].concat(...results).forEach(bridge => {
+			let key = bridge.ip + ':' + bridge.port;
+			bridges[key] = bridges[key] || { ...bridge, 'methods': [] };
+			bridges[key].bridgeId = bridges[key].bridgeId || bridge.bridgeId;
+			bridges[key].model = bridges[key].model || bridge.model;
+			bridges[key].methods.indexOf(bridge.method) === -1 && bridges[key].methods.push(bridge.method);
+			delete bridges[key].method;
+		});
+		
+		// get details of bridges
+		return Promise.all(Object.values(bridges).map(bridge => getConfig(bridge, timeout).then(config => {
+			config = config || {};
+			
+			let bridgeId = (config.bridgeid || bridge.bridgeId || '').toUpperCase() || null;
+			let model = config.modelid || bridge.model || null;
+			let type = model == 'deCONZ' || (bridgeId && bridgeId.substr(0, 6) == '00212E') ? 'deconz' : 'hue';
+			let version = (config.apiversion || '0.0').split('.').map(Number);
+			
+			return {
+				'name': config.name || (type == 'deconz' ? 'deCONZ' : 'Hue Bridge'),
+				'type': type,
+				'model': model,
+				'bridgeId': bridgeId,
+				'apiVersion': config.apiversion || null,
+				'v2': type == 'hue' && model == 'BSB002' && (version[0] > 1 || version[1] >= 48), // CLIP v2 API is available since API version 1.48
+				'ip': bridge.ip,
+				'port': bridge.port,
+				'methods': bridge.methods
+			};
+		})));
+	});
+}
+
+module.exports = {
+	discover,
+	encodeQuery,
+	decodeResponse
+};
@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * Effects
+ *
+ * @description Software light effects (e.g. candle or police), which are run by the adapter as a series of commands to the lights
+ * @author Zefau <https://github.com/Zefau/>
+ * @license MIT License
+ *
+ */
+
+/*
+ * effects
+ *	- interval		time (in seconds) between two steps at speed 1
+ *	- transition	fade into the state of the next step (otherwise the state is changed immediately)
+ *	- colors		default colors (RGB)
+ *	- step			state of a light (properties on, bri between 1 and 254 and rgb) for a step of the effect and the index of the light within the effect
+ */
+const EFFECTS = {
+	'candle': {
+		'interval': 0.4,
+		'transition': true,
+		'colors': [[255, 147, 41]],
+		'step': (step, index, colors) => ({ 'on': true, 'bri': random(90, 254), 'rgb': colors[0] })
+	},
+	'fireplace': {
+		'interval': 0.6,
+		'transition': true,
+		'colors': [[255, 100, 0], [255, 30, 0]],
+		'step': (step, index, colors) => ({ 'on': true, 'bri': random(60, 254), 'rgb': mix(colors[0], colors[1 % colors.length], Math.random()) })
+	},
+	'strobe': {
+		'interval': 0.2,
+		'transition': false,
+		'colors': [[255, 255, 255]],
+		'step': (step, index, colors) => step % 2 === 0 ? { 'on': true, 'bri': 254, 'rgb': colors[0] } : { 'on': false }
+	},
+	'police': {
+		'interval': 0.5,
+		'transition': false,
+		'colors': [[255, 0, 0], [0, 0, 255]],
+		'step': (step, index, colors) => ({ 'on': true, 'bri': 254, 'rgb': colors[(step + index) % colors.length] })
+	},
+	'breathing': {
+		'interval': 1,
+		'transition': true,
+		'colors': [[255, 255, 255]],
+		'step': (step, index, colors) => ({ 'on': true, 'bri': Math.round(20 + (254 - 20) * (1 - Math.cos(step / 8 * 2 * Math.PI)) / 2), 'rgb': colors[0] })
+	}
+};
+
+/**
+ * Get a random integer within a range.
+ *
+ * @param	{number}	min			Minimum
+ * @param	{number}	max			Maximum
+ * @return	{number}				Random integer
+ *
+ */
+function random(min, max) {
+	return Math.round(min + Math.random() * (max - min));
+}
+
+/**
+ * Mix two colors.
+ *
+ * @param	{array}		a			First color (RGB)
+ * @param	{array}		b			Second color (RGB)
+ * @param	{number}	ratio		Ratio of the second color (between 0 and 1)
+ * @return	{array}					Mixed color (RGB)
+ *
+ */
+function mix(a, b, ratio) {
+	return a.map((value, index) => Math.round(value + (b[index] - value) * ratio));
+}
+
+/**
+ * Parse colors given as RGB, e.g. 255,0,0 or 255,0,0;0,0,255 or [[255,0,0],[0,0,255]].
+ *
+ * @param	{string|array}	colors		Colors
+ * @return	{array|null}				Colors (RGB) or null if invalid
+ *
+ */
+function parseColors(colors) {
+	colors = Array.isArray(colors) ? colors : String(colors).split(';');
+	colors = colors.map(color => (Array.isArray(colors[0]) ? color : String(color).split(',')).map(value => Number.parseInt(value)));
+	
+	return colors.length > 0 && colors.every(color => color.length == 3 && color.every(value => value >= 0 && value <= 255)) ? colors : null;
+}
+
+/**
+ * Parse an effect given as its name or as JSON with properties effect, speed (multiplier of the default speed) and color,
+ * e.g. candle or {"effect": "breathing", "speed": 0.5, "color": "255,0,0"}.
+ *
+ * @param	{string}	value		Effect
+ * @return	{object|null}			Effect (properties effect, speed and colors) or null if invalid
+ *
+ */
+function parse(value) {
+	let options = null;
+	try {
+		options = String(value).trim().charAt(0) == '{' ? JSON.parse(value) : { 'effect': String(value).trim() };
+	}
+	catch(err) {
+		return null;
+	}
+	
+	let effect = options && EFFECTS[options.effect];
+	let speed = options && options.speed !== undefined ? Number.parseFloat(options.speed) : 1;
+	let colors = options && options.color !== undefined ? parseColors(options.color) : (effect && effect.colors);
+	
+	return effect && speed > 0 && colors ? { 'effect': options.effect, 'speed': speed, 'colors': colors } : null;
+}
+
+/**
+ * Get the state of a light for a step of an effect.
+ *
+ * @param	{object}	options		Effect (as returned by parse())
+ * @param	{number}	step		Step of the effect
+ * @param	{number}	index		Index of the light within the effect
+ * @return	{object}				State of the light (properties on, bri and rgb)
+ *
+ */
+function getState(options, step, index) {
+	return EFFECTS[options.effect].step(step, index, options.colors);
+}
+
+/**
+ * Get the interval (in seconds) between two steps of an effect.
+ *
+ * @param	{object}	options		Effect (as returned by parse())
+ * @return	{number}				Interval in seconds
+ *
+ */
+function getInterval(options) {
+	return EFFECTS[options.effect].interval / options.speed;
+}
+
+module.exports = {
+	EFFECTS,
+	parseColors,
+	parse,
+	getState,
+	getInterval
+};
@@ -0,0 +1,181 @@
+'use strict';
+const _https = require('https');
+const EventEmitter = require('events');
+
+/**
+ * EventStream
+ *
+ * @description Client for the Server-Sent Events endpoint of the Hue Bridge (/eventstream/clip/v2) including automatic reconnect
+ * @author Zefau <https://github.com/Zefau/>
+ * @license MIT License
+ *
+ * Emits the following events:
+ *	- open		connection has been established
+ *	- event		event container received from the bridge (object with properties type, e.g. update / add / delete, and data)
+ *	- close		connection has been closed (a reconnect will be attempted unless close() has been called)
+ *	- error		error occured
+ *
+ */
+class EventStream extends EventEmitter {
+	
+	/**
+	 * Constructor.
+	 *
+	 * @param	{string}	url								URL of the eventstream, e.g. https://<bridgeIp>/eventstream/clip/v2
+	 * @param	{object}	[options={}]					Options
+	 * @param	{string}	options.key						Application key (username) of the bridge
+	 * @param	{object}	[options.requestOptions={}]		Additional options for the https request (e.g. the agent verifying the certificate of the bridge)
+	 * @param	{number}	[options.reconnect=5]			Initial delay in seconds before a reconnect is attempted (doubled for each failed attempt)
+	 * @param	{number}	[options.reconnectMax=300]		Maximum delay in seconds before a reconnect is attempted
+	 *
+	 */
+	constructor(url, options) {
+		super();
+		
+		this.url = url;
+		this.options = options || {};
+		this.options.reconnect = this.options.reconnect || 5;
+		this.options.reconnectMax = this.options.reconnectMax || 300;
+		
+		this.connected = false;
+		this._closed = false;
+		this._attempt = 0;
+		this._request = null;
+		this._reconnect = null;
+	}
+	
+	/**
+	 * Connect to the eventstream.
+	 *
+	 * @param	void
+	 * @return	void
+	 *
+	 */
+	connect() {
+		this._closed = false;
+		clearTimeout(this._reconnect);
+		
+		let buffer = '';
+		this._request = _https.request(this.url, {
+			...this.options.requestOptions || {},
+			'method': 'GET',
+			'headers': {
+				'hue-application-key': this.options.key,
+				'Accept': 'text/event-stream'
+			}
+		}, res => {
+			if (res.statusCode !== 200) {
+				res.resume();
+				this.emit('error', new Error('Error while connecting to eventstream (Status Code ' + res.statusCode + ')'));
+				return this._disconnect();
+			}
+			
+			this._attempt = 0;
+			this.connected = true;
+			this.emit('open');
+			
+			res.setEncoding('utf8');
+			res.on('data', chunk => {
+				buffer += chunk.replace(/\r\n/g, '\n');
+				
+				// messages are separated by an empty line
+				let messages = buffer.split('\n\n');
+				buffer = messages.pop();
+				messages.forEach(message => this._parse(message));
+			});
+			
+			res.on('end', () => this._disconnect());
+			res.on('error', err => {
+				this.emit('error', err);
+				this._disconnect();
+			});
+		});
+		
+		this._request.on('socket', socket => socket.setKeepAlive(true, 30*1000));
+		this._request.on('error', err => {
+			this.emit('error', err);
+			this._disconnect();
+		});
+		
+		this._request.end();
+	}
+	
+	/**
+	 * Close the connection to the eventstream (without reconnecting).
+	 *
+	 * @param	void
+	 * @return	void
+	 *
+	 */
+	close() {
+		this._closed = true;
+		clearTimeout(this._reconnect);
+		
+		if (this._request) {
+			this._request.destroy();
+			this._request = null;
+		}
+		
+		this.connected = false;
+	}
+	
+	/**
+	 * Parse a message of the eventstream.
+	 *
+	 * @param	{string}	message		Message
+	 * @return	void
+	 *
+	 */
+	_parse(message) {
+		let data = message.split('\n').filter(line => line.substr(0, 5) == 'data:').map(line => line.substr(5).trim()).join('\n');
+		if (!data) {
+			return; // e.g. comments like ": hi"
+		}
+		
+		try {
+			let containers = JSON.parse(data);
+			(Array.isArray(containers) ? containers : [containers]).forEach(container => this.emit('event', container));
+		}
+		catch(err) {
+			this.emit('error', new Error('Could not parse data from eventstream: ' + err.message));
+		}
+	}
+	
+	/**
+	 * Handle a lost connection and schedule a reconnect.
+	 *
+	 * @param	void
+	 * @return	void
+	 *
+	 */
+	_disconnect() {
+		if (this._request) {
+			this._request.destroy();
+			this._request = null;
+		}
+		
+		let wasConnected = this.connected;
+		this.connected = false;
+		
+		if (this._closed) {
+			return;
+		}
+		
+		if (wasConnected || this._attempt === 0) {
+			this.emit('close');
+		}
+		
+		// connection might have been closed by a listener
+		if (this._closed) {
+			return;
+		}
+		
+		// reconnect with backoff
+		let delay = Math.min(this.options.reconnect * Math.pow(2, this._attempt), this.options.reconnectMax);
+		this._attempt++;
+		clearTimeout(this._reconnect);
+		this._reconnect = setTimeout(() => this.connect(), delay*1000);
+	}
+}
+
+module.exports = EventStream;
@@ -0,0 +1,634 @@
+'use strict';
+const _color = require('color-convert');
+const _hueColor = require('./node-hue-api');
+
+/**
+ * Hue CLIP v2 API
+ *
+ * @description Maps the resources of the Hue CLIP v2 API (/clip/v2/resource) onto the object tree of the v1 API (lights, groups, sensors, scenes, config) and the commands of the v1 API onto the v2 API
+ * @author Zefau <https://github.com/Zefau/>
+ * @license MIT License
+ *
+ */
+
+/*
+ * channels of the v1 API provided by the v2 API
+ */
+const CHANNELS = ['lights', 'groups', 'sensors', 'scenes', 'config'];
+
+/*
+ * resource types of the v2 API retrieved when refreshing a channel (other resources, e.g. the device of a light, are kept from the last full retrieval)
+ */
+const RESOURCE_TYPES = {
+	'lights': ['light', 'zigbee_connectivity'],
+	'groups': ['grouped_light', 'room', 'zone'],
+	'sensors': ['button', 'motion', 'temperature', 'light_level', 'device_power'],
+	'scenes': ['scene'],
+	'config': ['bridge']
+};
+
+/*
+ * mapping of v2 button events to the last digit of v1 button events (e.g. 1002 for a short release of the first button)
+ */
+const BUTTON_EVENTS = {
+	'initial_press': 0,
+	'repeat': 1,
+	'long_press': 1,
+	'short_release': 2,
+	'double_short_release': 2,
+	'long_release': 3
+};
+
+/*
+ * states of the v2 API preferred to the states of the v1 API of a device (e.g. effects not supported by the v1 API)
+ */
+const PREFERRED = ['state.effect'];
+
+/**
+ * Get the v1 identifier of a v2 resource.
+ *
+ * @param	{object}	resource	Resource of the v2 API
+ * @return	{string}				Identifier of the v1 API (falls back to the v2 identifier if resource is not available in the v1 API)
+ *
+ */
+function getId(resource) {
+	return resource.id_v1 ? resource.id_v1.substr(resource.id_v1.lastIndexOf('/')+1) : resource.id;
+}
+
+/**
+ * Get the services of a specific type of a device.
+ *
+ * @param	{object}	resources	Indexed resources of the v2 API
+ * @param	{object}	device		Device resource of the v2 API
+ * @param	{string}	rtype		Type of the services to get
+ * @return	{array}					Services
+ *
+ */
+function getServices(resources, device, rtype) {
+	return device && device.services ? device.services.filter(service => service.rtype == rtype && resources[service.rid]).map(service => resources[service.rid]) : [];
+}
+
+/**
+ * Convert a light resource.
+ *
+ * Works on partial resources as well (e.g. events), thus only given properties are converted.
+ *
+ * @param	{object}	light			Light resource of the v2 API
+ * @param	{object}	[device]		Device resource owning the light
+ * @param	{object}	[connectivity]	Zigbee connectivity resource of the device
+ * @return	{object}					Light in the format of the v1 API
+ *
+ */
+function convertLight(light, device, connectivity) {
+	let data = { 'state': {} };
+	
+	// state
+	if (light.on) {
+		data.state.on = light.on.on;
+	}
+	
+	if (light.dimming && light.dimming.brightness !== undefined) {
+		data.state.bri = Math.max(Math.min(Math.round(light.dimming.brightness * 2.54), 254), 1);
+	}
+	
+	if (light.color_temperature && light.color_temperature.mirek) {
+		data.state.ct = light.color_temperature.mirek;
+	}
+	
+	if (light.color && light.color.xy) {
+		data.state.xy = [light.color.xy.x, light.color.xy.y];
+	}
+	
+	if (light.color_temperature && light.color_temperature.mirek_valid !== undefined) {
+		data.state.colormode = light.color_temperature.mirek_valid ? 'ct' : 'xy';
+	}
+	
+	if (light.effects && light.effects.status) {
+		data.state.effect = light.effects.status == 'no_effect' ? 'none' : light.effects.status;
+	}
+	
+	if (light.gradient && light.gradient.points) {
+		data.state.gradient = JSON.stringify(light.gradient.points.map(point => [point.color.xy.x, point.color.xy.y]));
+	}
+	
+	if (light.mode) {
+		data.state.mode = light.mode;
+	}
+	
+	if (connectivity && connectivity.status) {
+		data.state.reachable = connectivity.status == 'connected';
+		data.state.connectivity = connectivity.status;
+	}
+	
+	// meta data
+	if (light.metadata && light.metadata.name) {
+		data.name = light.metadata.name;
+		data.config = { 'archetype': light.metadata.archetype };
+		data.rid = light.id;
+		data.type = light.color ? (light.color_temperature ? 'Extended color light' : 'Color light') : (light.color_temperature ? 'Color temperature light' : (light.dimming ? 'Dimmable light' : 'On/Off plug-in unit'));
+		
+		// capabilities
+		data.capabilities = { 'control': {} };
+		if (light.dimming && light.dimming.min_dim_level !== undefined) {
+			data.capabilities.control.mindimlevel = Math.round(light.dimming.min_dim_level * 100);
+		}
+		
+		if (light.color && light.color.gamut) {
+			data.capabilities.control.colorgamuttype = light.color.gamut_type;
+			data.capabilities.control.colorgamut = ['red', 'green', 'blue'].map(color => [light.color.gamut[color].x, light.color.gamut[color].y]);
+		}
+		
+		if (light.color_temperature && light.color_temperature.mirek_schema) {
+			data.capabilities.control.ct = { 'min': light.color_temperature.mirek_schema.mirek_minimum, 'max': light.color_temperature.mirek_schema.mirek_maximum };
+		}
+		
+		if (light.gradient && light.gradient.points_capable) {
+			data.capabilities.control.gradientpoints = light.gradient.points_capable;
+		}
+		
+		if (light.effects && light.effects.status_values) {
+			data.capabilities.control.effects = light.effects.status_values.map(effect => effect == 'no_effect' ? 'none' : effect);
+		}
+	}
+	
+	if (device && device.product_data) {
+		data.modelid = device.product_data.model_id;
+		data.manufacturername = device.product_data.manufacturer_name;
+		data.productname = device.product_data.product_name;
+		data.swversion = device.product_data.software_version;
+		data.capabilities = { ...data.capabilities || {}, 'certified': device.product_data.certified };
+	}
+	
+	if (connectivity && connectivity.mac_address) {
+		data.uniqueid = connectivity.mac_address;
+	}
+	
+	return data;
+}
+
+/**
+ * Convert a sensor resource (button, motion, temperature, light_level).
+ *
+ * Works on partial resources as well (e.g. events), thus only given properties are converted.
+ *
+ * @param	{object}	sensor			Sensor resource of the v2 API
+ * @param	{object}	[device]		Device resource owning the sensor
+ * @param	{object}	[power]			Device power resource of the device
+ * @param	{object}	[connectivity]	Zigbee connectivity resource of the device
+ * @return	{object}					Sensor in the format of the v1 API
+ *
+ */
+function convertSensor(sensor, device, power, connectivity) {
+	let data = { 'state': {}, 'config': {} };
+	
+	// button
+	if (sensor.button) {
+		let report = sensor.button.button_report || { 'event': sensor.button.last_event };
+		if (report.event && BUTTON_EVENTS[report.event] !== undefined && sensor.metadata && sensor.metadata.control_id) {
+			data.state.buttonevent = sensor.metadata.control_id*1000 + BUTTON_EVENTS[report.event];
+		}
+		
+		if (report.updated) {
+			data.state.lastupdated = report.updated;
+		}
+	}
+	
+	// motion
+	if (sensor.motion) {
+		let report = sensor.motion.motion_report || { 'motion': sensor.motion.motion };
+		data.state.presence = report.motion;
+		
+		if (report.changed) {
+			data.state.lastupdated = report.changed;
+		}
+	}
+	
+	// temperature
+	if (sensor.temperature) {
+		let report = sensor.temperature.temperature_report || { 'temperature': sensor.temperature.temperature };
+		data.state.temperature = Math.round(report.temperature * 100);
+		
+		if (report.changed) {
+			data.state.lastupdated = report.changed;
+		}
+	}
+	
+	// light level
+	if (sensor.light) {
+		let report = sensor.light.light_level_report || { 'light_level': sensor.light.light_level };
+		data.state.lightlevel = report.light_level;
+		
+		if (report.changed) {
+			data.state.lastupdated = report.changed;
+		}
+	}
+	
+	if (sensor.enabled !== undefined) {
+		data.config.on = sensor.enabled;
+	}
+	
+	// meta data
+	if (sensor.type) {
+		data.rid = sensor.id;
+		data.type = { 'button': 'ZLLSwitch', 'motion': 'ZLLPresence', 'temperature': 'ZLLTemperature', 'light_level': 'ZLLLightLevel' }[sensor.type] || sensor.type;
+	}
+	
+	if (device && device.product_data) {
+		data.name = device.metadata.name;
+		data.modelid = device.product_data.model_id;
+		data.manufacturername = device.product_data.manufacturer_name;
+		data.productname = device.product_data.product_name;
+		data.swversion = device.product_data.software_version;
+	}
+	
+	if (power && power.power_state) {
+		data.config.battery = power.power_state.battery_level;
+	}
+	
+	if (connectivity && connectivity.status) {
+		data.config.reachable = connectivity.status == 'connected';
+		data.config.connectivity = connectivity.status;
+	}
+	
+	if (connectivity && connectivity.mac_address) {
+		data.uniqueid = connectivity.mac_address;
+	}
+	
+	return data;
+}
+
+/**
+ * Get the resource types of the v2 API to retrieve for the given channels.
+ *
+ * @param	{array}		channels	Channels of the v1 API
+ * @return	{array}					Resource types (e.g. light for /clip/v2/resource/light)
+ *
+ */
+function getResourceTypes(channels) {
+	return channels.reduce((types, channel) => types.concat((RESOURCE_TYPES[channel] || []).filter(type => types.indexOf(type) === -1)), []);
+}
+
+/**
+ * Get the channels affected by the given resource types of the v2 API (e.g. when resources have been added or deleted).
+ *
+ * @param	{array}		types		Resource types of the v2 API
+ * @return	{array}					Channels of the v1 API
+ *
+ */
+function getChannels(types) {
+	return Object.keys(RESOURCE_TYPES).filter(channel => RESOURCE_TYPES[channel].some(type => types.indexOf(type) > -1));
+}
+
+/**
+ * Convert the resources of the v2 API into the payload of the v1 API.
+ *
+ * @param	{array}		resources	Resources as retrieved from /clip/v2/resource
+ * @return	{object}				Payload in the format of the v1 API (property payload) and index of the resources (property index)
+ *
+ */
+function convertResources(resources) {
+	let payload = CHANNELS.reduce((payload, channel) => ({ ...payload, [channel]: {} }), {});
+	let index = { 'v1': {}, 'v2': {}, 'owners': {}, 'resources': {} };
+	
+	// index resources
+	resources.forEach(resource => index.resources[resource.id] = resource);
+	
+	let getDevice = resource => resource.owner && resource.owner.rtype == 'device' ? index.resources[resource.owner.rid] : null;
+	let getConnectivity = device => getServices(index.resources, device, 'zigbee_connectivity')[0];
+	let getPower = device => getServices(index.resources, device, 'device_power')[0];
+	let addIndex = (channel, resource) => {
+		let id = getId(resource);
+		index.v1[channel + '/' + id] = { 'rid': resource.id, 'rtype': resource.type };
+		index.v2[resource.id] = { 'channel': channel, 'id': id };
+		
+		// index lights and sensors of a device (e.g. to assign the connectivity status of the device)
+		if (resource.owner && resource.owner.rtype == 'device') {
+			index.owners[resource.owner.rid] = (index.owners[resource.owner.rid] || []).concat([{ 'channel': channel, 'id': id }]);
+		}
+		
+		return id;
+	};
+	
+	// lights
+	resources.filter(resource => resource.type == 'light').forEach(light => {
+		let id = addIndex('lights', light);
+		let device = getDevice(light);
+		payload.lights[id] = convertLight(light, device, getConnectivity(device));
+	});
+	
+	// sensors
+	resources.filter(resource => ['button', 'motion', 'temperature', 'light_level'].indexOf(resource.type) > -1).forEach(sensor => {
+		let id = addIndex('sensors', sensor);
+		let device = getDevice(sensor);
+		let data = convertSensor(sensor, device, getPower(device), getConnectivity(device));
+		
+		// multiple buttons of a switch are represented by a single sensor in the v1 API, thus keep the latest button event
+		if (payload.sensors[id] && payload.sensors[id].state.lastupdated && !(data.state.lastupdated > payload.sensors[id].state.lastupdated)) {
+			data.state = payload.sensors[id].state;
+		}
+		
+		payload.sensors[id] = data;
+	});
+	
+	// groups
+	resources.filter(resource => resource.type == 'grouped_light').forEach(groupedLight => {
+		let owner = groupedLight.owner && index.resources[groupedLight.owner.rid];
+		if (!owner) {
+			return;
+		}
+		
+		// lights of a room are referenced via its devices, lights of a zone are referenced directly
+		let lights = [];
+		if (owner.type == 'bridge_home') {
+			lights = Object.keys(payload.lights);
+		}
+		else {
+			(owner.children || []).forEach(child => {
+				let lightResources = child.rtype == 'device' ? getServices(index.resources, index.resources[child.rid], 'light') : (child.rtype == 'light' && index.resources[child.rid] ? [index.resources[child.rid]] : []);
+				lightResources.forEach(light => lights.push(getId(light)));
+			});
+		}
+		
+		let id = addIndex('groups', groupedLight);
+		index.v2[owner.id] = { 'channel': 'groups', 'id': id };
+		
+		let states = lights.map(light => payload.lights[light] && payload.lights[light].state.on);
+		payload.groups[id] = {
+			'name': owner.type == 'bridge_home' ? 'All Lights' : owner.metadata.name,
+			'rid': groupedLight.id,
+			'type': { 'room': 'Room', 'zone': 'Zone', 'bridge_home': 'LightGroup' }[owner.type] || owner.type,
+			'class': owner.metadata && owner.metadata.archetype,
+			'lights': lights,
+			'sensors': [],
+			'recycle': false,
+			'state': {
+				'all_on': states.length > 0 && states.indexOf(false) === -1,
+				'any_on': states.indexOf(true) > -1
+			},
+			'action': convertLight(groupedLight).state
+		};
+	});
+	
+	// scenes
+	resources.filter(resource => resource.type == 'scene').forEach(scene => {
+		let id = addIndex('scenes', scene);
+		let group = scene.group && index.v2[scene.group.rid];
+		
+		payload.scenes[id] = {
+			'name': scene.metadata.name,
+			'rid': scene.id,
+			'type': 'GroupScene',
+			'group': group ? group.id : undefined,
+			'lights': (scene.actions || []).map(action => index.v2[action.target.rid] && index.v2[action.target.rid].id).filter(light => light !== undefined),
+			'recycle': false,
+			'active': scene.status ? scene.status.active != 'inactive' : undefined,
+			'version': 2
+		};
+	});
+	
+	// config
+	resources.filter(resource => resource.type == 'bridge').forEach(bridge => {
+		payload.config = {
+			'bridgeid': bridge.bridge_id,
+			'apiversion': 'clip/v2'
+		};
+	});
+	
+	return { 'payload': payload, 'index': index };
+}
+
+/**
+ * Merge a converted resource of the v2 API into a device of the v1 API.
+ *
+ * The states of the v1 API are kept and only the states not provided by the v1 API (e.g. gradient, connectivity or rid) are added.
+ *
+ * @param	{object}	device		Device of the v1 API (the converted resource is returned if not given)
+ * @param	{object}	resource	Converted resource of the v2 API (as returned by convertResources())
+ * @param	{string}	[path]		Path of the merged property within the device (used internally)
+ * @return	{object}				Merged device
+ *
+ */
+function mergeDevice(device, resource, path = '') {
+	let isObject = value => value !== null && typeof value == 'object' && !Array.isArray(value);
+	if (device === undefined || device === null) {
+		return resource;
+	}
+	else if (!isObject(device) || !isObject(resource)) {
+		return device;
+	}
+	
+	let merged = { ...device };
+	for (let key in resource) {
+		if (resource[key] === undefined) {
+			continue;
+		}
+		else if (merged[key] === undefined || PREFERRED.indexOf(path + key) > -1) {
+			merged[key] = resource[key];
+		}
+		else {
+			merged[key] = mergeDevice(merged[key], resource[key], path + key + '.');
+		}
+	}
+	
+	return merged;
+}
+
+/**
+ * Convert an event of the eventstream into updates of the v1 object tree.
+ *
+ * @param	{object}	resource	Resource of the event (partial resource of the v2 API)
+ * @param	{object}	[index]		Index of the resources (as returned by convertResources())
+ * @return	{array}					Updates (objects with properties channel, id and data)
+ *
+ */
+function convertEvent(resource, index) {
+	index = index || { 'v2': {}, 'owners': {}, 'resources': {} };
+	
+	// get targets of the event
+	let targets = [];
+	if (resource.id_v1) {
+		let [channel, id] = resource.id_v1.substr(1).split('/');
+		targets.push({ 'channel': channel, 'id': id });
+	}
+	else if (index.v2[resource.id]) {
+		targets.push(index.v2[resource.id]);
+	}
+	else if (resource.owner && index.owners[resource.owner.rid]) {
+		targets = index.owners[resource.owner.rid];
+	}
+	
+	// convert data
+	return targets.map(target => {
+		let data = null;
+		
+		switch(resource.type) {
+		case 'light':
+			data = { 'state': convertLight(resource).state };
+			break;
+			
+		case 'grouped_light':
+			data = { 'action': convertLight(resource).state, 'state': resource.on ? { 'any_on': resource.on.on } : {} };
+			break;
+			
+		case 'button':
+		case 'motion':
+		case 'temperature':
+		case 'light_level':
+			// events do not contain the metadata of the resource (e.g. control_id of a button)
+			data = convertSensor(index.resources && index.resources[resource.id] ? { 'metadata': index.resources[resource.id].metadata, ...resource } : resource);
+			data = { 'state': data.state, 'config': data.config };
+			break;
+			
+		case 'device_power':
+			data = target.channel == 'sensors' ? { 'config': convertSensor({}, null, resource).config } : null;
+			break;
+			
+		case 'scene':
+			data = resource.status ? { 'active': resource.status.active != 'inactive' } : null;
+			break;
+			
+		case 'zigbee_connectivity':
+			data = target.channel == 'lights' ? { 'state': convertLight({}, null, { 'status': resource.status }).state } : (target.channel == 'sensors' ? { 'config': convertSensor({}, null, null, { 'status': resource.status }).config } : null);
+			break;
+		}
+		
+		return data ? { 'channel': target.channel, 'id': target.id, 'data': data } : null;
+	}).filter(update => update !== null);
+}
+
+/**
+ * Convert commands of the v1 API into the body of a v2 API request.
+ *
+ * @param	{object}	commands	Commands in the format of the v1 API
+ * @param	{array|string}	[gamut]		Color gamut of the light (colorgamut, colorgamuttype or modelid) to convert hue / saturation to xy
+ * @return	{object}				Body of the v2 API request
+ *
+ */
+function convertCommand(commands, gamut = null) {
+	let body = {};
+	
+	for (let key in commands) {
+		let value = commands[key];
+		
+		switch(key) {
+		case 'on':
+			body.on = { 'on': value === true || value === 'true' };
+			break;
+		
+		case 'bri':
+			body.dimming = { 'brightness': Math.max(Math.min(Math.round(value / 2.54 * 100) / 100, 100), 0) };
+			break;
+		
+		case 'ct':
+			body.color_temperature = { 'mirek': value };
+			break;
+		
+		case 'bri_inc':
+			body.dimming_delta = { 'action': value > 0 ? 'up' : (value < 0 ? 'down' : 'stop'), 'brightness_delta': Math.min(Math.round(Math.abs(value) / 2.54 * 100) / 100, 100) };
+			break;
+		
+		case 'ct_inc':
+			body.color_temperature_delta = { 'action': value > 0 ? 'up' : (value < 0 ? 'down' : 'stop'), 'mirek_delta': Math.min(Math.abs(value), 347) };
+			break;
+		
+		case 'xy':
+			value = Array.isArray(value) ? value : value.split(',');
+			body.color = { 'xy': { 'x': Number.parseFloat(value[0]), 'y': Number.parseFloat(value[1]) } };
+			break;
+		
+		case 'hue':
+		case 'sat':
+			// hue / saturation is not supported by the v2 API, thus convert to xy
+			if (commands.xy === undefined) {
+				let hsv = [(commands.hue !== undefined ? commands.hue : 0) / 65535 * 360, (commands.sat !== undefined ? commands.sat : 254) / 2.54, 100];
+				let xy = _hueColor.convertRGBtoXY(_color.hsv.rgb(hsv), gamut);
+				body.color = { 'xy': { 'x': xy[0], 'y': xy[1] } };
+			}
+			break;
+		
+		case 'transitiontime':
+			body.dynamics = { 'duration': value * 100 };
+			break;
+		
+		case 'alert':
+			if (value && value != 'none') {
+				body.alert = { 'action': 'breathe' };
+			}
+			break;
+		
+		case 'effect':
+			body.effects = { 'effect': !value || value == 'none' ? 'no_effect' : value };
+			break;
+		
+		case 'gradient':
+			body.gradient = { 'points': (typeof value == 'string' ? JSON.parse(value) : value).map(xy => ({ 'color': { 'xy': { 'x': xy[0], 'y': xy[1] } } })) };
+			break;
+		}
+	}
+	
+	return body;
+}
+
+/**
+ * Get the v2 API request for a v1 API trigger.
+ *
+ * @param	{object}	index		Index of the resources (as returned by convertResources())
+ * @param	{string}	trigger		Trigger of the v1 API (e.g. lights/1/state)
+ * @param	{object}	commands	Commands in the format of the v1 API
+ * @param	{array|string}	[gamut]		Color gamut of the light (colorgamut, colorgamuttype or modelid)
+ * @return	{object|null}			Resource (e.g. light/<rid>) and body of the request or null if the trigger is not supported by the v2 API
+ *
+ */
+function getRequest(index, trigger, commands, gamut = null) {
+	let [channel, id] = trigger.split('/');
+	
+	// recall scene
+	if (channel == 'groups' && commands.scene !== undefined) {
+		let scene = index.v1['scenes/' + commands.scene];
+		let recall = {
+			'action': 'active',
+			...(commands.transitiontime !== undefined ? { 'duration': commands.transitiontime * 100 } : {}),
+			...(commands.bri !== undefined ? { 'dimming': { 'brightness': Math.max(Math.min(Math.round(commands.bri / 2.54 * 100) / 100, 100), 0) } } : {})
+		};
+		
+		return scene ? { 'resource': 'scene/' + scene.rid, 'body': { 'recall': recall } } : null;
+	}
+	
+	// lights and groups (relative adjustments of hue, saturation and xy are only supported by the v1 API)
+	let resource = index.v1[channel + '/' + id];
+	if (!resource || (channel != 'lights' && channel != 'groups') || commands.hue_inc !== undefined || commands.sat_inc !== undefined || commands.xy_inc !== undefined) {
+		return null;
+	}
+	
+	return { 'resource': resource.rtype + '/' + resource.rid, 'body': convertCommand(commands, gamut) };
+}
+
+/**
+ * Convert the response of a v2 API request into the response format of the v1 API.
+ *
+ * @param	{object}	res			Response of the v2 API
+ * @param	{string}	trigger		Trigger of the v1 API (e.g. lights/1/state)
+ * @param	{object}	commands	Commands in the format of the v1 API
+ * @return	{array}					Response in the format of the v1 API
+ *
+ */
+function convertResponse(res, trigger, commands) {
+	let errors = res && Array.isArray(res.errors) ? res.errors : [{ 'description': 'Unknown error' }];
+	
+	return Object.keys(commands).map(key => {
+		let address = '/' + trigger + '/' + key;
+		return errors.length > 0 ? { 'error': { 'type': 'v2', 'address': address, 'description': errors.map(error => error.description).join(', ') } } : { 'success': { [address]: commands[key] } };
+	});
+}
+
+module.exports = {
+	CHANNELS,
+	getResourceTypes,
+	getChannels,
+	convertResources,
+	mergeDevice,
+	convertEvent,
+	convertCommand,
+	convertResponse,
+	getRequest
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * Increments
+ *
+ * @description Relative adjustments (e.g. bri_inc) of lights and groups, which are clamped to the limits of the bridge and merged with queued commands, as well as the commands to dim lights and groups
+ * @author Zefau <https://github.com/Zefau/>
+ * @license MIT License
+ *
+ */
+
+/*
+ * limit of the relative adjustments (positive and negative) and range of the respective absolute values
+ */
+const INCREMENTS = {
+	'bri_inc': { 'limit': 254, 'min': 1, 'max': 254 },
+	'sat_inc': { 'limit': 254, 'min': 0, 'max': 254 },
+	'hue_inc': { 'limit': 65534, 'min': 0, 'max': 65535, 'wrap': true },
+	'ct_inc': { 'limit': 65534, 'min': 153, 'max': 500 },
+	'xy_inc': { 'limit': 0.5, 'min': 0, 'max': 1 }
+};
+
+/*
+ * commands to start and stop dimming (the Hue Bridge transitions to the limit of the brightness, whereas deCONZ moves the brightness itself)
+ */
+const DIM_DURATION = 5; // time (in seconds) to dim from minimum to maximum brightness (or vice versa)
+const DIMMING = {
+	'hue': { 'up': { 'bri_inc': 254, 'transitiontime': DIM_DURATION*10 }, 'down': { 'bri_inc': -254, 'transitiontime': DIM_DURATION*10 }, 'stop': { 'bri_inc': 0 } },
+	'deconz': { 'up': { 'bri_move': 'up' }, 'down': { 'bri_move': 'down' }, 'stop': { 'bri_move': 'stop' } }
+};
+
+/**
+ * Clamp a relative adjustment to the limits of the bridge.
+ *
+ * @param	{string}		action		Relative adjustment (e.g. bri_inc)
+ * @param	{number|array}	value		Value of the adjustment (x and y for xy_inc)
+ * @return	{number|array}				Clamped value
+ *
+ */
+function clampIncrement(action, value) {
+	let limit = INCREMENTS[action].limit;
+	return Array.isArray(value) ? value.map(val => Math.max(Math.min(Math.round(val*10000)/10000, limit), -limit)) : Math.max(Math.min(Math.round(value), limit), -limit);
+}
+
+/**
+ * Merge commands into queued commands.
+ *
+ * Relative adjustments are summed up or applied to a queued absolute value, whereas an absolute value replaces a queued relative adjustment.
+ *
+ * @param	{object}	queued		Queued commands
+ * @param	{object}	commands	Commands to merge
+ * @return	{object}				Merged commands
+ *
+ */
+function mergeCommands(queued, commands) {
+	let merged = { ...queued };
+	
+	for (let action in commands) {
+		let value = commands[action];
+		let absolute = action.substr(0, action.length-4);
+		
+		// relative adjustment of a queued absolute value
+		if (INCREMENTS[action] !== undefined && merged[absolute] !== undefined) {
+			let range = INCREMENTS[action];
+			let apply = (current, increment) => range.wrap ? ((current + increment) % (range.max+1) + range.max+1) % (range.max+1) : Math.max(Math.min(current + increment, range.max), range.min);
+			
+			merged[absolute] = action == 'xy_inc' ?
+				(Array.isArray(merged.xy) ? merged.xy : String(merged.xy).split(',')).map((val, i) => Math.round(apply(Number.parseFloat(val), value[i])*10000)/10000) :
+				apply(Number.parseFloat(merged[absolute]), value);
+		}
+		
+		// sum up relative adjustments (an adjustment of 0 stops an ongoing transition, thus replaces queued adjustments)
+		else if (INCREMENTS[action] !== undefined && merged[action] !== undefined && value !== 0) {
+			merged[action] = clampIncrement(action, action == 'xy_inc' ? merged[action].map((val, i) => val + value[i]) : merged[action] + value);
+		}
+		
+		// absolute value replaces relative adjustment
+		else {
+			merged[action] = value;
+			delete merged[action + '_inc'];
+		}
+	}
+	
+	return merged;
+}
+
+/**
+ * Get the commands to start or stop dimming.
+ *
+ * @param	{string}		bridgeType	Type of the bridge (hue or deconz)
+ * @param	{string}		direction	Direction of dimming (up, down or stop)
+ * @return	{object|null}				Commands or null if the direction is invalid
+ *
+ */
+function getDimming(bridgeType, direction) {
+	let dimming = DIMMING[bridgeType == 'deconz' ? 'deconz' : 'hue'][direction];
+	return dimming ? { ...dimming } : null;
+}
+
+module.exports = {
+	INCREMENTS,
+	clampIncrement,
+	mergeCommands,
+	getDimming
+};
@@ -364,6 +364,41 @@ class Library
 		return true;
 	}
 	
+	/**
+	 * Refresh the timestamp of all device states within the given paths (e.g. to keep unchanged states from the garbage collector).
+	 *
+	 * @param	{string|array}	paths		Path or paths of states / channels (all states below a path are refreshed, too)
+	 * @return	void
+	 *
+	 */
+	touchDeviceStates(paths)
+	{
+		paths = new Set([].concat(paths));
+		if (paths.size === 0)
+			return;
+		
+		for (let state in this._STATES)
+		{
+			if (!this._STATES[state])
+				continue;
+			
+			if (paths.has(state))
+			{
+				this.setDeviceProperties(state);
+				continue;
+			}
+			
+			for (let pos = state.indexOf('.'); pos > -1; pos = state.indexOf('.', pos+1))
+			{
+				if (paths.has(state.substr(0, pos)))
+				{
+					this.setDeviceProperties(state);
+					break;
+				}
+			}
+		}
+	}
+	
 	/**
 	 * Deletes a state / object.
 	 *
@@ -19,6 +19,18 @@ var XY = function (x, y) {
         green: new XY(0.0, 1.0),
         blue: new XY(0.0, 0.0)
     }
+    , gamutLimits = {
+        // Gamut A (LivingColors, LightStrips)
+        A: livingColorsLimits,
+        // Gamut B (first generation Hue bulbs)
+        B: hueLimits,
+        // Gamut C (later generations of Hue bulbs and LightStrips)
+        C: {
+            red: new XY(0.6915, 0.3083),
+            green: new XY(0.17, 0.7),
+            blue: new XY(0.1532, 0.0475)
+        }
+    }
     ;
 
 function _crossProduct(p1, p2) {
@@ -182,11 +194,31 @@ function _gammaCorrection(value) {
     return result;
 }
 
-function _getLimits(modelid) {
+/**
+ * Get the limits of a lamp.
+ *
+ * @param gamut {Array|String} Color gamut as reported by the lamp (capabilities.control.colorgamut, i.e. [[red x, red y], [green x, green y], [blue x, blue y]]),
+ *                             gamut type (capabilities.control.colorgamuttype, i.e. A, B or C) or the modelid of the lamp.
+ * @returns The limits of the lamp (red, green and blue XY points).
+ */
+function _getLimits(gamut) {
     var limits = defaultLimits
+        , modelid = gamut
         ;
 
-    if (modelid) {
+    if (Array.isArray(gamut) && gamut.length == 3) {
+        return {
+            red: new XY(gamut[0][0], gamut[0][1]),
+            green: new XY(gamut[1][0], gamut[1][1]),
+            blue: new XY(gamut[2][0], gamut[2][1])
+        };
+    }
+
+    if (typeof modelid == 'string' && gamutLimits[modelid.toUpperCase()]) {
+        return gamutLimits[modelid.toUpperCase()];
+    }
+
+    if (typeof modelid == 'string' && modelid) {
         modelid = modelid.toLowerCase();
 
         if (/^lct/.test(modelid)) {
@@ -207,8 +239,8 @@ function _getLimits(modelid) {
 }
 
 module.exports = {
-    convertRGBtoXY: function(rgb, modelid) {
-        var limits = _getLimits(modelid);
+    convertRGBtoXY: function(rgb, gamut) {
+        var limits = _getLimits(gamut);
         return _getXYStateFromRGB(rgb[0], rgb[1], rgb[2], limits);
     },
     convertXYtoRGB: _getRGBFromXYState
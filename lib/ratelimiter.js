@@ -0,0 +1,184 @@
+'use strict';
+const EventEmitter = require('events');
+
+/**
+ * RateLimiter
+ *
+ * @description Token bucket scheduler for requests to a bridge with separate budgets (e.g. lights and groups) and backoff on HTTP 429 / 503
+ * @author Zefau <https://github.com/Zefau/>
+ * @license MIT License
+ *
+ * Emits the following events:
+ *	- change	number of queued requests has changed
+ *	- backoff	bridge is overloaded (HTTP 429 / 503), all budgets (or only the isolated budget of the request) are paused (object with properties budget, statusCode and delay in seconds)
+ *
+ */
+class RateLimiter extends EventEmitter {
+	
+	/**
+	 * Constructor.
+	 *
+	 * @param	{object}	budgets							Budgets by name, each with properties rate (requests per second) and optionally burst (defaults to rate) and isolated (overload only pauses the budget itself)
+	 * @param	{object}	[options={}]					Options
+	 * @param	{number}	[options.backoff=1]				Initial delay in seconds when the bridge is overloaded (doubled for each further overload)
+	 * @param	{number}	[options.backoffMax=30]			Maximum delay in seconds when the bridge is overloaded
+	 * @param	{number}	[options.retries=5]				Number of retries of a request rejected due to overload
+	 *
+	 */
+	constructor(budgets, options) {
+		super();
+		
+		this.options = options || {};
+		this.options.backoff = this.options.backoff || 1;
+		this.options.backoffMax = this.options.backoffMax || 30;
+		this.options.retries = this.options.retries !== undefined ? this.options.retries : 5;
+		
+		this.budgets = {};
+		for (let name in budgets) {
+			let burst = budgets[name].burst || budgets[name].rate;
+			this.budgets[name] = { 'rate': budgets[name].rate, 'burst': burst, 'tokens': burst, 'updated': Date.now(), 'queue': [], 'timer': null, 'isolated': budgets[name].isolated === true, 'attempt': 0, 'pausedUntil': 0 };
+		}
+		
+		this._attempt = 0;
+		this._pausedUntil = 0;
+	}
+	
+	/**
+	 * Number of queued requests.
+	 *
+	 * @return	{number}		Queued requests
+	 *
+	 */
+	get size() {
+		return Object.values(this.budgets).reduce((size, budget) => size + budget.queue.length, 0);
+	}
+	
+	/**
+	 * Time in seconds the oldest queued request is waiting.
+	 *
+	 * @return	{number}		Waiting time in seconds
+	 *
+	 */
+	get wait() {
+		let now = Date.now();
+		return Object.values(this.budgets).reduce((wait, budget) => budget.queue.length > 0 ? Math.max(wait, (now - budget.queue[0].queued) / 1000) : wait, 0);
+	}
+	
+	/**
+	 * Schedule a request.
+	 *
+	 * @param	{string}	name		Name of the budget (falls back to the first budget if unknown)
+	 * @param	{function}	task		Function sending the request (returning a promise, which is rejected with property statusCode in case of an HTTP error)
+	 * @return	{Promise}				Result of the request
+	 *
+	 */
+	schedule(name, task) {
+		name = this.budgets[name] ? name : Object.keys(this.budgets)[0];
+		
+		return new Promise((resolve, reject) => {
+			this.budgets[name].queue.push({ 'task': task, 'resolve': resolve, 'reject': reject, 'queued': Date.now(), 'retries': 0 });
+			this.emit('change');
+			this._process(name);
+		});
+	}
+	
+	/**
+	 * Drop all queued requests (their promises are rejected).
+	 *
+	 * @param	void
+	 * @return	void
+	 *
+	 */
+	clear() {
+		for (let name in this.budgets) {
+			let queue = this.budgets[name].queue;
+			clearTimeout(this.budgets[name].timer);
+			this.budgets[name].queue = [];
+			
+			queue.forEach(job => job.reject(new Error('Request has been dropped from the queue')));
+		}
+		
+		this.emit('change');
+	}
+	
+	/**
+	 * Send queued requests of a budget as long as tokens are available.
+	 *
+	 * @param	{string}	name		Name of the budget
+	 * @return	void
+	 *
+	 */
+	_process(name) {
+		let budget = this.budgets[name];
+		clearTimeout(budget.timer);
+		budget.timer = null;
+		
+		while (budget.queue.length > 0) {
+			let now = Date.now();
+			let pausedUntil = Math.max(this._pausedUntil, budget.pausedUntil);
+			
+			// bridge is overloaded
+			if (pausedUntil > now) {
+				budget.timer = setTimeout(() => this._process(name), pausedUntil - now);
+				return;
+			}
+			
+			// refill tokens
+			budget.tokens = Math.min(budget.burst, budget.tokens + (now - budget.updated) / 1000 * budget.rate);
+			budget.updated = now;
+			
+			// wait for next token
+			if (budget.tokens < 1) {
+				budget.timer = setTimeout(() => this._process(name), Math.ceil((1 - budget.tokens) / budget.rate * 1000));
+				return;
+			}
+			
+			budget.tokens--;
+			this._run(name, budget.queue.shift());
+			this.emit('change');
+		}
+	}
+	
+	/**
+	 * Send a request and back off if the bridge is overloaded.
+	 *
+	 * @param	{string}	name		Name of the budget
+	 * @param	{object}	job			Queued request
+	 * @return	void
+	 *
+	 */
+	_run(name, job) {
+		let budget = this.budgets[name];
+		
+		Promise.resolve().then(job.task).then(res => {
+			budget.isolated ? (budget.attempt = 0) : (this._attempt = 0);
+			job.resolve(res);
+			
+		}).catch(err => {
+			let statusCode = err && err.statusCode;
+			if ((statusCode != 429 && statusCode != 503) || job.retries >= this.options.retries) {
+				return job.reject(err);
+			}
+			
+			// pause all budgets or only an isolated budget (respecting Retry-After header of the bridge) and retry request first
+			let attempt = budget.isolated ? budget.attempt++ : this._attempt++;
+			let retryAfter = Number.parseInt(err.response && err.response.headers && err.response.headers['retry-after']);
+			let delay = retryAfter > 0 ? retryAfter : Math.min(this.options.backoff * Math.pow(2, attempt), this.options.backoffMax);
+			
+			if (budget.isolated) {
+				budget.pausedUntil = Math.max(budget.pausedUntil, Date.now() + delay*1000);
+			}
+			else {
+				this._pausedUntil = Math.max(this._pausedUntil, Date.now() + delay*1000);
+			}
+			
+			job.retries++;
+			budget.queue.unshift(job);
+			this.emit('backoff', { 'budget': name, 'statusCode': statusCode, 'delay': delay });
+			this.emit('change');
+			this._process(name);
+		});
+	}
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * Verify
+ *
+ * @description Comparison of the states reported by the bridge with the states requested by a command
+ * @author Zefau <https://github.com/Zefau/>
+ * @license MIT License
+ *
+ */
+
+/*
+ * deviation of a verified state from the requested state
+ */
+const VERIFY_TOLERANCE = { 'bri': 3, 'hue': 655, 'sat': 3, 'ct': 3, 'xy': 0.01 };
+
+/**
+ * Get the states of a light expected after a command.
+ *
+ * Only absolute values can be verified and a light turned off keeps its other states.
+ *
+ * @param	{object}	actions		Commands sent to the bridge
+ * @return	{object}				Expected states
+ *
+ */
+function getExpected(actions) {
+	let expected = {};
+	
+	if (actions.on === false) {
+		return { 'on': false };
+	}
+	
+	['on', 'bri', 'hue', 'sat', 'ct', 'xy'].forEach(key => actions[key] !== undefined && (expected[key] = actions[key]));
+	return expected;
+}
+
+/**
+ * Get the differences of the state of a light from the requested state (only comparing the color mode of the request, which the bridge applies).
+ *
+ * The states of an unreachable light cannot be verified, thus all states are considered different. The states of a light, which is off and not turned on, cannot be changed, thus are not compared.
+ *
+ * @param	{object}	expected	Expected states
+ * @param	{object}	state		States reported by the bridge
+ * @param	{object}	tolerance	Deviation of each state from the expected state
+ * @return	{object}				Differing states (to be resent to the light)
+ *
+ */
+function getDifferences(expected, state, tolerance = VERIFY_TOLERANCE) {
+	if (!state || state.reachable === false) {
+		return { ...expected };
+	}
+	
+	if (state.on === false && expected.on === undefined) {
+		return {};
+	}
+	
+	let differences = {};
+	let mode = expected.xy !== undefined ? 'xy' : (expected.ct !== undefined ? 'ct' : (expected.hue !== undefined || expected.sat !== undefined ? 'hs' : null));
+	let deviates = (key, value) => {
+		
+		// light does not support state
+		if (state[key] === undefined) {
+			return false;
+		}
+		
+		// light is in another color mode
+		if (mode && ['hue', 'sat', 'ct', 'xy'].indexOf(key) > -1 && state.colormode && state.colormode != mode) {
+			return true;
+		}
+		
+		switch(key) {
+		case 'on':
+			return state.on !== value;
+		
+		case 'xy':
+			value = (Array.isArray(value) ? value : String(value).split(',')).map(val => Number.parseFloat(val));
+			return !Array.isArray(state.xy) || value.some((val, i) => Math.abs(val - state.xy[i]) > tolerance.xy);
+		
+		case 'hue': {
+			let deviation = Math.abs(value - state.hue) % 65536;
+			return Math.min(deviation, 65536 - deviation) > tolerance.hue;
+		}
+		
+		default:
+			return Math.abs(value - state[key]) > tolerance[key];
+		}
+	};
+	
+	for (let key in expected) {
+		if ((key == 'hue' || key == 'sat') && mode != 'hs') {
+			continue;
+		}
+		else if (key == 'ct' && mode != 'ct') {
+			continue;
+		}
+		
+		if (deviates(key, expected[key])) {
+			differences[key] = expected[key];
+		}
+	}
+	
+	// a light has to be on to change its other states
+	if (Object.keys(differences).length > 0 && expected.on === true) {
+		differences.on = true;
+	}
+	
+	return differences;
+}
+
+/**
+ * Check whether the current states of the lights match the lightstates of a scene.
+ *
+ * Lights, which cannot be reached, are skipped. Only the power state is compared for lights turned off (either by the scene or currently).
+ *
+ * @param	{object}	lightstates	Lightstates of the scene (indexed by the ID of the light)
+ * @param	{object}	lights		Lights of the bridge (indexed by their ID)
+ * @param	{object}	tolerance	Deviation of each state from the lightstate
+ * @return	{boolean}				Whether the scene is active
+ *
+ */
+function isSceneActive(lightstates, lights, tolerance = VERIFY_TOLERANCE) {
+	let compared = 0;
+	
+	for (let light in lightstates) {
+		let state = lights && lights[light] && lights[light].state;
+		
+		// skip lights, which can not be reached
+		if (!state || state.reachable === false) {
+			continue;
+		}
+		
+		let expected = { ...lightstates[light] };
+		delete expected.transitiontime;
+		
+		// other states of a light turned off are irrelevant
+		if (expected.on === false || state.on === false) {
+			expected = { 'on': expected.on !== false };
+		}
+		
+		if (Object.keys(getDifferences(expected, state, tolerance)).length > 0) {
+			return false;
+		}
+		
+		compared++;
+	}
+	
+	return compared > 0;
+}
+
+module.exports = {
+	VERIFY_TOLERANCE,
+	getExpected,
+	getDifferences,
+	isSceneActive
+};
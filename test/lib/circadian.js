@@ -0,0 +1,69 @@
+const { expect } = require('chai');
+const circadian = require('../../lib/circadian');
+
+const BERLIN = [52.52, 13.405];
+const SVALBARD = [78.22, 15.65];
+
+describe('lib/circadian', () => {
+	
+	describe('getTimes()', () => {
+		
+		it('computes sunrise, solar noon and sunset', () => {
+			let times = circadian.getTimes(new Date('2024-06-21T12:00:00Z'), ...BERLIN);
+			
+			expect(Math.abs(times.sunrise - new Date('2024-06-21T02:43:00Z'))).to.be.below(5*60*1000);
+			expect(Math.abs(times.noon - new Date('2024-06-21T11:09:00Z'))).to.be.below(5*60*1000);
+			expect(Math.abs(times.sunset - new Date('2024-06-21T19:33:00Z'))).to.be.below(5*60*1000);
+		});
+		
+		it('returns no sunrise and sunset during polar day and polar night', () => {
+			let day = circadian.getTimes(new Date('2024-06-21T12:00:00Z'), ...SVALBARD);
+			let night = circadian.getTimes(new Date('2024-12-21T12:00:00Z'), ...SVALBARD);
+			
+			expect(day.sunrise).to.equal(null);
+			expect(day.sunset).to.equal(null);
+			expect(night.sunrise).to.equal(null);
+			expect(night.noon).to.be.an.instanceof(Date);
+		});
+	});
+	
+	describe('getAltitude()', () => {
+		
+		it('computes the altitude of the sun', () => {
+			let noon = circadian.getAltitude(new Date('2024-06-21T11:09:00Z'), ...BERLIN) * 180 / Math.PI;
+			let midnight = circadian.getAltitude(new Date('2024-06-21T23:09:00Z'), ...BERLIN) * 180 / Math.PI;
+			
+			expect(noon).to.be.within(60.5, 61.5); // 90° - latitude + obliquity
+			expect(midnight).to.be.below(-10);
+		});
+	});
+	
+	describe('getSetpoint()', () => {
+		
+		it('is coolest and brightest at solar noon', () => {
+			expect(circadian.getSetpoint(new Date('2024-06-21T11:09:00Z'), ...BERLIN)).to.deep.equal({ 'colorTemperature': 5500, 'brightness': 100, 'progress': 1 });
+		});
+		
+		it('is warmest and dimmest during the night', () => {
+			expect(circadian.getSetpoint(new Date('2024-06-21T23:00:00Z'), ...BERLIN)).to.deep.equal({ 'colorTemperature': 2200, 'brightness': 30, 'progress': 0 });
+			expect(circadian.getSetpoint(new Date('2024-12-21T12:00:00Z'), ...SVALBARD).progress).to.equal(0);
+		});
+		
+		it('follows the altitude of the sun in between', () => {
+			let morning = circadian.getSetpoint(new Date('2024-06-21T05:00:00Z'), ...BERLIN);
+			let later = circadian.getSetpoint(new Date('2024-06-21T07:00:00Z'), ...BERLIN);
+			
+			expect(morning.progress).to.be.within(0.01, 0.99);
+			expect(later.progress).to.be.above(morning.progress);
+			expect(later.colorTemperature).to.be.above(morning.colorTemperature);
+			expect(later.brightness).to.be.above(morning.brightness);
+		});
+		
+		it('uses the given curve', () => {
+			let curve = { 'warmest': 2700, 'coolest': 4000, 'minBrightness': 10, 'maxBrightness': 80 };
+			
+			expect(circadian.getSetpoint(new Date('2024-06-21T11:09:00Z'), ...BERLIN, curve)).to.deep.include({ 'colorTemperature': 4000, 'brightness': 80 });
+			expect(circadian.getSetpoint(new Date('2024-06-21T23:00:00Z'), ...BERLIN, curve)).to.deep.include({ 'colorTemperature': 2700, 'brightness': 10 });
+		});
+	});
+});
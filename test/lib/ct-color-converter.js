@@ -0,0 +1,25 @@
+const { expect } = require('chai');
+const ctColor = require('../../lib/ct-color-converter');
+
+describe('lib/ct-color-converter', () => {
+	
+	describe('convertXYtoCT()', () => {
+		
+		it('returns the color temperature of colors on the Planckian locus', () => {
+			[2000, 2700, 4000, 6500].forEach(kelvin => {
+				let mired = Math.round(1000000 / kelvin);
+				expect(ctColor.convertXYtoCT(ctColor.convertCTtoXY(kelvin), 153, 500)).to.be.within(mired-1, mired+1);
+			});
+		});
+		
+		it('returns the closest color temperature of other colors', () => {
+			expect(ctColor.convertXYtoCT([0.4578, 0.4101])).to.be.within(360, 375); // warm white
+			expect(ctColor.convertXYtoCT([0.3127, 0.329])).to.be.within(150, 160); // D65
+		});
+		
+		it('clamps to the range of the light', () => {
+			expect(ctColor.convertXYtoCT([0.7, 0.3], 153, 454)).to.equal(454);
+			expect(ctColor.convertXYtoCT([0.15, 0.06], 200, 500)).to.equal(200);
+		});
+	});
+});
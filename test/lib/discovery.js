@@ -0,0 +1,159 @@
+const dgram = require('dgram');
+const http = require('http');
+const { expect } = require('chai');
+const discovery = require('../../lib/discovery');
+
+const SERVICE = '_hue._tcp.local';
+
+/*
+ * encode a name of a DNS message (without compression)
+ */
+function encodeName(name) {
+	return Buffer.concat([...name.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])), Buffer.from([0])]);
+}
+
+/*
+ * encode a record of a DNS message
+ */
+function encodeRecord(name, type, data) {
+	let header = Buffer.alloc(10);
+	header.writeUInt16BE(type, 0);
+	header.writeUInt16BE(1, 2); // class IN
+	header.writeUInt32BE(120, 4); // ttl
+	header.writeUInt16BE(data.length, 8);
+	
+	return Buffer.concat([encodeName(name), header, data]);
+}
+
+/*
+ * encode a DNS response announcing a Hue Bridge
+ */
+function encodeResponse(port) {
+	let instance = 'Hue Bridge - 1A2B3C.' + SERVICE;
+	let txt = ['bridgeid=001788fffe1a2b3c', 'modelid=BSB002'].map(entry => Buffer.concat([Buffer.from([entry.length]), Buffer.from(entry)]));
+	let srv = Buffer.alloc(6);
+	srv.writeUInt16BE(port, 4);
+	
+	let records = [
+		encodeRecord(SERVICE, 12, encodeName(instance)),
+		encodeRecord(instance, 16, Buffer.concat(txt)),
+		encodeRecord(instance, 33, Buffer.concat([srv, encodeName('bridge.local')])),
+		encodeRecord('bridge.local', 1, Buffer.from([127, 0, 0, 1]))
+	];
+	
+	return Buffer.concat([Buffer.from([0, 0, 0x84, 0, 0, 0, 0, 1, 0, 0, 0, 3]), ...records]);
+}
+
+/*
+ * start a UDP responder answering any request
+ */
+function respond(answer) {
+	return new Promise(resolve => {
+		let socket = dgram.createSocket('udp4');
+		socket.on('message', (message, rinfo) => {
+			let response = answer(message);
+			response && socket.send(response, rinfo.port, rinfo.address);
+		});
+		socket.bind(0, '127.0.0.1', () => resolve(socket));
+	});
+}
+
+describe('lib/discovery', () => {
+	
+	describe('encodeQuery() / decodeResponse()', () => {
+		
+		it('encodes a PTR query of the service', () => {
+			let records = discovery.decodeResponse(discovery.encodeQuery(SERVICE));
+			expect(records).to.deep.equal([]);
+			
+			let query = discovery.encodeQuery(SERVICE);
+			expect(query.readUInt16BE(4)).to.equal(1);
+			expect(query.slice(12, query.length-4)).to.deep.equal(encodeName(SERVICE));
+			expect(query.readUInt16BE(query.length-4)).to.equal(12);
+		});
+		
+		it('decodes PTR, TXT, SRV and A records', () => {
+			let records = discovery.decodeResponse(encodeResponse(8080));
+			
+			expect(records).to.deep.equal([
+				{ 'name': SERVICE, 'type': 12, 'data': 'Hue Bridge - 1A2B3C.' + SERVICE },
+				{ 'name': 'Hue Bridge - 1A2B3C.' + SERVICE, 'type': 16, 'data': { 'bridgeid': '001788fffe1a2b3c', 'modelid': 'BSB002' } },
+				{ 'name': 'Hue Bridge - 1A2B3C.' + SERVICE, 'type': 33, 'data': { 'port': 8080, 'target': 'bridge.local' } },
+				{ 'name': 'bridge.local', 'type': 1, 'data': '127.0.0.1' }
+			]);
+		});
+		
+		it('decodes the complete records of a truncated response', () => {
+			let response = encodeResponse(8080);
+			let records = discovery.decodeResponse(response.slice(0, response.length-2));
+			
+			expect(records.map(record => record.type)).to.deep.equal([12, 16, 33]);
+			expect(discovery.decodeResponse(response.slice(0, 8))).to.deep.equal([]);
+		});
+	});
+	
+	describe('discover()', () => {
+		let server, mdns, ssdp, port;
+		
+		before(done => {
+			server = http.createServer((req, res) => {
+				res.setHeader('content-type', 'application/json');
+				res.end(JSON.stringify(req.url == '/api/config' ? { 'name': 'Mock Bridge', 'bridgeid': '001788FFFE1A2B3C', 'modelid': 'BSB002', 'apiversion': '1.50.0' } : {}));
+			});
+			
+			server.listen(0, '127.0.0.1', () => {
+				port = server.address().port;
+				
+				Promise.all([
+					respond(message => message.toString().indexOf('M-SEARCH') === 0 ? null : encodeResponse(port)),
+					respond(message => message.toString().indexOf('M-SEARCH') === 0 ? Buffer.from([
+						'HTTP/1.1 200 OK',
+						'LOCATION: http://127.0.0.1:' + port + '/description.xml',
+						'SERVER: Linux/3.14.0 UPnP/1.0 IpBridge/1.50.0',
+						'hue-bridgeid: 001788FFFE1A2B3C',
+						'ST: upnp:rootdevice',
+						'', ''
+					].join('\r\n')) : null)
+				]).then(sockets => {
+					[mdns, ssdp] = sockets;
+					done();
+				});
+			});
+		});
+		
+		after(() => {
+			mdns.close();
+			ssdp.close();
+			server.close();
+		});
+		
+		it('discovers a bridge via mDNS and SSDP', () => {
+			return discovery.discover({
+				'timeout': 1,
+				'methods': ['mdns', 'ssdp'],
+				'mdns': { 'address': '127.0.0.1', 'port': mdns.address().port },
+				'ssdp': { 'address': '127.0.0.1', 'port': ssdp.address().port }
+			}).then(bridges => {
+				expect(bridges).to.deep.equal([{
+					'name': 'Mock Bridge',
+					'type': 'hue',
+					'model': 'BSB002',
+					'bridgeId': '001788FFFE1A2B3C',
+					'apiVersion': '1.50.0',
+					'v2': true,
+					'ip': '127.0.0.1',
+					'port': port,
+					'methods': ['mdns', 'ssdp']
+				}]);
+			});
+		});
+		
+		it('ignores responses not announcing a bridge', () => {
+			return discovery.discover({
+				'timeout': 1,
+				'methods': ['ssdp'],
+				'ssdp': { 'address': '127.0.0.1', 'port': mdns.address().port }
+			}).then(bridges => expect(bridges).to.deep.equal([]));
+		});
+	});
+});
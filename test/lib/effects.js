@@ -0,0 +1,67 @@
+const { expect } = require('chai');
+const effects = require('../../lib/effects');
+
+describe('lib/effects', () => {
+	
+	describe('parseColors()', () => {
+		
+		it('parses a single color', () => {
+			expect(effects.parseColors('255,0,0')).to.deep.equal([[255, 0, 0]]);
+		});
+		
+		it('parses multiple colors separated by semicolon or given as array', () => {
+			expect(effects.parseColors('255,0,0;0,0,255')).to.deep.equal([[255, 0, 0], [0, 0, 255]]);
+			expect(effects.parseColors([[255, 0, 0], [0, 0, 255]])).to.deep.equal([[255, 0, 0], [0, 0, 255]]);
+			expect(effects.parseColors(['255,0,0', '0,0,255'])).to.deep.equal([[255, 0, 0], [0, 0, 255]]);
+		});
+		
+		it('rejects invalid colors', () => {
+			expect(effects.parseColors('255,0')).to.equal(null);
+			expect(effects.parseColors('256,0,0')).to.equal(null);
+			expect(effects.parseColors('red')).to.equal(null);
+			expect(effects.parseColors([])).to.equal(null);
+		});
+	});
+	
+	describe('parse()', () => {
+		
+		it('parses an effect given by its name', () => {
+			expect(effects.parse('candle')).to.deep.equal({ 'effect': 'candle', 'speed': 1, 'colors': effects.EFFECTS.candle.colors });
+			expect(effects.parse(' police ')).to.deep.include({ 'effect': 'police', 'speed': 1 });
+		});
+		
+		it('parses an effect given as JSON with speed and colors', () => {
+			expect(effects.parse('{"effect": "police", "speed": 2, "color": "255,0,0;0,255,0"}')).to.deep.equal({ 'effect': 'police', 'speed': 2, 'colors': [[255, 0, 0], [0, 255, 0]] });
+		});
+		
+		it('rejects unknown effects and invalid options', () => {
+			expect(effects.parse('disco')).to.equal(null);
+			expect(effects.parse('{"effect": "candle", "speed": 0}')).to.equal(null);
+			expect(effects.parse('{"effect": "candle", "color": "255"}')).to.equal(null);
+			expect(effects.parse('{"effect": ')).to.equal(null);
+		});
+	});
+	
+	describe('getState() / getInterval()', () => {
+		
+		it('returns the state of a light for a step of an effect', () => {
+			let options = effects.parse('{"effect": "strobe", "color": "0,255,0"}');
+			
+			expect(effects.getState(options, 0, 0)).to.deep.equal({ 'on': true, 'bri': 254, 'rgb': [0, 255, 0] });
+			expect(effects.getState(options, 1, 0)).to.deep.equal({ 'on': false });
+		});
+		
+		it('alternates the colors of the lights', () => {
+			let options = effects.parse('police');
+			
+			expect(effects.getState(options, 0, 0).rgb).to.deep.equal([255, 0, 0]);
+			expect(effects.getState(options, 0, 1).rgb).to.deep.equal([0, 0, 255]);
+			expect(effects.getState(options, 1, 0).rgb).to.deep.equal([0, 0, 255]);
+		});
+		
+		it('returns the interval depending on the speed', () => {
+			expect(effects.getInterval(effects.parse('breathing'))).to.equal(1);
+			expect(effects.getInterval(effects.parse('{"effect": "breathing", "speed": 2}'))).to.equal(0.5);
+		});
+	});
+});
@@ -0,0 +1,209 @@
+const { expect } = require('chai');
+const hueV2 = require('../../lib/hue-v2');
+
+/*
+ * resources of the v2 API (a light of a room, a switch and a scene)
+ */
+const RESOURCES = [
+	{ 'id': 'bridge', 'type': 'bridge', 'bridge_id': '001788fffe1a2b3c' },
+	{ 'id': 'device-light', 'type': 'device', 'product_data': { 'model_id': 'LCT015', 'manufacturer_name': 'Signify Netherlands B.V.', 'product_name': 'Hue color lamp', 'software_version': '1.88.1', 'certified': true }, 'metadata': { 'name': 'Lamp' }, 'services': [{ 'rid': 'light', 'rtype': 'light' }, { 'rid': 'zigbee-light', 'rtype': 'zigbee_connectivity' }] },
+	{ 'id': 'zigbee-light', 'type': 'zigbee_connectivity', 'owner': { 'rid': 'device-light', 'rtype': 'device' }, 'status': 'connected', 'mac_address': '00:17:88:01:00:00:00:01' },
+	{
+		'id': 'light', 'id_v1': '/lights/1', 'type': 'light', 'owner': { 'rid': 'device-light', 'rtype': 'device' },
+		'metadata': { 'name': 'Lamp', 'archetype': 'sultan_bulb' },
+		'on': { 'on': true },
+		'dimming': { 'brightness': 50, 'min_dim_level': 0.2 },
+		'color_temperature': { 'mirek': null, 'mirek_valid': false, 'mirek_schema': { 'mirek_minimum': 153, 'mirek_maximum': 500 } },
+		'color': { 'xy': { 'x': 0.3, 'y': 0.4 }, 'gamut_type': 'C', 'gamut': { 'red': { 'x': 0.6915, 'y': 0.3083 }, 'green': { 'x': 0.17, 'y': 0.7 }, 'blue': { 'x': 0.1532, 'y': 0.0475 } } },
+		'effects': { 'status': 'candle', 'status_values': ['no_effect', 'candle'] }
+	},
+	{ 'id': 'device-switch', 'type': 'device', 'product_data': { 'model_id': 'RWL021', 'manufacturer_name': 'Signify Netherlands B.V.', 'product_name': 'Hue dimmer switch', 'software_version': '6.1.1' }, 'metadata': { 'name': 'Switch' }, 'services': [{ 'rid': 'button-1', 'rtype': 'button' }, { 'rid': 'power-switch', 'rtype': 'device_power' }] },
+	{ 'id': 'power-switch', 'type': 'device_power', 'owner': { 'rid': 'device-switch', 'rtype': 'device' }, 'power_state': { 'battery_level': 80 } },
+	{ 'id': 'button-1', 'id_v1': '/sensors/5', 'type': 'button', 'owner': { 'rid': 'device-switch', 'rtype': 'device' }, 'metadata': { 'control_id': 1 }, 'button': { 'button_report': { 'event': 'short_release', 'updated': '2024-01-01T10:00:00.000Z' } } },
+	{ 'id': 'room', 'type': 'room', 'metadata': { 'name': 'Living', 'archetype': 'living_room' }, 'children': [{ 'rid': 'device-light', 'rtype': 'device' }], 'services': [{ 'rid': 'grouped', 'rtype': 'grouped_light' }] },
+	{ 'id': 'grouped', 'id_v1': '/groups/1', 'type': 'grouped_light', 'owner': { 'rid': 'room', 'rtype': 'room' }, 'on': { 'on': true }, 'dimming': { 'brightness': 50 } },
+	{ 'id': 'scene', 'id_v1': '/scenes/abc', 'type': 'scene', 'metadata': { 'name': 'Relax' }, 'group': { 'rid': 'room', 'rtype': 'room' }, 'actions': [{ 'target': { 'rid': 'light', 'rtype': 'light' } }], 'status': { 'active': 'static' } }
+];
+
+describe('lib/hue-v2', () => {
+	
+	describe('convertResources()', () => {
+		let converted = hueV2.convertResources(RESOURCES);
+		
+		it('converts lights', () => {
+			let light = converted.payload.lights['1'];
+			
+			expect(light.name).to.equal('Lamp');
+			expect(light.rid).to.equal('light');
+			expect(light.type).to.equal('Extended color light');
+			expect(light.uniqueid).to.equal('00:17:88:01:00:00:00:01');
+			expect(light.modelid).to.equal('LCT015');
+			expect(light.state).to.deep.equal({ 'on': true, 'bri': 127, 'xy': [0.3, 0.4], 'colormode': 'xy', 'effect': 'candle', 'reachable': true, 'connectivity': 'connected' });
+			expect(light.capabilities.control).to.deep.include({ 'mindimlevel': 20, 'colorgamuttype': 'C', 'ct': { 'min': 153, 'max': 500 }, 'effects': ['none', 'candle'] });
+		});
+		
+		it('converts sensors', () => {
+			let sensor = converted.payload.sensors['5'];
+			
+			expect(sensor.type).to.equal('ZLLSwitch');
+			expect(sensor.name).to.equal('Switch');
+			expect(sensor.state).to.deep.equal({ 'buttonevent': 1002, 'lastupdated': '2024-01-01T10:00:00.000Z' });
+			expect(sensor.config.battery).to.equal(80);
+		});
+		
+		it('converts rooms and their lights into groups', () => {
+			let group = converted.payload.groups['1'];
+			
+			expect(group).to.deep.include({ 'name': 'Living', 'rid': 'grouped', 'type': 'Room', 'class': 'living_room', 'lights': ['1'] });
+			expect(group.state).to.deep.equal({ 'all_on': true, 'any_on': true });
+			expect(group.action).to.deep.equal({ 'on': true, 'bri': 127 });
+		});
+		
+		it('converts scenes and config', () => {
+			expect(converted.payload.scenes['abc']).to.deep.include({ 'name': 'Relax', 'group': '1', 'lights': ['1'], 'active': true });
+			expect(converted.payload.config).to.deep.equal({ 'bridgeid': '001788fffe1a2b3c', 'apiversion': 'clip/v2' });
+		});
+		
+		it('indexes the resources by their v1 and v2 identifiers', () => {
+			expect(converted.index.v1['lights/1']).to.deep.equal({ 'rid': 'light', 'rtype': 'light' });
+			expect(converted.index.v1['groups/1']).to.deep.equal({ 'rid': 'grouped', 'rtype': 'grouped_light' });
+			expect(converted.index.v2['room']).to.deep.equal({ 'channel': 'groups', 'id': '1' });
+		});
+	});
+	
+	describe('getResourceTypes()', () => {
+		
+		it('returns the resource types of the given channels without duplicates', () => {
+			expect(hueV2.getResourceTypes(['lights', 'scenes'])).to.deep.equal(['light', 'zigbee_connectivity', 'scene']);
+			expect(hueV2.getResourceTypes(['rules'])).to.deep.equal([]);
+		});
+	});
+	
+	describe('getChannels()', () => {
+		
+		it('returns the channels affected by the given resource types', () => {
+			expect(hueV2.getChannels(['light', 'scene'])).to.deep.equal(['lights', 'scenes']);
+			expect(hueV2.getChannels(['zigbee_connectivity'])).to.deep.equal(['lights']);
+			expect(hueV2.getChannels(['entertainment'])).to.deep.equal([]);
+		});
+	});
+	
+	describe('mergeDevice()', () => {
+		
+		it('keeps the states of the v1 API and adds the states only provided by the v2 API', () => {
+			let device = { 'name': 'Lamp', 'uniqueid': '00:17:88:01:00:00:00:01-0b', 'state': { 'on': true, 'hue': 10000, 'sat': 200, 'effect': 'none' }, 'config': { 'function': 'mixed' } };
+			let resource = { 'name': 'Lamp', 'uniqueid': '00:17:88:01:00:00:00:01', 'rid': 'light', 'state': { 'on': true, 'effect': 'candle', 'gradient': '[]' }, 'config': { 'archetype': 'sultan_bulb' } };
+			
+			expect(hueV2.mergeDevice(device, resource)).to.deep.equal({
+				'name': 'Lamp',
+				'uniqueid': '00:17:88:01:00:00:00:01-0b',
+				'rid': 'light',
+				'state': { 'on': true, 'hue': 10000, 'sat': 200, 'effect': 'candle', 'gradient': '[]' },
+				'config': { 'function': 'mixed', 'archetype': 'sultan_bulb' }
+			});
+		});
+		
+		it('uses the converted resource if the device is not available in the v1 API', () => {
+			expect(hueV2.mergeDevice(undefined, { 'name': 'Lamp' })).to.deep.equal({ 'name': 'Lamp' });
+		});
+	});
+	
+	describe('convertCommand()', () => {
+		
+		it('converts absolute values', () => {
+			expect(hueV2.convertCommand({ 'on': true, 'bri': 254, 'ct': 300, 'transitiontime': 4 })).to.deep.equal({
+				'on': { 'on': true },
+				'dimming': { 'brightness': 100 },
+				'color_temperature': { 'mirek': 300 },
+				'dynamics': { 'duration': 400 }
+			});
+			
+			expect(hueV2.convertCommand({ 'xy': '0.3,0.4', 'alert': 'select', 'effect': 'none' })).to.deep.equal({
+				'color': { 'xy': { 'x': 0.3, 'y': 0.4 } },
+				'alert': { 'action': 'breathe' },
+				'effects': { 'effect': 'no_effect' }
+			});
+		});
+		
+		it('converts relative adjustments', () => {
+			expect(hueV2.convertCommand({ 'bri_inc': -127, 'ct_inc': 0 })).to.deep.equal({
+				'dimming_delta': { 'action': 'down', 'brightness_delta': 50 },
+				'color_temperature_delta': { 'action': 'stop', 'mirek_delta': 0 }
+			});
+		});
+		
+		it('converts hue and saturation to xy', () => {
+			let body = hueV2.convertCommand({ 'hue': 0, 'sat': 254 });
+			
+			expect(Object.keys(body)).to.deep.equal(['color']);
+			expect(body.color.xy.x).to.be.above(0.6);
+		});
+		
+		it('converts gradients', () => {
+			expect(hueV2.convertCommand({ 'gradient': '[[0.6, 0.3], [0.2, 0.7]]' })).to.deep.equal({
+				'gradient': { 'points': [{ 'color': { 'xy': { 'x': 0.6, 'y': 0.3 } } }, { 'color': { 'xy': { 'x': 0.2, 'y': 0.7 } } }] }
+			});
+		});
+	});
+	
+	describe('getRequest()', () => {
+		let index = hueV2.convertResources(RESOURCES).index;
+		
+		it('returns the resource and body for lights and groups', () => {
+			expect(hueV2.getRequest(index, 'lights/1/state', { 'on': false })).to.deep.equal({ 'resource': 'light/light', 'body': { 'on': { 'on': false } } });
+			expect(hueV2.getRequest(index, 'groups/1/action', { 'bri': 127 })).to.deep.equal({ 'resource': 'grouped_light/grouped', 'body': { 'dimming': { 'brightness': 50 } } });
+		});
+		
+		it('recalls scenes with transition time and brightness', () => {
+			expect(hueV2.getRequest(index, 'groups/1/action', { 'scene': 'abc', 'transitiontime': 20, 'bri': 127 })).to.deep.equal({
+				'resource': 'scene/scene',
+				'body': { 'recall': { 'action': 'active', 'duration': 2000, 'dimming': { 'brightness': 50 } } }
+			});
+		});
+		
+		it('falls back to the v1 API for unknown devices and unsupported commands', () => {
+			expect(hueV2.getRequest(index, 'lights/99/state', { 'on': true })).to.equal(null);
+			expect(hueV2.getRequest(index, 'lights/1/state', { 'hue_inc': 1000 })).to.equal(null);
+			expect(hueV2.getRequest(index, 'sensors/5/config', { 'on': true })).to.equal(null);
+			expect(hueV2.getRequest(index, 'groups/1/action', { 'scene': 'unknown' })).to.equal(null);
+		});
+	});
+	
+	describe('convertEvent()', () => {
+		let index = hueV2.convertResources(RESOURCES).index;
+		
+		it('converts light events', () => {
+			expect(hueV2.convertEvent({ 'id': 'light', 'id_v1': '/lights/1', 'type': 'light', 'owner': { 'rid': 'device-light', 'rtype': 'device' }, 'on': { 'on': false }, 'dimming': { 'brightness': 100 } }, index)).to.deep.equal([
+				{ 'channel': 'lights', 'id': '1', 'data': { 'state': { 'on': false, 'bri': 254 } } }
+			]);
+		});
+		
+		it('converts motion events', () => {
+			expect(hueV2.convertEvent({ 'id': 'motion-1', 'id_v1': '/sensors/6', 'type': 'motion', 'owner': { 'rid': 'device-motion', 'rtype': 'device' }, 'motion': { 'motion': true, 'motion_valid': true, 'motion_report': { 'changed': '2024-01-01T10:00:00.000Z', 'motion': true } } }, index)).to.deep.equal([
+				{ 'channel': 'sensors', 'id': '6', 'data': { 'state': { 'presence': true, 'lastupdated': '2024-01-01T10:00:00.000Z' }, 'config': {} } }
+			]);
+		});
+		
+		it('converts button events using the control_id of the indexed button', () => {
+			expect(hueV2.convertEvent({ 'id': 'button-1', 'id_v1': '/sensors/5', 'type': 'button', 'owner': { 'rid': 'device-switch', 'rtype': 'device' }, 'button': { 'last_event': 'short_release' } }, index)).to.deep.equal([
+				{ 'channel': 'sensors', 'id': '5', 'data': { 'state': { 'buttonevent': 1002 }, 'config': {} } }
+			]);
+			
+			expect(hueV2.convertEvent({ 'id': 'button-1', 'id_v1': '/sensors/5', 'type': 'button', 'owner': { 'rid': 'device-switch', 'rtype': 'device' }, 'button': { 'button_report': { 'event': 'long_release', 'updated': '2024-01-01T10:00:05.000Z' }, 'last_event': 'long_release' } }, index)).to.deep.equal([
+				{ 'channel': 'sensors', 'id': '5', 'data': { 'state': { 'buttonevent': 1003, 'lastupdated': '2024-01-01T10:00:05.000Z' }, 'config': {} } }
+			]);
+		});
+		
+		it('omits the buttonevent of unknown buttons', () => {
+			expect(hueV2.convertEvent({ 'id': 'button-2', 'id_v1': '/sensors/5', 'type': 'button', 'owner': { 'rid': 'device-switch', 'rtype': 'device' }, 'button': { 'last_event': 'short_release' } }, index)).to.deep.equal([
+				{ 'channel': 'sensors', 'id': '5', 'data': { 'state': {}, 'config': {} } }
+			]);
+		});
+		
+		it('converts zigbee_connectivity events into the reachability of the device', () => {
+			expect(hueV2.convertEvent({ 'id': 'zigbee-light', 'id_v1': '/lights/1', 'type': 'zigbee_connectivity', 'owner': { 'rid': 'device-light', 'rtype': 'device' }, 'status': 'connectivity_issue', 'mac_address': '00:17:88:01:00:00:00:01' }, index)).to.deep.equal([
+				{ 'channel': 'lights', 'id': '1', 'data': { 'state': { 'reachable': false, 'connectivity': 'connectivity_issue' } } }
+			]);
+		});
+	});
+});
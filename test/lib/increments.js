@@ -0,0 +1,63 @@
+const { expect } = require('chai');
+const increments = require('../../lib/increments');
+
+describe('lib/increments', () => {
+	
+	describe('clampIncrement()', () => {
+		
+		it('clamps relative adjustments to the limits of the bridge', () => {
+			expect(increments.clampIncrement('bri_inc', 300)).to.equal(254);
+			expect(increments.clampIncrement('bri_inc', -300)).to.equal(-254);
+			expect(increments.clampIncrement('ct_inc', 12.4)).to.equal(12);
+			expect(increments.clampIncrement('xy_inc', [0.6, -0.123456])).to.deep.equal([0.5, -0.1235]);
+		});
+	});
+	
+	describe('mergeCommands()', () => {
+		
+		it('sums up relative adjustments', () => {
+			expect(increments.mergeCommands({ 'bri_inc': 50 }, { 'bri_inc': 30 })).to.deep.equal({ 'bri_inc': 80 });
+			expect(increments.mergeCommands({ 'bri_inc': 200 }, { 'bri_inc': 200 })).to.deep.equal({ 'bri_inc': 254 });
+			expect(increments.mergeCommands({ 'xy_inc': [0.1, 0.1] }, { 'xy_inc': [0.05, -0.2] })).to.deep.equal({ 'xy_inc': [0.15, -0.1] });
+		});
+		
+		it('replaces queued relative adjustments by an adjustment of 0 (stop)', () => {
+			expect(increments.mergeCommands({ 'bri_inc': 254, 'transitiontime': 50 }, { 'bri_inc': 0 })).to.deep.equal({ 'bri_inc': 0, 'transitiontime': 50 });
+		});
+		
+		it('applies relative adjustments to a queued absolute value', () => {
+			expect(increments.mergeCommands({ 'bri': 100 }, { 'bri_inc': 50 })).to.deep.equal({ 'bri': 150 });
+			expect(increments.mergeCommands({ 'bri': 240 }, { 'bri_inc': 50 })).to.deep.equal({ 'bri': 254 });
+			expect(increments.mergeCommands({ 'ct': 160 }, { 'ct_inc': -50 })).to.deep.equal({ 'ct': 153 });
+			expect(increments.mergeCommands({ 'hue': 65000 }, { 'hue_inc': 1000 })).to.deep.equal({ 'hue': 464 });
+			expect(increments.mergeCommands({ 'xy': '0.3,0.3' }, { 'xy_inc': [0.05, -0.5] })).to.deep.equal({ 'xy': [0.35, 0] });
+		});
+		
+		it('replaces a queued relative adjustment by an absolute value', () => {
+			expect(increments.mergeCommands({ 'bri_inc': 50, 'on': true }, { 'bri': 10 })).to.deep.equal({ 'on': true, 'bri': 10 });
+		});
+	});
+	
+	describe('getDimming()', () => {
+		
+		it('transitions to the limit of the brightness and stops by an adjustment of 0 on the Hue Bridge', () => {
+			expect(increments.getDimming('hue', 'up')).to.deep.equal({ 'bri_inc': 254, 'transitiontime': 50 });
+			expect(increments.getDimming('hue', 'down')).to.deep.equal({ 'bri_inc': -254, 'transitiontime': 50 });
+			expect(increments.getDimming('hue', 'stop')).to.deep.equal({ 'bri_inc': 0 });
+		});
+		
+		it('moves the brightness on deCONZ', () => {
+			expect(increments.getDimming('deconz', 'up')).to.deep.equal({ 'bri_move': 'up' });
+			expect(increments.getDimming('deconz', 'stop')).to.deep.equal({ 'bri_move': 'stop' });
+		});
+		
+		it('returns null for an invalid direction', () => {
+			expect(increments.getDimming('hue', 'left')).to.equal(null);
+		});
+		
+		it('stops dimming queued with the same trigger', () => {
+			let queued = increments.mergeCommands({}, increments.getDimming('hue', 'up'));
+			expect(increments.mergeCommands(queued, increments.getDimming('hue', 'stop'))).to.deep.equal({ 'bri_inc': 0, 'transitiontime': 50 });
+		});
+	});
+});
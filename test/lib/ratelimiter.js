@@ -0,0 +1,151 @@
+const { expect } = require('chai');
+const RateLimiter = require('../../lib/ratelimiter');
+
+/*
+ * error of a request rejected by an overloaded bridge
+ */
+function overloaded(statusCode, retryAfter) {
+	let err = new Error('Bridge overloaded');
+	err.statusCode = statusCode;
+	err.response = { 'headers': retryAfter !== undefined ? { 'retry-after': String(retryAfter) } : {} };
+	return err;
+}
+
+describe('lib/ratelimiter', () => {
+	
+	it('sends requests of the burst immediately and refills tokens at the rate of the budget', () => {
+		let limiter = new RateLimiter({ 'lights': { 'rate': 10, 'burst': 2 } });
+		let start = Date.now();
+		
+		return Promise.all([1, 2, 3, 4].map(() => limiter.schedule('lights', () => Date.now() - start))).then(times => {
+			expect(times[0]).to.be.below(50);
+			expect(times[1]).to.be.below(50);
+			expect(times[2]).to.be.within(80, 200);
+			expect(times[3]).to.be.within(180, 300);
+		});
+	});
+	
+	it('keeps separate budgets and falls back to the first budget if unknown', () => {
+		let limiter = new RateLimiter({ 'lights': { 'rate': 10 }, 'groups': { 'rate': 1 } });
+		let start = Date.now();
+		
+		return Promise.all([
+			limiter.schedule('groups', () => Date.now() - start),
+			limiter.schedule('unknown', () => Date.now() - start),
+			limiter.schedule('lights', () => Date.now() - start)
+		]).then(times => {
+			expect(times.every(time => time < 50)).to.equal(true);
+			expect(limiter.size).to.equal(0);
+		});
+	});
+	
+	it('counts queued requests and rejects them when cleared', () => {
+		let limiter = new RateLimiter({ 'groups': { 'rate': 1 } });
+		let requests = [1, 2, 3].map(() => limiter.schedule('groups', () => true).then(() => true, err => err.message));
+		
+		expect(limiter.size).to.equal(2);
+		limiter.clear();
+		expect(limiter.size).to.equal(0);
+		
+		return Promise.all(requests).then(results => {
+			expect(results).to.deep.equal([true, 'Request has been dropped from the queue', 'Request has been dropped from the queue']);
+		});
+	});
+	
+	it('backs off on HTTP 429 respecting the Retry-After header of the bridge', () => {
+		let limiter = new RateLimiter({ 'lights': { 'rate': 10 } });
+		let backoff = null, attempts = 0, start = Date.now();
+		limiter.on('backoff', event => backoff = event);
+		
+		return limiter.schedule('lights', () => {
+			attempts++;
+			return attempts == 1 ? Promise.reject(overloaded(429, 1)) : Date.now() - start;
+		}).then(time => {
+			expect(attempts).to.equal(2);
+			expect(backoff).to.deep.equal({ 'budget': 'lights', 'statusCode': 429, 'delay': 1 });
+			expect(time).to.be.within(950, 1300);
+		});
+	});
+	
+	it('backs off exponentially on HTTP 503', () => {
+		let limiter = new RateLimiter({ 'lights': { 'rate': 10 } }, { 'backoff': 0.1 });
+		let delays = [], attempts = 0, start = Date.now();
+		limiter.on('backoff', event => delays.push(event.delay));
+		
+		return limiter.schedule('lights', () => {
+			attempts++;
+			return attempts <= 2 ? Promise.reject(overloaded(503)) : Date.now() - start;
+		}).then(time => {
+			expect(delays).to.deep.equal([0.1, 0.2]);
+			expect(time).to.be.within(280, 500);
+		});
+	});
+	
+	it('pauses all budgets while the bridge is overloaded', () => {
+		let limiter = new RateLimiter({ 'lights': { 'rate': 10 }, 'groups': { 'rate': 10 } }, { 'backoff': 0.1 });
+		let attempts = 0, start = Date.now();
+		
+		let request = limiter.schedule('lights', () => {
+			attempts++;
+			return attempts == 1 ? Promise.reject(overloaded(503)) : Date.now() - start;
+		});
+		
+		return new Promise(resolve => setTimeout(resolve, 20))
+			.then(() => Promise.all([request, limiter.schedule('groups', () => Date.now() - start)]))
+			.then(([time, other]) => {
+				expect(time).to.be.at.least(90);
+				expect(other).to.be.at.least(90);
+			});
+	});
+	
+	it('only pauses an isolated budget while its requests are rejected due to overload', () => {
+		let limiter = new RateLimiter({ 'lights': { 'rate': 10 }, 'polling': { 'rate': 10, 'isolated': true } }, { 'backoff': 0.2 });
+		let attempts = 0, start = Date.now();
+		
+		let poll = limiter.schedule('polling', () => {
+			attempts++;
+			return attempts == 1 ? Promise.reject(overloaded(429)) : Date.now() - start;
+		});
+		
+		return new Promise(resolve => setTimeout(resolve, 20))
+			.then(() => Promise.all([poll, limiter.schedule('lights', () => Date.now() - start)]))
+			.then(([time, command]) => {
+				expect(time).to.be.at.least(190);
+				expect(command).to.be.below(150);
+			});
+	});
+	
+	it('pauses isolated budgets while the bridge is overloaded by other budgets', () => {
+		let limiter = new RateLimiter({ 'lights': { 'rate': 10 }, 'polling': { 'rate': 10, 'isolated': true } }, { 'backoff': 0.1 });
+		let attempts = 0, start = Date.now();
+		
+		let command = limiter.schedule('lights', () => {
+			attempts++;
+			return attempts == 1 ? Promise.reject(overloaded(503)) : Date.now() - start;
+		});
+		
+		return new Promise(resolve => setTimeout(resolve, 20))
+			.then(() => Promise.all([command, limiter.schedule('polling', () => Date.now() - start)]))
+			.then(([time, poll]) => {
+				expect(time).to.be.at.least(90);
+				expect(poll).to.be.at.least(90);
+			});
+	});
+	
+	it('rejects requests after the maximum number of retries and on other errors', () => {
+		let limiter = new RateLimiter({ 'lights': { 'rate': 10 } }, { 'backoff': 0.05, 'retries': 1 });
+		let attempts = 0;
+		
+		return Promise.all([
+			limiter.schedule('lights', () => {
+				attempts++;
+				return Promise.reject(overloaded(429));
+			}).then(() => null, err => err.statusCode),
+			limiter.schedule('lights', () => Promise.reject(overloaded(404))).then(() => null, err => err.statusCode)
+		]).then(([statusCode, other]) => {
+			expect(attempts).to.equal(2);
+			expect(statusCode).to.equal(429);
+			expect(other).to.equal(404);
+		});
+	});
+});
@@ -0,0 +1,73 @@
+const { expect } = require('chai');
+const verify = require('../../lib/verify');
+
+describe('lib/verify', () => {
+	
+	describe('getExpected()', () => {
+		
+		it('only expects absolute values', () => {
+			expect(verify.getExpected({ 'on': true, 'bri': 100, 'bri_inc': 10, 'transitiontime': 4, 'alert': 'select' })).to.deep.equal({ 'on': true, 'bri': 100 });
+		});
+		
+		it('only expects a light turned off to be off', () => {
+			expect(verify.getExpected({ 'on': false, 'bri': 100 })).to.deep.equal({ 'on': false });
+		});
+	});
+	
+	describe('getDifferences()', () => {
+		let state = { 'on': true, 'bri': 100, 'hue': 100, 'sat': 200, 'ct': 300, 'xy': [0.3, 0.4], 'colormode': 'xy', 'reachable': true };
+		
+		it('accepts states within the tolerance', () => {
+			expect(verify.getDifferences({ 'on': true, 'bri': 103, 'xy': [0.305, 0.395] }, state)).to.deep.equal({});
+			expect(verify.getDifferences({ 'hue': 65500, 'sat': 198 }, { ...state, 'colormode': 'hs' })).to.deep.equal({});
+		});
+		
+		it('returns states out of the tolerance and turns the light on to change them', () => {
+			expect(verify.getDifferences({ 'on': true, 'bri': 110, 'xy': '0.32,0.4' }, state)).to.deep.equal({ 'bri': 110, 'xy': '0.32,0.4', 'on': true });
+			expect(verify.getDifferences({ 'bri': 110 }, state, { ...verify.VERIFY_TOLERANCE, 'bri': 10 })).to.deep.equal({});
+		});
+		
+		it('returns the color of a light in another color mode', () => {
+			expect(verify.getDifferences({ 'ct': 300 }, state)).to.deep.equal({ 'ct': 300 });
+		});
+		
+		it('ignores states not supported by the light', () => {
+			expect(verify.getDifferences({ 'on': true, 'bri': 200 }, { 'on': true, 'reachable': true })).to.deep.equal({});
+		});
+		
+		it('does not compare the states of a light which is off and not turned on', () => {
+			expect(verify.getDifferences({ 'bri': 200 }, { ...state, 'on': false })).to.deep.equal({});
+			expect(verify.getDifferences({ 'on': false }, { ...state, 'on': false })).to.deep.equal({});
+			expect(verify.getDifferences({ 'on': true, 'bri': 200 }, { ...state, 'on': false })).to.deep.equal({ 'on': true, 'bri': 200 });
+		});
+		
+		it('returns all states of an unreachable or unknown light', () => {
+			expect(verify.getDifferences({ 'on': true, 'bri': 100 }, { ...state, 'reachable': false })).to.deep.equal({ 'on': true, 'bri': 100 });
+			expect(verify.getDifferences({ 'on': true, 'bri': 100 }, undefined)).to.deep.equal({ 'on': true, 'bri': 100 });
+		});
+	});
+	
+	describe('isSceneActive()', () => {
+		let lightstates = { '1': { 'on': true, 'bri': 200, 'ct': 300, 'transitiontime': 4 }, '2': { 'on': false } };
+		let lights = {
+			'1': { 'state': { 'on': true, 'bri': 204, 'ct': 306, 'colormode': 'ct', 'reachable': true } },
+			'2': { 'state': { 'on': false, 'bri': 1, 'reachable': true } }
+		};
+		let tolerance = { ...verify.VERIFY_TOLERANCE, 'bri': 5, 'ct': 10 };
+		
+		it('detects a scene whose lightstates match the lights within the tolerance', () => {
+			expect(verify.isSceneActive(lightstates, lights, tolerance)).to.equal(true);
+			expect(verify.isSceneActive(lightstates, lights)).to.equal(false);
+		});
+		
+		it('does not detect a scene if a light is on or off contrary to the scene', () => {
+			expect(verify.isSceneActive(lightstates, { ...lights, '2': { 'state': { 'on': true, 'reachable': true } } }, tolerance)).to.equal(false);
+			expect(verify.isSceneActive(lightstates, { ...lights, '1': { 'state': { 'on': false, 'bri': 200, 'ct': 300, 'reachable': true } } }, tolerance)).to.equal(false);
+		});
+		
+		it('skips unreachable lights, but requires at least one light to be compared', () => {
+			expect(verify.isSceneActive(lightstates, { ...lights, '1': { 'state': { 'on': true, 'bri': 1, 'reachable': false } } }, tolerance)).to.equal(true);
+			expect(verify.isSceneActive(lightstates, { '1': { 'state': { 'reachable': false } } }, tolerance)).to.equal(false);
+		});
+	});
+});